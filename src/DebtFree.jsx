@@ -1,8 +1,20 @@
 import { useState, useMemo, useCallback, useEffect, useRef } from "react";
 import {
   AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
-  ResponsiveContainer, BarChart, Bar, Cell, PieChart, Pie, RadialBarChart, RadialBar,
+  ResponsiveContainer, BarChart, Bar, Cell, PieChart, Pie, RadialBarChart, RadialBar, ReferenceLine,
 } from "recharts";
+import {
+  calcStressScore, simulatePayoff, compareStrategies, pickBestStrategy, priorityOrder, generateAIInsights,
+  findNonAmortizing, isAmortizing, remainingTerm, applySolve, solveLoan, checkLoanTerms, startMonth, buildExtraSchedule, applyRateScenario, isCard, cardStatement,
+  cardMinimumPayoff, compareConsolidation, comparePrepayVsInvest, simulateIncomeShock, INCOME_SHOCKS,
+  householdStress, householdIncome, ownerShares, budgetTotals, safeExtra, goalSeek, goalFeasibility, EXPENSE_KINDS, PAYMENT_KINDS, startTracking, trackProgress, replayPayments, unlockMonth, prepayRate, postTaxRate, marginalTax, netInterest,
+  STRESS_FACTORS, DEFAULT_SCORING, activeScoring, isInsightHidden, INSIGHT_LIMIT, CARD_DEFAULTS, STRATEGIES,
+} from "./engine.js";
+import { fmt, fmtFull, pct, months2str, monthDate, payoffStr, debtFreeDate } from "./format.js";
+import { loadStore, saveStore, createProfile } from "./storage.js";
+import { portfolioToJSON, debtsToCSV, toCSV, parseImport, downloadFile } from "./portfolioIO.js";
+import { SHARE_PREFIX, encodePlan, decodePlan } from "./shareLink.js";
+import { REDACTIONS, advisorPayload, advisorProvider, advisorScope, advisorHistory } from "./advisor.js";
 
 /* ─────────────────────── DESIGN TOKENS ─────────────────────── */
 const T = {
@@ -21,175 +33,30 @@ const T = {
   display: "'Bricolage Grotesque', 'SF Pro Display', system-ui, sans-serif",
   radius: 14, radiusSm: 10, radiusXs: 7,
 };
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const GRADE_COLORS = { Excellent: T.safe, Good: T.accent, Stressed: T.warn, Critical: T.danger, "N/A": T.textMut };
 
-/* ─────────────────────── UTILITIES ─────────────────────── */
-const fmt = (n) => {
-  if (n >= 1e7) return `₹${(n/1e7).toFixed(2)} Cr`;
-  if (n >= 1e5) return `₹${(n/1e5).toFixed(2)} L`;
-  if (n >= 1e3) return `₹${(n/1e3).toFixed(1)}K`;
-  return `₹${Math.round(n)}`;
-};
-const fmtFull = (n) => "₹" + Math.round(n).toLocaleString("en-IN");
-const pct = (n) => `${n.toFixed(1)}%`;
-const months2str = (m) => {
-  const y = Math.floor(m / 12);
-  const mo = m % 12;
-  return y > 0 ? `${y}y ${mo}m` : `${mo}m`;
-};
-
-/* ─────────────────────── AI INSIGHTS ENGINE ─────────────────────── */
-function generateAIInsights(debts, income, stressScore, strategies, extraPayment) {
-  const insights = [];
-  const { factors } = stressScore;
-  if (!debts.length || !income) return [{ type: "info", icon: "💡", title: "Add your debts to get started", body: "Enter your loans and income to receive personalized AI-powered insights." }];
-
-  // Critical alerts
-  if (factors.emiToIncome > 50) {
-    insights.push({ type: "critical", icon: "🚨", title: "EMI Overload Detected", body: `Your EMIs consume ${pct(factors.emiToIncome)} of income — well above the safe limit of 40%. This leaves critically thin margins for emergencies. Consider restructuring or consolidating high-rate debts immediately.` });
-  }
-
-  const highRateDebts = debts.filter(d => d.rate > 18);
-  if (highRateDebts.length > 0) {
-    const names = highRateDebts.map(d => d.name).join(", ");
-    const totalHigh = highRateDebts.reduce((s, d) => s + d.balance, 0);
-    insights.push({ type: "danger", icon: "🔥", title: "Toxic Debt Alert", body: `${names} ${highRateDebts.length > 1 ? 'carry' : 'carries'} interest above 18% — totaling ${fmtFull(totalHigh)}. Every month delayed costs you ${fmtFull(totalHigh * (highRateDebts[0].rate / 100 / 12))} in interest. This is the single biggest drain on your wealth.` });
-  }
-
-  // Strategic recommendations
-  const bestStrat = ["avalanche","snowball","hybrid"].reduce((best, key) => strategies[key].totalInterest < strategies[best].totalInterest ? key : best, "avalanche");
-  const savedVsBaseline = strategies.baseline.totalInterest - strategies[bestStrat].totalInterest;
-  const monthsSaved = strategies.baseline.months - strategies[bestStrat].months;
-  if (savedVsBaseline > 0) {
-    insights.push({ type: "success", icon: "🎯", title: `${bestStrat.charAt(0).toUpperCase() + bestStrat.slice(1)} Saves You The Most`, body: `With just ${fmtFull(extraPayment)}/month extra, the ${bestStrat} strategy saves you ${fmtFull(savedVsBaseline)} in interest and gets you debt-free ${monthsSaved} months earlier. That's ${months2str(monthsSaved)} of financial freedom gained.` });
-  }
-
-  // Income-based guidance
-  const remainingIncome = income - factors.totalEMI - extraPayment;
-  const savingsRate = (remainingIncome / income) * 100;
-  if (savingsRate < 20) {
-    insights.push({ type: "warn", icon: "⚠️", title: "Emergency Buffer Thin", body: `After EMIs and extra payments, only ${pct(savingsRate)} of income remains (${fmtFull(remainingIncome)}/mo). Financial planners recommend keeping at least 20% free. Consider building a 3-month emergency fund of ${fmtFull(factors.totalEMI * 3)} before aggressive repayment.` });
-  } else if (savingsRate > 40) {
-    const couldPayExtra = Math.round((remainingIncome - income * 0.3) / 1000) * 1000;
-    if (couldPayExtra > extraPayment) {
-      insights.push({ type: "opportunity", icon: "💰", title: "Untapped Payoff Potential", body: `You have ${fmtFull(remainingIncome)}/mo after all payments. You could safely increase extra payments to ${fmtFull(couldPayExtra)}/mo while keeping 30% income buffer. This would dramatically accelerate your debt-free date.` });
-    }
-  }
-
-  // Debt consolidation check
-  const avgRate = factors.weightedRate;
-  const spreadDebts = debts.filter(d => d.rate > avgRate + 3);
-  if (spreadDebts.length >= 2 && avgRate > 10) {
-    insights.push({ type: "info", icon: "🔄", title: "Consolidation Opportunity", body: `You have ${spreadDebts.length} debts with rates significantly above your weighted average of ${pct(avgRate)}. A balance transfer or consolidation loan at a lower rate could simplify payments and reduce total interest.` });
-  }
-
-  // Positive reinforcement
-  if (stressScore.score >= 70) {
-    insights.push({ type: "success", icon: "✅", title: "Strong Financial Position", body: `Your Debt Stress Score of ${stressScore.score} indicates healthy debt management. Stay the course — your debt structure is sustainable and you're well-positioned to accelerate payoff with even modest extra payments.` });
-  }
-
-  // Debt-to-income ratio insight
-  if (factors.debtToAnnualIncome > 3) {
-    insights.push({ type: "warn", icon: "📊", title: "High Debt-to-Income Ratio", body: `Your total debt is ${factors.debtToAnnualIncome.toFixed(1)}x your annual income. Lenders typically flag ratios above 3x. This may affect your ability to get new credit at favorable rates. Focus on reducing the principal aggressively.` });
-  }
-
-  return insights.slice(0, 5);
-}
-
-/* ─────────────────────── CALCULATION ENGINE ─────────────────────── */
-function calcStressScore(debts, income) {
-  if (!debts.length || !income) return { score: 0, grade: "N/A", color: T.textMut, factors: { emiToIncome: 0, debtToAnnualIncome: 0, weightedRate: 0, highRateRatio: 0, numDebts: 0, totalEMI: 0, totalBalance: 0 } };
-  const totalEMI = debts.reduce((s, d) => s + d.emi, 0);
-  const totalBalance = debts.reduce((s, d) => s + d.balance, 0);
-  const weightedRate = totalBalance > 0 ? debts.reduce((s, d) => s + d.rate * (d.balance / totalBalance), 0) : 0;
-  const emiToIncome = (totalEMI / income) * 100;
-  const debtToAnnualIncome = totalBalance / (income * 12);
-  const highRateDebt = debts.filter(d => d.rate > 15).reduce((s, d) => s + d.balance, 0);
-  const highRateRatio = totalBalance > 0 ? (highRateDebt / totalBalance) * 100 : 0;
-
-  let score = 100;
-  // EMI burden
-  if (emiToIncome > 55) score -= 40;
-  else if (emiToIncome > 45) score -= 30;
-  else if (emiToIncome > 35) score -= 20;
-  else if (emiToIncome > 25) score -= 10;
-  else if (emiToIncome > 15) score -= 3;
-  // Leverage
-  if (debtToAnnualIncome > 6) score -= 25;
-  else if (debtToAnnualIncome > 4) score -= 18;
-  else if (debtToAnnualIncome > 2.5) score -= 12;
-  else if (debtToAnnualIncome > 1) score -= 5;
-  // Rate
-  if (weightedRate > 24) score -= 22;
-  else if (weightedRate > 16) score -= 14;
-  else if (weightedRate > 10) score -= 7;
-  // Toxic debt
-  if (highRateRatio > 40) score -= 18;
-  else if (highRateRatio > 25) score -= 12;
-  else if (highRateRatio > 10) score -= 5;
-  // Complexity
-  if (debts.length > 5) score -= 10;
-  else if (debts.length > 3) score -= 5;
-
-  score = Math.max(0, Math.min(100, Math.round(score)));
-  let grade, color;
-  if (score >= 80) { grade = "Excellent"; color = T.safe; }
-  else if (score >= 65) { grade = "Good"; color = T.accent; }
-  else if (score >= 45) { grade = "Stressed"; color = T.warn; }
-  else { grade = "Critical"; color = T.danger; }
-
-  return { score, grade, color, factors: { emiToIncome, debtToAnnualIncome, weightedRate, highRateRatio, numDebts: debts.length, totalEMI, totalBalance } };
-}
-
-function simulatePayoff(debts, strategy, extra = 0) {
-  if (!debts.length) return { months: 0, totalInterest: 0, timeline: [], milestones: [] };
-  let bals = debts.map(d => ({ ...d, rem: d.balance }));
-  let month = 0, totalInterest = 0;
-  const timeline = [], milestones = [];
-  const startTotal = bals.reduce((s, d) => s + d.rem, 0);
-
-  while (bals.some(d => d.rem > 0.5) && month < 600) {
-    month++;
-    let mInt = 0, mPrin = 0;
-    bals.forEach(d => {
-      if (d.rem <= 0) return;
-      const interest = d.rem * (d.rate / 1200);
-      const principal = Math.min(d.emi - interest, d.rem);
-      d.rem = Math.max(0, d.rem - principal);
-      mInt += interest; mPrin += principal; totalInterest += interest;
-    });
-    // Extra payments
-    let ex = extra;
-    if (ex > 0) {
-      let sorted;
-      if (strategy === "avalanche") sorted = [...bals].sort((a, b) => b.rate - a.rate);
-      else if (strategy === "snowball") sorted = [...bals].sort((a, b) => a.rem - b.rem);
-      else sorted = [...bals].sort((a, b) => (b.rate * b.rem) - (a.rate * a.rem));
-      for (const d of sorted) {
-        if (d.rem <= 0 || ex <= 0) continue;
-        const pay = Math.min(ex, d.rem);
-        d.rem -= pay; ex -= pay; mPrin += pay;
-      }
-    }
-    const totalRem = bals.reduce((s, d) => s + d.rem, 0);
-    // Check milestones
-    const pctPaid = ((startTotal - totalRem) / startTotal) * 100;
-    if (milestones.length === 0 && pctPaid >= 25) milestones.push({ month, label: "25% paid off", pct: 25 });
-    if (milestones.length === 1 && pctPaid >= 50) milestones.push({ month, label: "Halfway!", pct: 50 });
-    if (milestones.length === 2 && pctPaid >= 75) milestones.push({ month, label: "75% done", pct: 75 });
-    // Check individual debt payoffs
-    bals.forEach(d => {
-      if (d.rem <= 0 && !d._cleared) {
-        d._cleared = true;
-        milestones.push({ month, label: `${d.name} cleared!`, pct: Math.round(pctPaid) });
-      }
-    });
+/* ─────────────────────── HOOKS ─────────────────────── */
+const HISTORY_LIMIT = 100;
 
-    if (month <= 360 && (month % 3 === 0 || totalRem <= 0.5)) {
-      timeline.push({ month, balance: Math.round(totalRem), interest: Math.round(mInt), principal: Math.round(mPrin) });
-    }
-  }
-  if (milestones.length < 4) milestones.push({ month, label: "DEBT FREE! 🎉", pct: 100 });
-  return { months: month, totalInterest: Math.round(totalInterest), timeline, milestones };
+// Undo/redo stack around a single value. Consecutive sets sharing a `tag`
+// (e.g. keystrokes in the same field) collapse into one undo step.
+function useUndoable(initial) {
+  const [hist, setHist] = useState({ past: [], present: initial, future: [], tag: null });
+  const set = useCallback((updater, tag = null) => setHist(h => {
+    const next = typeof updater === "function" ? updater(h.present) : updater;
+    if (next === h.present) return h;
+    if (tag && tag === h.tag) return { ...h, present: next, future: [] };
+    return { past: [...h.past, h.present].slice(-HISTORY_LIMIT), present: next, future: [], tag };
+  }), []);
+  const undo = useCallback(() => setHist(h => h.past.length
+    ? { past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future], tag: null }
+    : h), []);
+  const redo = useCallback(() => setHist(h => h.future.length
+    ? { past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1), tag: null }
+    : h), []);
+  const reset = useCallback((value) => setHist({ past: [], present: value, future: [], tag: null }), []);
+  return { value: hist.present, set, undo, redo, reset, canUndo: hist.past.length > 0, canRedo: hist.future.length > 0 };
 }
 
 /* ─────────────────────── COMPONENTS ─────────────────────── */
@@ -279,8 +146,8 @@ function MetricRow({ label, value, color = T.text, sub }) {
   );
 }
 
-// Insight card
-function InsightCard({ insight, index }) {
+// Insight card; dismiss and snooze actions are shown when handlers are given
+function InsightCard({ insight, index, onDismiss, onSnooze, onRestore }) {
   const typeColors = { critical: T.danger, danger: T.danger, warn: T.warn, success: T.safe, opportunity: T.accent, info: T.blue };
   const c = typeColors[insight.type] || T.blue;
   return (
@@ -292,27 +159,37 @@ function InsightCard({ insight, index }) {
       <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 8 }}>
         <span style={{ fontSize: 18 }}>{insight.icon}</span>
         <span style={{ fontSize: 14, fontWeight: 700, color: c }}>{insight.title}</span>
+        {insight.impact > 0 && <span style={{ fontFamily: T.mono, fontSize: 11, color: T.textMut }}>≈ {fmt(insight.impact)}</span>}
+        <div style={{ marginLeft: "auto", display: "flex", gap: 4 }}>
+          {[
+            { l: "Snooze 30 days", fn: onSnooze },
+            { l: "Dismiss", fn: onDismiss },
+            { l: "Restore", fn: onRestore },
+          ].filter(b => b.fn).map(b => (
+            <button key={b.l} onClick={b.fn} style={{ background: "none", border: "none", color: T.textMut, cursor: "pointer", fontSize: 11, fontFamily: T.font, padding: "2px 6px" }}>{b.l}</button>
+          ))}
+        </div>
       </div>
       <p style={{ fontSize: 13, color: T.textSec, lineHeight: 1.65, margin: 0 }}>{insight.body}</p>
     </div>
   );
 }
 
-// Input field
-function Field({ label, value, onChange, prefix = "", mono = true, small }) {
+// Input field; read-only fields show a value worked out elsewhere
+function Field({ label, value, onChange, prefix = "", mono = true, small, readOnly }) {
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
       <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>{label}</label>
       <div style={{ position: "relative" }}>
         {prefix && <span style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", color: T.textMut, fontSize: 13, fontFamily: T.mono }}>{prefix}</span>}
-        <input type="number" value={value || ""} onChange={e => onChange(parseFloat(e.target.value) || 0)}
+        <input type="number" value={value || ""} onChange={e => onChange(parseFloat(e.target.value) || 0)} readOnly={readOnly}
           style={{
-            width: "100%", background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
-            padding: prefix ? "11px 14px 11px 28px" : "11px 14px", color: T.text,
+            width: "100%", background: T.bgInput, border: `1px ${readOnly ? "dashed" : "solid"} ${T.border}`, borderRadius: T.radiusXs,
+            padding: prefix ? "11px 14px 11px 28px" : "11px 14px", color: readOnly ? T.accent : T.text,
             fontSize: small ? 13 : 15, fontFamily: mono ? T.mono : T.font, fontWeight: 600,
             outline: "none", transition: "border 0.2s",
           }}
-          onFocus={e => e.target.style.borderColor = T.accent}
+          onFocus={e => { if (!readOnly) e.target.style.borderColor = T.accent; }}
           onBlur={e => e.target.style.borderColor = T.border}
         />
       </div>
@@ -320,66 +197,409 @@ function Field({ label, value, onChange, prefix = "", mono = true, small }) {
   );
 }
 
+// Month picker ("YYYY-MM"); empty means not set
+function MonthField({ label, value, onChange }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+      <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>{label}</label>
+      <input type="month" value={value || ""} onChange={e => onChange(e.target.value)}
+        style={{
+          width: "100%", background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+          padding: "10px 14px", color: value ? T.text : T.textMut, fontSize: 13, fontFamily: T.mono, fontWeight: 600,
+          outline: "none", transition: "border 0.2s", colorScheme: "dark",
+        }}
+        onFocus={e => e.target.style.borderColor = T.accent}
+        onBlur={e => e.target.style.borderColor = T.border}
+      />
+    </div>
+  );
+}
+
 /* ─────────────────────── SAMPLE DATA ─────────────────────── */
 const SAMPLE_DEBTS = [
-  { id: 1, name: "Home Loan (SBI)", balance: 3200000, rate: 8.50, emi: 32000, type: "secured" },
+  { id: 1, name: "Home Loan (SBI)", balance: 3200000, rate: 8.50, emi: 32000, type: "secured", taxSection: "24b" },
   { id: 2, name: "Car Loan (HDFC)", balance: 520000, rate: 9.25, emi: 14500, type: "secured" },
   { id: 3, name: "Personal Loan (ICICI)", balance: 300000, rate: 13.5, emi: 10500, type: "unsecured" },
-  { id: 4, name: "Credit Card (Axis)", balance: 145000, rate: 42.0, emi: 12000, type: "revolving" },
+  { id: 4, name: "Credit Card (Axis)", balance: 145000, rate: 42.0, emi: 12000, type: "revolving", card: { ...CARD_DEFAULTS } },
 ];
 
 /* ─────────────────────── MAIN APP ─────────────────────── */
 export default function DebtFree() {
-  const [debts, setDebts] = useState(SAMPLE_DEBTS);
-  const [income, setIncome] = useState(125000);
-  const [extra, setExtra] = useState(5000);
+  const [store, setStore] = useState(() => loadStore({ name: "My Household", debts: SAMPLE_DEBTS, income: 125000, extra: 5000, nextId: 5 }));
+  const active = store.profiles[store.activeId];
+  const history = useUndoable(active.debts);
+  const debts = history.value;
+  const setDebts = history.set;
+  const [income, setIncome] = useState(active.income);
+  const [extra, setExtra] = useState(active.extra);
+  const [emergencyFund, setEmergencyFund] = useState(active.emergencyFund);
+  const [members, setMembers] = useState(active.members);
+  const [budget, setBudget] = useState(active.budget);
+  const [prepayments, setPrepayments] = useState(active.prepayments);
+  const [rateScenario, setRateScenario] = useState(active.rateScenario);
+  const [tax, setTax] = useState(active.tax);
+  const [tracking, setTracking] = useState(active.tracking);
+  const [hiddenInsights, setHiddenInsights] = useState(active.hiddenInsights);
   const [tab, setTab] = useState("dashboard");
-  const [nextId, setNextId] = useState(5);
+  const [nextId, setNextId] = useState(active.nextId);
   const [showWelcome, setShowWelcome] = useState(true);
+  const [rollover, setRollover] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const fileInputRef = useRef(null);
+  const [share, setShare] = useState({ open: false, anonymise: false, url: "", status: null });
+  const [shareError, setShareError] = useState(null);
+  const [schedStrategy, setSchedStrategy] = useState(null);
+  const [schedLoanId, setSchedLoan] = useState("all");
+  const [objective, setObjective] = useState("interest");
+  const [dragId, setDragId] = useState(null);
+  const [consolidation, setConsolidation] = useState({ ids: [], rate: 11, tenure: 60, feePct: 1, foreclosure: {}, keepOutflow: false });
+  const [investment, setInvestment] = useState({ returnPct: 12, gainsTaxPct: 12.5 });
+  const [shockTest, setShockTest] = useState({ expenses: null, jobMonths: 6, cutPct: 30, cutMonths: 12, medical: 300000 });
+  const [scoringOpen, setScoringOpen] = useState(false);
+  const [showAllInsights, setShowAllInsights] = useState(false);
+  const [goal, setGoal] = useState({ kind: "date", date: `${new Date().getFullYear() + 3}-12`, amount: 500000 });
+  const [payment, setPayment] = useState({ debtId: null, date: new Date().toISOString().slice(0, 10), amount: null, kind: "emi" });
+  // Advisor settings live only for the session, so an API key is never written to storage
+  const [advisor, setAdvisor] = useState({ provider: "offline", baseUrl: "http://localhost:11434/v1", model: "", apiKey: "", redact: { names: false, income: false, amounts: false } });
+  const [chat, setChat] = useState({ messages: [], draft: "", busy: false });
 
+  // Household earners; while there are any, income is their total
+  const updateMembers = (next) => {
+    setMembers(next);
+    if (next.length) setIncome(householdIncome(next));
+  };
+  const addMember = () => updateMembers(members.length
+    ? [...members, { id: Math.max(...members.map(m => m.id)) + 1, name: `Earner ${members.length + 1}`, income: 0 }]
+    : [{ id: 1, name: "Earner 1", income }, { id: 2, name: "Earner 2", income: 0 }]);
+  const setMember = (id, key, val) => updateMembers(members.map(m => m.id === id ? { ...m, [key]: val } : m));
+
+  // A debt with a computed term re-solves it after every edit
   const handleDebtChange = useCallback((id, key, val) => {
-    setDebts(prev => prev.map(d => d.id === id ? { ...d, [key]: val } : d));
-  }, []);
+    setDebts(prev => prev.map(d => d.id === id ? applySolve({ ...d, [key]: val }) : d), `${id}:${key}`);
+  }, [setDebts]);
+  const solving = (d, field) => !isCard(d) && d.solveFor === field;
+
+  // Keep the active profile in sync with the editor, and the store in sync with localStorage
+  useEffect(() => {
+    setStore(s => ({ ...s, profiles: { ...s.profiles, [s.activeId]: { ...s.profiles[s.activeId], debts, income, extra, emergencyFund, members, budget, prepayments, rateScenario, tax, tracking, hiddenInsights, nextId, updatedAt: Date.now() } } }));
+  }, [debts, income, extra, emergencyFund, members, budget, prepayments, rateScenario, tax, tracking, hiddenInsights, nextId]);
+  useEffect(() => { saveStore(store); }, [store]);
 
-  const stress = useMemo(() => calcStressScore(debts, income), [debts, income]);
+  const openProfile = (p) => {
+    history.reset(p.debts); setIncome(p.income); setExtra(p.extra); setEmergencyFund(p.emergencyFund); setMembers(p.members); setBudget(p.budget); setPrepayments(p.prepayments); setRateScenario(p.rateScenario); setTax(p.tax); setTracking(p.tracking); setHiddenInsights(p.hiddenInsights); setNextId(p.nextId);
+    setChat(c => ({ ...c, messages: [] }));
+  };
+  const switchProfile = (id) => {
+    if (id === store.activeId || !store.profiles[id]) return;
+    setStore(s => ({ ...s, activeId: id }));
+    openProfile(store.profiles[id]);
+  };
+  const addProfile = () => {
+    const name = window.prompt("Name for the new profile", "New profile");
+    if (!name || !name.trim()) return;
+    const p = createProfile(name.trim(), { debts: [], income: 0, extra: 0 });
+    setStore(s => ({ ...s, activeId: p.id, profiles: { ...s.profiles, [p.id]: p } }));
+    openProfile(p);
+  };
+  const renameProfile = () => {
+    const name = window.prompt("Rename profile", active.name);
+    if (!name || !name.trim()) return;
+    setStore(s => ({ ...s, profiles: { ...s.profiles, [s.activeId]: { ...s.profiles[s.activeId], name: name.trim() } } }));
+  };
+  const deleteProfile = () => {
+    const ids = Object.keys(store.profiles);
+    if (ids.length < 2 || !window.confirm(`Delete profile "${active.name}"? This cannot be undone.`)) return;
+    const nextActive = ids.find(id => id !== store.activeId);
+    setStore(s => {
+      const { [s.activeId]: _removed, ...rest } = s.profiles;
+      return { ...s, activeId: nextActive, profiles: rest };
+    });
+    openProfile(store.profiles[nextActive]);
+  };
 
-  const strategies = useMemo(() => ({
-    baseline: simulatePayoff(debts, "baseline", 0),
-    avalanche: simulatePayoff(debts, "avalanche", extra),
-    snowball: simulatePayoff(debts, "snowball", extra),
-    hybrid: simulatePayoff(debts, "hybrid", extra),
-  }), [debts, extra]);
+  // Per-loan rate changes always apply; the repo shock only while the scenario is switched on
+  const rates = useMemo(() => ({ ...rateScenario, shockBps: rateScenario.enabled ? rateScenario.shockBps : 0 }), [rateScenario]);
 
-  const best = useMemo(() => {
-    return ["avalanche", "snowball", "hybrid"].reduce((b, k) =>
-      strategies[k].totalInterest < strategies[b].totalInterest ? k : b, "avalanche");
-  }, [strategies]);
+  // Stress-score profiles are shared by every portfolio; the built-in default can't be edited
+  const scoring = activeScoring(store.scoring);
+  const setScoringProfiles = (fn) => setStore(s => ({ ...s, scoring: fn(s.scoring) }));
+  const saveScoringAs = () => {
+    const name = window.prompt("Name for the scoring profile", `${scoring.name} copy`);
+    if (!name || !name.trim()) return;
+    const p = { ...scoring, id: `s${Date.now().toString(36)}`, name: name.trim() };
+    setScoringProfiles(s => ({ activeId: p.id, profiles: [...s.profiles, p] }));
+  };
+  const updateScoring = (fn) => setScoringProfiles(s => ({ ...s, profiles: s.profiles.map(p => p.id === s.activeId ? fn(p) : p) }));
+  const setFactor = (key, fn) => updateScoring(p => ({ ...p, factors: { ...p.factors, [key]: fn(p.factors[key]) } }));
+  const deleteScoring = () => {
+    if (!window.confirm(`Delete scoring profile "${scoring.name}"?`)) return;
+    setScoringProfiles(s => ({ activeId: DEFAULT_SCORING.id, profiles: s.profiles.filter(p => p.id !== s.activeId) }));
+  };
+
+  // Under a rate scenario the score reflects re-priced rates and EMIs, not today's
+  const expenses = budget.length ? budgetTotals(budget) : null;
+  const stress = useMemo(() => {
+    const s = calcStressScore(rateScenario.enabled ? applyRateScenario(debts, rates) : debts, income, { tax, expenses: expenses?.total, scoring });
+    return { ...s, color: GRADE_COLORS[s.grade] };
+  }, [debts, income, rates, rateScenario.enabled, tax, expenses?.total, scoring]);
+
+  const household = useMemo(() => members.length
+    ? householdStress(rateScenario.enabled ? applyRateScenario(debts, rates) : debts, members, { tax, scoring })
+    : null, [debts, members, rates, rateScenario.enabled, tax, scoring]);
+
+  // Constant extra, or a per-month schedule once the prepayment plan has entries
+  const extraPlan = useMemo(() => prepayments.length ? buildExtraSchedule(extra, prepayments) : extra, [extra, prepayments]);
+
+  const strategies = useMemo(() => compareStrategies(debts, extraPlan, rollover, { rates, objective, tax }), [debts, extraPlan, rollover, rates, objective, tax]);
+
+  // Same strategies with only the constant extra, to show what the prepayment plan adds
+  const constantStrategies = useMemo(() => prepayments.length ? compareStrategies(debts, extra, rollover, { rates, tax }) : strategies, [debts, extra, rollover, rates, tax, prepayments, strategies]);
 
-  const insights = useMemo(() => generateAIInsights(debts, income, stress, strategies, extra), [debts, income, stress, strategies, extra]);
+  // Same strategies under the other outflow mode, for side-by-side comparison
+  const altStrategies = useMemo(() => Object.fromEntries(
+    STRATEGIES.map(k => [k, simulatePayoff(debts.filter(isAmortizing), k, extraPlan, !rollover, { rates, tax })])
+  ), [debts, extraPlan, rollover, rates, tax]);
+
+  // Loans whose EMI doesn't cover their interest, keyed by debt id
+  const stuckDebts = useMemo(() => new Map(findNonAmortizing(debts).map(s => [s.debt.id, s])), [debts]);
+
+  const best = useMemo(() => pickBestStrategy(strategies), [strategies]);
+
+  // What the rate scenario costs versus today's rates, for the Rate Shock insight
+  const rateShock = useMemo(() => {
+    if (!rateScenario.enabled || !rateScenario.shockBps) return null;
+    const today = compareStrategies(debts, extraPlan, rollover, { rates: { ...rates, shockBps: 0 }, tax });
+    const emiOf = (list) => list.reduce((sum, d) => sum + d.emi, 0);
+    return {
+      label: `a ${rates.shockBps > 0 ? "+" : ""}${rates.shockBps} bps repo-rate move${rates.shockDate ? ` from ${monthDate(startMonth({ startDate: rates.shockDate }))}` : ""}`,
+      extraInterest: strategies[best].totalInterest - today[best].totalInterest,
+      extraMonths: strategies[best].months - today[best].months,
+      extraEMI: emiOf(applyRateScenario(debts, rates)) - emiOf(debts),
+    };
+  }, [debts, extraPlan, rollover, rates, tax, rateScenario.enabled, strategies, best]);
+
+  // Every insight, ranked; dismissed and snoozed ones are set aside for the Insights tab to restore
+  // Rules that throw are skipped by the engine; their ids are listed under the insights
+  const { allInsights, failedRules } = useMemo(() => {
+    const failed = [];
+    const list = generateAIInsights(debts, income, stress, strategies, extra, { rateShock, tax, emergencyFund, budget, scoring, limit: Infinity, onError: (id) => failed.push(id) });
+    return { allInsights: list, failedRules: failed };
+  }, [debts, income, stress, strategies, extra, rateShock, tax, emergencyFund, budget, scoring]);
+  const insights = allInsights.filter(i => !isInsightHidden(hiddenInsights, i.id));
+  const hiddenInsightList = allInsights.filter(i => isInsightHidden(hiddenInsights, i.id));
+  const hideInsight = (id, days) => setHiddenInsights(h => ({ ...h, [id]: days ? new Date(Date.now() + days * 864e5).toISOString().slice(0, 10) : "" }));
+  const restoreInsight = (id) => setHiddenInsights(({ [id]: _, ...rest }) => rest);
+
+  // Advisor chat: whichever provider answers gets exactly the payload and history previewed beside
+  // the chat. Turns asked under other provider or redaction settings stay on screen but are never sent.
+  const advisorData = useMemo(() => advisorPayload({ debts, income, extra, strategy: best, rollover, prepayments, rateScenario }, advisor.redact),
+    [debts, income, extra, best, rollover, prepayments, rateScenario, advisor.redact]);
+  const advisorScopeKey = advisorScope(advisor);
+  const advisorSent = advisorHistory(chat.messages, advisor);
+  const setAdvisorProvider = (provider) => setAdvisor(a => ({
+    ...a, provider, redact: provider === "openai" ? { ...a.redact, names: true, income: true } : a.redact,
+  }));
+  const askAdvisor = async (text) => {
+    const question = text.trim();
+    if (!question || chat.busy) return;
+    const scope = advisorScopeKey;
+    setChat(c => ({ messages: [...c.messages, { role: "user", content: question, scope }], draft: "", busy: true }));
+    let reply;
+    try {
+      reply = { role: "assistant", content: await advisorProvider(advisor).ask({ question, payload: advisorData, history: advisorSent }), scope };
+    } catch (e) {
+      reply = { role: "assistant", content: e.message, error: true, scope };
+    }
+    setChat(c => ({ ...c, messages: [...c.messages, reply], busy: false }));
+  };
 
   const chartData = useMemo(() => {
-    const maxLen = Math.max(strategies.avalanche.timeline.length, strategies.snowball.timeline.length, strategies.hybrid.timeline.length);
+    const keys = [...STRATEGIES, "optimal"];
+    const maxLen = Math.max(...keys.map(k => strategies[k].timeline.length));
     return Array.from({ length: maxLen }, (_, i) => ({
-      month: strategies.avalanche.timeline[i]?.month || strategies.snowball.timeline[i]?.month || strategies.hybrid.timeline[i]?.month || 0,
+      month: keys.map(k => strategies[k].timeline[i]?.month).find(Boolean) || 0,
       Avalanche: strategies.avalanche.timeline[i]?.balance ?? null,
       Snowball: strategies.snowball.timeline[i]?.balance ?? null,
       Hybrid: strategies.hybrid.timeline[i]?.balance ?? null,
+      Custom: strategies.custom.timeline[i]?.balance ?? null,
+      Optimal: strategies.optimal.timeline[i]?.balance ?? null,
     }));
   }, [strategies]);
 
+  // Custom strategy order is the order of the debts list; dragging moves a debt to a new position
+  const moveDebt = (id, to) => setDebts(prev => {
+    const from = prev.findIndex(d => d.id === id);
+    if (from < 0 || to < 0 || to >= prev.length || from === to) return prev;
+    const next = [...prev];
+    next.splice(to, 0, ...next.splice(from, 1));
+    return next;
+  });
+  const optimalPlanText = (() => {
+    const { plan } = strategies.optimal;
+    const names = plan.order.map(id => debts.find(d => d.id === id)?.name || "Unnamed Debt");
+    const base = plan.strategy === "custom" ? names.join(" → ") : `${plan.strategy.charAt(0).toUpperCase() + plan.strategy.slice(1)} rule (${names[0] || "—"} first)`;
+    return plan.split.length > 1 ? `${base} · extra split ${plan.split.map(w => Math.round(w * 100)).join("/")}` : base;
+  })();
+
   const saved = strategies.baseline.totalInterest - strategies[best].totalInterest;
   const monthsSaved = strategies.baseline.months - strategies[best].months;
 
+  // Consolidation offer against the recommended strategy, for the Strategies tab
+  const consolidationIds = consolidation.ids.filter(id => debts.some(d => d.id === id));
+  const consolidationResult = useMemo(() => consolidationIds.length
+    ? compareConsolidation(debts, { ...consolidation, ids: consolidationIds }, best, extraPlan, rollover, { rates, tax })
+    : null, [debts, consolidation, consolidationIds.join(), best, extraPlan, rollover, rates, tax]);
+
+  const prepayVsInvest = useMemo(() => extra > 0 || prepayments.length
+    ? comparePrepayVsInvest(debts, best, extraPlan, rollover, { rates, tax, ...investment })
+    : null, [debts, best, extra, prepayments.length, extraPlan, rollover, rates, tax, investment]);
+
+  const livingCosts = shockTest.expenses ?? expenses?.total ?? Math.max(0, income - debts.reduce((s, d) => s + d.emi, 0) - extra);
+  const shockResults = useMemo(() => income > 0 ? INCOME_SHOCKS.map(kind => simulateIncomeShock(debts, income, {
+    kind, months: kind === "jobloss" ? shockTest.jobMonths : shockTest.cutMonths, cutPct: shockTest.cutPct, amount: shockTest.medical,
+  }, best, extraPlan, rollover, { rates, tax, scoring, fund: emergencyFund, expenses: livingCosts })) : [],
+  [debts, income, shockTest, livingCosts, best, extraPlan, rollover, rates, tax, scoring, emergencyFund]);
+  const toggleConsolidate = (id) => setConsolidation(c => ({ ...c, ids: c.ids.includes(id) ? c.ids.filter(x => x !== id) : [...c.ids, id] }));
+
+  // Amortization rows for the Schedule tab: one loan's rows, or every loan summed per month
+  const schedKey = schedStrategy || best;
+  const schedLoan = debts.some(d => String(d.id) === schedLoanId) ? schedLoanId : "all";
+  const scheduleRows = useMemo(() => {
+    const rows = strategies[schedKey].schedule;
+    if (schedLoan !== "all") return rows.filter(r => String(r.id) === schedLoan);
+    const byMonth = [];
+    rows.forEach(r => {
+      const m = byMonth[r.month - 1] || (byMonth[r.month - 1] = { month: r.month, opening: 0, interest: 0, principal: 0, extra: 0, closing: 0 });
+      m.opening += r.opening; m.interest += r.interest; m.principal += r.principal; m.extra += r.extra; m.closing += r.closing;
+    });
+    return byMonth.filter(Boolean);
+  }, [strategies, schedKey, schedLoan]);
+
+  const exportSchedule = () => {
+    const loan = schedLoan === "all" ? "All loans" : debts.find(d => String(d.id) === schedLoan)?.name || "";
+    const csv = toCSV(
+      ["Loan", "Month", "Date", "Opening Balance", "Interest", "EMI Principal", "Extra Applied", "Closing Balance"],
+      scheduleRows.map(r => [loan, r.month, monthDate(r.month), ...[r.opening, r.interest, r.principal, r.extra, r.closing].map(v => v.toFixed(2))]),
+    );
+    downloadFile(`debtfree-schedule-${schedKey}.csv`, csv, "text/csv");
+  };
+
+  const addPrepayment = (kind) => {
+    const id = prepayments.reduce((m, p) => Math.max(m, p.id), 0) + 1;
+    const nextYear = new Date(new Date().getFullYear() + 1, new Date().getMonth(), 1);
+    const entry = kind === "lump" ? { id, kind, amount: 100000, date: `${nextYear.getFullYear()}-${String(nextYear.getMonth() + 1).padStart(2, "0")}` }
+      : kind === "annual" ? { id, kind, amount: 50000, month: 3 }
+      : { id, kind, percent: 10, month: 4 };
+    setPrepayments(p => [...p, entry]);
+  };
+  const updatePrepayment = (id, key, val) => setPrepayments(p => p.map(x => x.id === id ? { ...x, [key]: val } : x));
+  const removePrepayment = (id) => setPrepayments(p => p.filter(x => x.id !== id));
+
+  const addExpense = (items) => setBudget(b => {
+    const id = b.reduce((m, e) => Math.max(m, e.id), 0) + 1;
+    return [...b, ...items.map((e, i) => ({ id: id + i, name: "", amount: 0, kind: "fixed", ...e }))];
+  });
+  const updateExpense = (id, key, val) => setBudget(b => b.map(e => e.id === id ? { ...e, [key]: val } : e));
+  const safe = expenses ? safeExtra(income, debts, budget) : null;
+  // Goal seek runs a few hundred simulations, so only while the Action Plan is open
+  const goalResult = useMemo(() => tab === "plan" && debts.length ? goalSeek(debts, goal, extra, rollover, { rates, tax, prepayments }) : null,
+    [tab, debts, goal, extra, prepayments, rollover, rates, tax]);
+  // Progress against the tracked plan; logged payments re-derive the outstanding balance of their debt
+  const progress = useMemo(() => tracking ? trackProgress(debts, tracking) : null, [debts, tracking]);
+  const trackStart = tracking ? new Date(Number(tracking.start.slice(0, 4)), Number(tracking.start.slice(5, 7)) - 1, 1) : null;
+  const restartTracking = () => {
+    if (tracking && !window.confirm("Restart tracking from this month? Today's balances and plan become the new baseline; earlier payments stay in the log.")) return;
+    setTracking(startTracking(debts, strategies[best], best));
+  };
+  const updatePayments = (id, fn) => {
+    const d = debts.find(x => x.id === id);
+    if (!d || !tracking) return;
+    const opening = tracking.opening[id] ?? d.balance;
+    if (tracking.opening[id] === undefined) setTracking(t => ({ ...t, opening: { ...t.opening, [id]: opening } }));
+    setDebts(prev => prev.map(x => {
+      if (x.id !== id) return x;
+      const next = { ...x, payments: fn(x.payments || []) };
+      // The new balance re-solves the debt's solveFor term, as an edit in the Debts tab does
+      return applySolve({ ...next, balance: Math.round(replayPayments(next, opening, tracking.start).balance) });
+    }));
+  };
+  const payDebt = debts.find(d => d.id === payment.debtId) || debts[0];
+  const logPayment = () => {
+    const amount = payment.amount ?? payDebt?.emi ?? 0;
+    if (!payDebt || !(amount > 0) || !payment.date) return;
+    updatePayments(payDebt.id, list => [...list, { id: list.reduce((m, p) => Math.max(m, p.id), 0) + 1, date: payment.date, amount, kind: payment.kind }]);
+    setPayment(p => ({ ...p, amount: null }));
+  };
+  const paymentLog = debts.flatMap(d => (d.payments || []).map(p => ({ ...p, debt: d }))).sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+
+  const planSaved = constantStrategies[best].totalInterest - strategies[best].totalInterest;
+  const planMonths = constantStrategies[best].months - strategies[best].months;
+
+  const exportPortfolio = (kind) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (kind === "json") downloadFile(`debtfree-${stamp}.json`, portfolioToJSON({ debts, income, extra, emergencyFund, members, budget, prepayments, rateScenario, tax, tracking, strategy: best, rollover }), "application/json");
+    else downloadFile(`debtfree-${stamp}.csv`, debtsToCSV(debts), "text/csv");
+  };
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => setPendingImport({ fileName: file.name, ...parseImport(text, file.name) }));
+  };
+  const applyImport = (mode) => {
+    const valid = pendingImport.rows.filter(r => !r.errors.length).map((r, i) => ({ ...r.debt, id: nextId + i }));
+    setDebts(prev => mode === "replace" ? valid : [...prev, ...valid]);
+    setNextId(n => n + valid.length);
+    if (mode === "replace") {
+      if (pendingImport.income !== undefined) setIncome(pendingImport.income);
+      if (pendingImport.extra !== undefined) setExtra(pendingImport.extra);
+      if (pendingImport.emergencyFund !== undefined) setEmergencyFund(pendingImport.emergencyFund);
+      if (pendingImport.members !== undefined) setMembers(pendingImport.members);
+      if (pendingImport.budget !== undefined) setBudget(pendingImport.budget);
+      if (pendingImport.prepayments !== undefined) setPrepayments(pendingImport.prepayments);
+      if (pendingImport.rateScenario !== undefined) setRateScenario(pendingImport.rateScenario);
+      if (pendingImport.tax !== undefined) setTax(pendingImport.tax);
+      if (pendingImport.tracking !== undefined) setTracking(pendingImport.tracking);
+      if (pendingImport.rollover !== undefined) setRollover(pendingImport.rollover);
+    }
+    setPendingImport(null);
+  };
+
   const TABS = [
     { id: "dashboard", label: "Dashboard", icon: "◈" },
     { id: "debts", label: "Debts", icon: "◇" },
     { id: "strategies", label: "Strategies", icon: "△" },
+    { id: "schedule", label: "Schedule", icon: "▤" },
     { id: "insights", label: "AI Insights", icon: "✦" },
     { id: "plan", label: "Action Plan", icon: "→" },
+    { id: "progress", label: "Progress", icon: "✓" },
   ];
 
   const debtColors = [T.accent, T.blue, T.purple, "#fb923c", T.warn, T.cyan, T.danger];
 
+  // A plan opened from a share link gets its own profile so saved profiles are never overwritten.
+  // A link that doesn't decode only shows the error; the current portfolio stays open.
+  useEffect(() => {
+    const { hash, pathname, search } = window.location;
+    if (!hash.startsWith(SHARE_PREFIX)) return;
+    window.history.replaceState(null, "", pathname + search);
+    decodePlan(hash.slice(SHARE_PREFIX.length)).then(plan => {
+      const p = createProfile("Shared plan", { ...plan, debts: plan.debts.map((d, i) => ({ ...d, id: i + 1 })) });
+      setStore(s => ({ ...s, activeId: p.id, profiles: { ...s.profiles, [p.id]: p } }));
+      openProfile(p);
+      if (TABS.some(t => t.id === plan.tab)) setTab(plan.tab);
+      setShareError(null);
+    }, e => setShareError(e.message));
+  }, []);
+
+  const copyShareLink = async () => {
+    const payload = await encodePlan({ debts, income, extra, emergencyFund, members, budget, prepayments, rateScenario, tax, tab }, { anonymise: share.anonymise });
+    const url = `${window.location.origin}${window.location.pathname}${SHARE_PREFIX}${payload}`;
+    let status = "copied";
+    try { await navigator.clipboard.writeText(url); } catch (e) { status = "manual"; }
+    setShare(sh => ({ ...sh, url, status }));
+  };
+
   return (
     <div style={{ minHeight: "100vh", background: T.bg, color: T.text, fontFamily: T.font }}>
       <link href="https://fonts.googleapis.com/css2?family=Bricolage+Grotesque:wght@400;600;700;800&family=Instrument+Sans:wght@400;500;600;700&family=IBM+Plex+Mono:wght@400;500;600;700&display=swap" rel="stylesheet" />
@@ -387,10 +607,16 @@ export default function DebtFree() {
         @keyframes fadeSlideIn { from { opacity: 0; transform: translateY(12px); } to { opacity: 1; transform: translateY(0); } }
         @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.5; } }
         @keyframes shimmer { 0% { background-position: -200% center; } 100% { background-position: 200% center; } }
+        @media print {
+          .no-print { display: none !important; }
+          body, .print-area, .print-area * { background: #fff !important; color: #000 !important; box-shadow: none !important; }
+          .print-area { border: none !important; padding: 0 !important; }
+          .print-area tr { page-break-inside: avoid; }
+        }
       `}</style>
 
       {/* ── HEADER ── */}
-      <header style={{
+      <header className="no-print" style={{
         background: `linear-gradient(180deg, ${T.bgCard} 0%, ${T.bg} 100%)`,
         borderBottom: `1px solid ${T.border}`, padding: "18px 28px",
         position: "sticky", top: 0, zIndex: 100, backdropFilter: "blur(20px)",
@@ -413,20 +639,83 @@ export default function DebtFree() {
               <p style={{ margin: 0, fontSize: 11, color: T.textMut, letterSpacing: 0.5 }}>AI-Powered Debt Stress Analyzer</p>
             </div>
           </div>
-          <div style={{
-            display: "flex", alignItems: "center", gap: 6,
-            background: `${stress.color}15`, padding: "7px 14px", borderRadius: 20,
-            border: `1px solid ${stress.color}30`,
-          }}>
-            <div style={{ width: 8, height: 8, borderRadius: "50%", background: stress.color, animation: stress.score < 40 ? "pulse 1.5s infinite" : "none" }} />
-            <span style={{ fontFamily: T.mono, fontSize: 13, fontWeight: 700, color: stress.color }}>{stress.score}</span>
-            <span style={{ fontSize: 11, color: T.textSec }}>{stress.grade}</span>
+          <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <select value={store.activeId} onChange={e => switchProfile(e.target.value)} title="Switch profile"
+                style={{
+                  background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                  padding: "7px 12px", color: T.text, fontSize: 12, fontWeight: 600, fontFamily: T.font, outline: "none", maxWidth: 180,
+                }}>
+                {Object.values(store.profiles).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+              <div style={{ position: "relative" }}>
+                <button onClick={() => setShare(sh => ({ ...sh, open: !sh.open, url: "", status: null }))} title="Share this plan" style={{
+                  background: share.open ? T.accentDim : "none", border: `1px solid ${share.open ? T.accent + "40" : T.border}`, borderRadius: T.radiusXs,
+                  height: 30, padding: "0 10px", color: share.open ? T.accent : T.textSec, cursor: "pointer", fontSize: 12, fontWeight: 600, fontFamily: T.font,
+                }}>🔗 Share</button>
+                {share.open && (
+                  <div style={{
+                    position: "absolute", top: 38, right: 0, width: 320, zIndex: 110,
+                    background: T.bgCard, border: `1px solid ${T.borderLight}`, borderRadius: T.radiusSm,
+                    padding: 16, boxShadow: "0 12px 40px rgba(0,0,0,0.5)", animation: "fadeSlideIn 0.2s ease",
+                  }}>
+                    <div style={{ fontSize: 12, color: T.textSec, lineHeight: 1.5, marginBottom: 12 }}>
+                      Anyone with the link sees these debts, income and extra payment. Nothing is uploaded — the plan lives in the link itself.
+                    </div>
+                    <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: T.text, marginBottom: 12, cursor: "pointer" }}>
+                      <input type="checkbox" checked={share.anonymise} onChange={e => setShare(sh => ({ ...sh, anonymise: e.target.checked, url: "", status: null }))} />
+                      Anonymise loan names
+                    </label>
+                    <button onClick={copyShareLink} style={{
+                      width: "100%", background: `linear-gradient(135deg, ${T.accent}, ${T.cyan})`, border: "none", borderRadius: T.radiusXs,
+                      padding: "9px 14px", color: T.bg, fontWeight: 700, fontSize: 12, cursor: "pointer", fontFamily: T.font,
+                    }}>Copy share link</button>
+                    {share.url && (
+                      <>
+                        <input readOnly value={share.url} onFocus={e => e.target.select()} style={{
+                          width: "100%", marginTop: 10, background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                          padding: "7px 10px", color: T.textSec, fontSize: 11, fontFamily: T.mono, outline: "none",
+                        }} />
+                        <div style={{ fontSize: 11, marginTop: 6, color: share.status === "copied" ? T.safe : T.warn }}>
+                          {share.status === "copied" ? "✓ Copied to clipboard" : "Clipboard unavailable — copy the link above"}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+              {[
+                { l: "+", t: "New profile", fn: addProfile },
+                { l: "✎", t: "Rename profile", fn: renameProfile },
+                { l: "✕", t: "Delete profile", fn: deleteProfile, off: Object.keys(store.profiles).length < 2 },
+              ].map(b => (
+                <button key={b.t} onClick={b.fn} title={b.t} disabled={b.off} style={{
+                  background: "none", border: `1px solid ${T.border}`, borderRadius: T.radiusXs, width: 30, height: 30,
+                  color: b.off ? T.border : T.textSec, cursor: b.off ? "default" : "pointer", fontSize: 13, fontFamily: T.font,
+                }}>{b.l}</button>
+              ))}
+            </div>
+            {rateScenario.enabled && rateScenario.shockBps !== 0 && (
+              <div title="Viewing a repo-rate scenario" style={{
+                fontFamily: T.mono, fontSize: 11, fontWeight: 700, color: T.warn, background: T.warnDim,
+                padding: "7px 12px", borderRadius: 20, border: `1px solid ${T.warn}30`,
+              }}>📈 {rateScenario.shockBps > 0 ? "+" : ""}{rateScenario.shockBps} bps</div>
+            )}
+            <div style={{
+              display: "flex", alignItems: "center", gap: 6,
+              background: `${stress.color}15`, padding: "7px 14px", borderRadius: 20,
+              border: `1px solid ${stress.color}30`,
+            }}>
+              <div style={{ width: 8, height: 8, borderRadius: "50%", background: stress.color, animation: stress.score < 40 ? "pulse 1.5s infinite" : "none" }} />
+              <span style={{ fontFamily: T.mono, fontSize: 13, fontWeight: 700, color: stress.color }}>{stress.score}</span>
+              <span style={{ fontSize: 11, color: T.textSec }}>{stress.grade}</span>
+            </div>
           </div>
         </div>
       </header>
 
       {/* ── NAV TABS ── */}
-      <nav style={{ borderBottom: `1px solid ${T.border}`, background: `${T.bgCard}cc`, backdropFilter: "blur(10px)", position: "sticky", top: 72, zIndex: 99 }}>
+      <nav className="no-print" style={{ borderBottom: `1px solid ${T.border}`, background: `${T.bgCard}cc`, backdropFilter: "blur(10px)", position: "sticky", top: 72, zIndex: 99 }}>
         <div style={{ maxWidth: 1200, margin: "0 auto", display: "flex", gap: 0, padding: "0 28px", overflowX: "auto" }}>
           {TABS.map(t => (
             <button key={t.id} onClick={() => setTab(t.id)} style={{
@@ -445,6 +734,18 @@ export default function DebtFree() {
       {/* ── CONTENT ── */}
       <main style={{ maxWidth: 1200, margin: "0 auto", padding: "24px 28px 80px" }}>
 
+        {shareError && (
+          <div style={{
+            background: T.dangerDim, border: `1px solid ${T.danger}30`, borderRadius: T.radiusSm,
+            padding: "14px 18px", marginBottom: 20, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12,
+          }}>
+            <div style={{ fontSize: 13, color: T.danger }}>
+              <strong>Couldn't open shared plan.</strong> {shareError} Your current portfolio is still open.
+            </div>
+            <button onClick={() => setShareError(null)} style={{ background: "none", border: "none", color: T.danger, cursor: "pointer", fontSize: 16, padding: 4 }}>✕</button>
+          </div>
+        )}
+
         {/* ════════ DASHBOARD ════════ */}
         {tab === "dashboard" && (
           <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
@@ -469,13 +770,152 @@ export default function DebtFree() {
             {/* Income controls */}
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
               <Card>
-                <Field label="Monthly Net Income" prefix="₹" value={income} onChange={setIncome} />
+                {members.length ? (
+                  <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+                    <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>Household Net Income</label>
+                    <div style={{ fontFamily: T.mono, fontSize: 15, fontWeight: 600, padding: "11px 0" }}>
+                      {fmtFull(income)} <span style={{ fontFamily: T.font, fontSize: 12, color: T.textMut, fontWeight: 400 }}>from {members.length} {members.length === 1 ? "earner" : "earners"} — edit below</span>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    <Field label="Monthly Net Income" prefix="₹" value={income} onChange={setIncome} />
+                    <button onClick={addMember} style={{
+                      marginTop: 10, background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                      cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font,
+                    }}>+ Split by earner</button>
+                  </>
+                )}
               </Card>
               <Card>
                 <Field label="Extra Payment / Month" prefix="₹" value={extra} onChange={setExtra} />
               </Card>
             </div>
 
+            {/* Household members */}
+            {household && (
+              <Card>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                  <div>
+                    <Label>Household</Label>
+                    <div style={{ fontSize: 12, color: T.textSec, marginTop: -6 }}>Each earner's share of the debts — set who owns what on the Debts tab. Unassigned debts are split equally.</div>
+                  </div>
+                  <button onClick={addMember} style={{
+                    background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                    cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font, flexShrink: 0,
+                  }}>+ Add earner</button>
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr 1fr 0.8fr 0.9fr auto", gap: "0 14px", alignItems: "center", fontSize: 13 }}>
+                  {["Earner", "Net Income", "Share of Debt", "Share of EMIs", "EMI/Income", "Stress", ""].map(h => (
+                    <div key={h} style={{ fontSize: 10, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1, paddingBottom: 8, borderBottom: `1px solid ${T.border}` }}>{h}</div>
+                  ))}
+                  {[...household.members.map(m => ({ ...m, key: m.id })), { key: "all", name: "Household", income, stress: household.household }].map(m => {
+                    const cell = { padding: "8px 0", borderBottom: `1px solid ${T.border}`, fontFamily: T.mono };
+                    const input = { background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "7px 10px", color: T.text, fontSize: 13, outline: "none", width: "100%" };
+                    const f = m.stress.factors;
+                    return [
+                      <div key={`${m.key}-n`} style={{ ...cell, fontFamily: T.font }}>
+                        {m.key === "all" ? <span style={{ fontWeight: 700 }}>Household</span>
+                          : <input type="text" value={m.name} placeholder="Name" onChange={e => setMember(m.id, "name", e.target.value)} style={{ ...input, fontFamily: T.font, fontWeight: 600 }} />}
+                      </div>,
+                      <div key={`${m.key}-i`} style={cell}>
+                        {m.key === "all" ? <b>{fmtFull(income)}</b>
+                          : <input type="number" value={m.income || ""} onChange={e => setMember(m.id, "income", Math.max(0, parseFloat(e.target.value) || 0))} style={{ ...input, fontFamily: T.mono }} />}
+                      </div>,
+                      <div key={`${m.key}-b`} style={cell}>{fmt(f.totalBalance)}</div>,
+                      <div key={`${m.key}-e`} style={{ ...cell, color: T.warn }}>{fmtFull(f.totalEMI)}</div>,
+                      <div key={`${m.key}-r`} style={{ ...cell, color: f.emiToIncome > 40 ? T.danger : T.text }}>{m.income ? pct(f.emiToIncome) : "—"}</div>,
+                      <div key={`${m.key}-s`} style={{ ...cell, color: GRADE_COLORS[m.stress.grade], fontWeight: 700 }}>
+                        {m.stress.grade === "N/A" ? (!m.income ? "No income" : "No debt") : `${m.stress.score} · ${m.stress.grade}`}
+                      </div>,
+                      <div key={`${m.key}-x`} style={cell}>
+                        {m.key !== "all" && (
+                          <button onClick={() => updateMembers(members.filter(x => x.id !== m.id))} title="Remove earner"
+                            style={{ background: "none", border: "none", color: T.textMut, cursor: "pointer", fontSize: 13, padding: "0 4px" }}>✕</button>
+                        )}
+                      </div>,
+                    ];
+                  })}
+                </div>
+              </Card>
+            )}
+
+            {/* Floating-rate scenario */}
+            <Card glow={rateScenario.enabled ? T.warn : null}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: rateScenario.enabled ? 16 : 0 }}>
+                <div>
+                  <div style={{ fontSize: 11, color: T.textMut, textTransform: "uppercase", letterSpacing: 2, fontWeight: 600 }}>Repo Rate Scenario</div>
+                  <div style={{ fontSize: 12, color: T.textSec, marginTop: 4 }}>
+                    {debts.some(d => d.floating)
+                      ? `Shock the rate on ${debts.filter(d => d.floating).length} floating-rate ${debts.filter(d => d.floating).length === 1 ? "loan" : "loans"} and see the score, strategies and insights under it.`
+                      : "Mark loans as floating-rate on the Debts tab to test a repo-rate change."}
+                  </div>
+                </div>
+                <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, fontWeight: 600, color: rateScenario.enabled ? T.warn : T.textSec, cursor: "pointer", flexShrink: 0 }}>
+                  <input type="checkbox" checked={rateScenario.enabled} onChange={e => setRateScenario(r => ({ ...r, enabled: e.target.checked }))} />
+                  View scenario
+                </label>
+              </div>
+              {rateScenario.enabled && (
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 14 }}>
+                  <Field label="Repo Rate Change (bps)" value={rateScenario.shockBps} onChange={v => setRateScenario(r => ({ ...r, shockBps: Math.round(v) }))} small />
+                  <MonthField label="Effective From" value={rateScenario.shockDate} onChange={v => setRateScenario(r => ({ ...r, shockDate: v }))} />
+                  <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+                    <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>Bank Response</label>
+                    <select value={rateScenario.reset} onChange={e => setRateScenario(r => ({ ...r, reset: e.target.value }))} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                      padding: "10px 12px", color: T.text, fontSize: 13, fontFamily: T.font, outline: "none",
+                    }}>
+                      <option value="tenure">Keep EMI, extend tenure</option>
+                      <option value="emi">Keep tenure, raise EMI</option>
+                    </select>
+                  </div>
+                </div>
+              )}
+            </Card>
+
+            {/* Tax settings */}
+            <Card glow={marginalTax(tax) ? T.blue : null}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+                <div>
+                  <div style={{ fontSize: 11, color: T.textMut, textTransform: "uppercase", letterSpacing: 2, fontWeight: 600 }}>Tax Settings</div>
+                  <div style={{ fontSize: 12, color: T.textSec, marginTop: 4 }}>
+                    {debts.some(d => d.taxSection)
+                      ? "Old-regime relief: Section 24(b) and 80C on home loans, 80E on education loans."
+                      : "Mark home and education loans on the Debts tab to account for 24(b), 80C and 80E deductions."}
+                  </div>
+                </div>
+                <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, fontWeight: 600, color: tax.enabled ? T.blue : T.textSec, cursor: "pointer", flexShrink: 0 }}>
+                  <input type="checkbox" checked={tax.enabled} onChange={e => setTax(t => ({ ...t, enabled: e.target.checked }))} />
+                  Use post-tax rates
+                </label>
+              </div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 14, alignItems: "end" }}>
+                {[
+                  { label: "Tax Regime", value: tax.regime, onChange: v => setTax(t => ({ ...t, regime: v })), options: [["old", "Old regime"], ["new", "New regime"]] },
+                  { label: "Income Tax Slab", value: tax.slab, onChange: v => setTax(t => ({ ...t, slab: Number(v) })), options: [0, 5, 10, 15, 20, 30].map(n => [n, `${n}%`]) },
+                ].map(f => (
+                  <div key={f.label} style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+                    <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>{f.label}</label>
+                    <select value={f.value} onChange={e => f.onChange(e.target.value)} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                      padding: "10px 12px", color: T.text, fontSize: 13, fontFamily: T.font, outline: "none",
+                    }}>
+                      {f.options.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                    </select>
+                  </div>
+                ))}
+                <Field label="80C Already Used" prefix="₹" value={tax.used80C} onChange={v => setTax(t => ({ ...t, used80C: Math.max(0, v) }))} small />
+                <div style={{ fontSize: 12, color: T.textMut, paddingBottom: 10 }}>
+                  {tax.regime === "new"
+                    ? "The new regime allows no loan deductions."
+                    : marginalTax(tax)
+                      ? <>Tax saved over the plan <span style={{ fontFamily: T.mono, color: T.blue, fontWeight: 700 }}>{fmtFull(strategies[best].taxSaved)}</span></>
+                      : "Strategies and the stress score use headline rates."}
+                </div>
+              </div>
+            </Card>
+
             {/* Score + Metrics + Best Strategy */}
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1.2fr 1fr", gap: 16 }}>
               <Card glow={stress.color}>
@@ -502,7 +942,11 @@ export default function DebtFree() {
                 <MetricRow label="Monthly EMI Outflow" value={fmtFull(stress.factors.totalEMI)} color={T.warn} />
                 <MetricRow label="Active Loans" value={`${debts.length}`} />
                 <MetricRow label="Annual Income" value={fmtFull(income * 12)} />
-                <MetricRow label="Free Cash After EMI" value={fmtFull(income - stress.factors.totalEMI)} color={income - stress.factors.totalEMI > 0 ? T.safe : T.danger} />
+                {expenses ? (
+                  <MetricRow label="Disposable After Expenses" value={fmtFull(income - expenses.total - stress.factors.totalEMI)} color={income - expenses.total - stress.factors.totalEMI > 0 ? T.safe : T.danger} />
+                ) : (
+                  <MetricRow label="Free Cash After EMI" value={fmtFull(income - stress.factors.totalEMI)} color={income - stress.factors.totalEMI > 0 ? T.safe : T.danger} />
+                )}
                 {/* Mini composition bar */}
                 <div style={{ marginTop: 14 }}>
                   <div style={{ display: "flex", borderRadius: 5, overflow: "hidden", height: 8 }}>
@@ -524,12 +968,12 @@ export default function DebtFree() {
               </Card>
 
               <Card glow={T.accent}>
-                <Label>Optimal Strategy</Label>
+                <Label>Recommended Strategy</Label>
                 <div style={{ fontSize: 28, fontWeight: 800, fontFamily: T.display, color: T.accent, lineHeight: 1, marginBottom: 6 }}>
                   {best.charAt(0).toUpperCase() + best.slice(1)}
                 </div>
                 <p style={{ fontSize: 12, color: T.textMut, marginBottom: 16 }}>
-                  {best === "avalanche" ? "Target highest interest first" : best === "snowball" ? "Clear smallest balance first" : "Weighted rate × balance"}
+                  {best === "avalanche" ? "Target highest interest first" : best === "snowball" ? "Clear smallest balance first" : best === "custom" ? "Your own priority order" : "Weighted rate × balance"}
                 </p>
                 <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
                   <div style={{ background: T.safeDim, borderRadius: T.radiusXs, padding: "12px 14px" }}>
@@ -538,8 +982,8 @@ export default function DebtFree() {
                   </div>
                   <div style={{ background: T.accentDim, borderRadius: T.radiusXs, padding: "12px 14px" }}>
                     <div style={{ fontSize: 10, color: T.accent, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>Debt-Free In</div>
-                    <div style={{ fontFamily: T.mono, fontSize: 22, fontWeight: 800, color: T.accent, marginTop: 2 }}>{months2str(strategies[best].months)}</div>
-                    <div style={{ fontSize: 11, color: T.textMut }}>{monthsSaved}mo earlier than baseline</div>
+                    <div style={{ fontFamily: T.mono, fontSize: 22, fontWeight: 800, color: T.accent, marginTop: 2 }}>{payoffStr(strategies[best])}</div>
+                    <div style={{ fontSize: 11, color: T.textMut }}>{debtFreeDate(strategies[best])} · {monthsSaved}mo earlier than baseline</div>
                   </div>
                   <div style={{ background: T.blueDim, borderRadius: T.radiusXs, padding: "12px 14px" }}>
                     <div style={{ fontSize: 10, color: T.blue, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>Total Interest</div>
@@ -549,6 +993,172 @@ export default function DebtFree() {
               </Card>
             </div>
 
+            {/* Stress score breakdown and scoring settings */}
+            {stress.breakdown.length > 0 && (
+              <Card>
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 16, marginBottom: 14 }}>
+                  <div>
+                    <div style={{ fontSize: 11, color: T.textMut, textTransform: "uppercase", letterSpacing: 2, fontWeight: 600 }}>What's Driving Your Score</div>
+                    <div style={{ fontSize: 12, color: T.textSec, marginTop: 4 }}>
+                      Points each factor costs under the <span style={{ color: T.text, fontWeight: 600 }}>{scoring.name}</span> scoring profile, and the change that wins some back.
+                    </div>
+                  </div>
+                  <button onClick={() => setScoringOpen(o => !o)} style={{
+                    background: scoringOpen ? T.accentDim : "none", border: `1px solid ${scoringOpen ? T.accent + "40" : T.border}`, borderRadius: T.radiusXs,
+                    padding: "7px 12px", color: scoringOpen ? T.accent : T.textSec, fontSize: 12, fontWeight: 600, cursor: "pointer", fontFamily: T.font, flexShrink: 0,
+                  }}>⚙ Scoring</button>
+                </div>
+                {stress.breakdown.map(b => {
+                  const value = b.key === "leverage" ? `${b.value.toFixed(1)}x` : b.key === "complexity" ? `${b.value} loans` : pct(b.value);
+                  const c = !b.points ? T.safe : b.points >= b.max * 0.5 ? T.danger : T.warn;
+                  return (
+                    <div key={b.key} style={{ display: "grid", gridTemplateColumns: "150px 80px 1fr 70px", gap: 14, alignItems: "center", padding: "9px 0", borderBottom: `1px solid ${T.border}` }}>
+                      <span style={{ fontSize: 13, color: T.textSec }}>{b.label}</span>
+                      <span style={{ fontFamily: T.mono, fontSize: 13, fontWeight: 600 }}>{value}</span>
+                      <div>
+                        <div style={{ height: 6, background: T.bg, borderRadius: 3, overflow: "hidden" }}>
+                          <div style={{ width: `${b.max ? b.points / b.max * 100 : 0}%`, height: "100%", background: c, transition: "width 0.5s" }} />
+                        </div>
+                        {b.recover && (
+                          <div style={{ fontSize: 11, color: T.textMut, marginTop: 5 }}>
+                            {b.recover.text.charAt(0).toUpperCase() + b.recover.text.slice(1)} to gain <span style={{ color: T.accent, fontWeight: 700 }}>{Math.round(b.recover.points)} point{Math.round(b.recover.points) === 1 ? "" : "s"}</span>
+                          </div>
+                        )}
+                      </div>
+                      <span style={{ fontFamily: T.mono, fontSize: 13, fontWeight: 700, color: c, textAlign: "right" }}>{b.points ? `−${Math.round(b.points)}` : "0"}</span>
+                    </div>
+                  );
+                })}
+
+                {scoringOpen && (() => {
+                  const custom = scoring.id !== DEFAULT_SCORING.id;
+                  const num = { background: "transparent", border: "none", fontFamily: T.mono, fontSize: 12, fontWeight: 700, outline: "none" };
+                  return (
+                    <div style={{ marginTop: 18, paddingTop: 16, borderTop: `1px solid ${T.borderLight}` }}>
+                      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 14 }}>
+                        <select value={scoring.id} onChange={e => setScoringProfiles(s => ({ ...s, activeId: e.target.value }))} style={{
+                          background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                          padding: "8px 12px", color: T.text, fontSize: 12, fontFamily: T.font, outline: "none",
+                        }}>
+                          {[DEFAULT_SCORING, ...store.scoring.profiles].map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        {[
+                          { l: "Save as new profile", fn: saveScoringAs, show: true },
+                          { l: "Rename", fn: () => { const name = window.prompt("Rename scoring profile", scoring.name); if (name && name.trim()) updateScoring(p => ({ ...p, name: name.trim() })); }, show: custom },
+                          { l: "Delete", fn: deleteScoring, show: custom },
+                        ].filter(b => b.show).map(b => (
+                          <button key={b.l} onClick={b.fn} style={{
+                            background: "none", border: `1px solid ${T.border}`, borderRadius: T.radiusXs, color: T.textSec,
+                            cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font,
+                          }}>{b.l}</button>
+                        ))}
+                        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: T.textMut, marginLeft: "auto" }}>
+                          High-rate debt above
+                          <input type="number" value={scoring.highRate} readOnly={!custom} onChange={e => updateScoring(p => ({ ...p, highRate: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                            style={{ ...num, width: 44, color: T.text, background: T.bgInput, borderRadius: T.radiusXs, padding: "6px 8px" }} />
+                          % p.a.
+                        </label>
+                      </div>
+                      {!custom && (
+                        <div style={{ fontSize: 12, color: T.textMut, marginBottom: 12 }}>The default profile is the standard score. Save it as a new profile to adjust thresholds and weights.</div>
+                      )}
+                      {STRESS_FACTORS.map(({ key, label, unit, below }) => {
+                        const f = scoring.factors[key];
+                        return (
+                          <div key={key} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", padding: "6px 0", fontSize: 12 }}>
+                            <span style={{ width: 150, color: T.textSec, fontWeight: 600 }}>{label}</span>
+                            <div style={{ display: "flex", alignItems: "center", gap: 4, background: T.bg, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "4px 8px" }}>
+                              <span style={{ color: T.textMut }}>weight ×</span>
+                              <input type="number" step="0.1" value={f.weight} readOnly={!custom} onChange={e => setFactor(key, x => ({ ...x, weight: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                                style={{ ...num, width: 40, color: T.accent }} />
+                            </div>
+                            {f.bands.map((band, i) => {
+                              const setBand = (j, v) => setFactor(key, x => ({ ...x, bands: x.bands.map((b, k) => k !== i ? b : j === 0 ? [v, b[1]] : [b[0], v]) }));
+                              return (
+                                <div key={i} style={{ display: "flex", alignItems: "center", gap: 4, background: T.bg, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "4px 8px" }}>
+                                  <span style={{ color: T.textMut }}>{below ? "<" : ">"}</span>
+                                  <input type="number" value={band[0]} readOnly={!custom} onChange={e => setBand(0, parseFloat(e.target.value) || 0)} style={{ ...num, width: 40, color: T.text }} />
+                                  <span style={{ color: T.textMut }}>{unit} →</span>
+                                  <input type="number" value={band[1]} readOnly={!custom} onChange={e => setBand(1, Math.max(0, parseFloat(e.target.value) || 0))} style={{ ...num, width: 32, color: T.warn }} />
+                                  <span style={{ color: T.textMut }}>pts</span>
+                                  {custom && <button onClick={() => setFactor(key, x => ({ ...x, bands: x.bands.filter((_, k) => k !== i) }))} style={{ background: "none", border: "none", color: T.textMut, cursor: "pointer", fontSize: 12, padding: "0 2px" }}>✕</button>}
+                                </div>
+                              );
+                            })}
+                            {custom && (
+                              <button onClick={() => setFactor(key, x => ({ ...x, bands: [...x.bands, [0, 0]] }))} style={{
+                                background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                                cursor: "pointer", padding: "5px 10px", fontSize: 12, fontFamily: T.font,
+                              }}>+ Band</button>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  );
+                })()}
+              </Card>
+            )}
+
+            {/* Income shock stress test */}
+            <Card>
+              <Label>Income Shock Test</Label>
+              <p style={{ fontSize: 12, color: T.textSec, margin: "-6px 0 16px", lineHeight: 1.5 }}>
+                What happens to the {best} plan if income stops or drops, or a large bill arrives. Extra payments pause during the shock;
+                the emergency fund covers the gap until it runs out, then EMIs are missed — cards first, secured loans last.
+              </p>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 12, alignItems: "end" }}>
+                <Field label="Emergency Fund" prefix="₹" value={emergencyFund} onChange={v => setEmergencyFund(Math.max(0, v))} small />
+                <Field label="Living Costs / Month" prefix="₹" value={livingCosts}
+                  onChange={v => setShockTest(t => ({ ...t, expenses: Math.max(0, v) }))} small />
+                <Field label="Job Loss (months)" value={shockTest.jobMonths} onChange={v => setShockTest(t => ({ ...t, jobMonths: Math.max(1, Math.round(v)) }))} small />
+                <Field label="Pay Cut (%)" value={shockTest.cutPct} onChange={v => setShockTest(t => ({ ...t, cutPct: Math.min(100, Math.max(0, v)) }))} small />
+                <Field label="Cut For (months)" value={shockTest.cutMonths} onChange={v => setShockTest(t => ({ ...t, cutMonths: Math.max(1, Math.round(v)) }))} small />
+                <Field label="Medical Bill" prefix="₹" value={shockTest.medical} onChange={v => setShockTest(t => ({ ...t, medical: Math.max(0, v) }))} small />
+              </div>
+              {shockResults.length ? (
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12, marginTop: 20 }}>
+                  {shockResults.map(r => {
+                    const title = r.shock.kind === "jobloss" ? `Job loss · ${months2str(r.shock.months)}`
+                      : r.shock.kind === "paycut" ? `${r.shock.cutPct}% pay cut · ${months2str(r.shock.months)}`
+                      : `Medical bill · ${fmt(r.shock.amount)}`;
+                    const ok = !r.missed.length && !r.unmet;
+                    const counts = r.missed.reduce((m, e) => ({ ...m, [e.name]: (m[e.name] || 0) + 1 }), {});
+                    const { before, during, after } = r.stress;
+                    return (
+                      <div key={r.shock.kind} style={{ background: T.bg, borderRadius: T.radiusXs, padding: "12px 16px", border: `1px solid ${ok ? T.border : T.danger + "40"}` }}>
+                        <div style={{ fontSize: 10, color: ok ? T.accent : T.danger, fontWeight: 700, textTransform: "uppercase", letterSpacing: 1, marginBottom: 4 }}>{title}</div>
+                        <MetricRow label="Emergency fund"
+                          value={r.runsOut ? `Runs out ${monthDate(r.runsOut)}` : `${fmt(r.fundLeft)} left`}
+                          sub={r.runsOut ? `month ${r.runsOut}` : null} color={r.runsOut ? T.danger : T.safe} />
+                        <MetricRow label="Missed EMIs" value={r.missed.length ? `${r.missed.length} · ${fmt(r.missed.reduce((s, e) => s + e.amount, 0))}` : "None"}
+                          color={r.missed.length ? T.danger : T.safe} />
+                        <MetricRow label="Debt-free" value={debtFreeDate(r.shocked)} sub={r.delay > 0 ? `${months2str(r.delay)} later` : "no delay"} color={r.delay > 0 ? T.warn : T.text} />
+                        <MetricRow label="Extra interest" value={fmtFull(Math.max(0, r.extraInterest))} color={T.warn} />
+                        <MetricRow label="Stress score"
+                          value={<>
+                            <span style={{ color: GRADE_COLORS[before.grade] }}>{before.score}</span>{" → "}
+                            <span style={{ color: GRADE_COLORS[during.grade] }}>{during.grade === "N/A" ? "no income" : during.score}</span>{" → "}
+                            <span style={{ color: GRADE_COLORS[after.grade] }}>{after.score}</span>
+                          </>}
+                          sub="now → during → after" />
+                        {r.missed.length > 0 && (
+                          <div style={{ fontSize: 11, color: T.textMut, marginTop: 8, lineHeight: 1.5 }}>
+                            Misses {Object.entries(counts).map(([name, n]) => `${name || "Unnamed Debt"} ×${n}`).join(", ")} from {monthDate(r.missed[0].month)}.
+                          </div>
+                        )}
+                        {r.unmet > 0 && (
+                          <div style={{ fontSize: 11, color: T.danger, marginTop: 6 }}>{fmtFull(r.unmet)} of living costs still uncovered.</div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              ) : (
+                <div style={{ fontSize: 12, color: T.textMut, marginTop: 16 }}>Enter your monthly income to run the stress test.</div>
+              )}
+            </Card>
+
             {/* Top AI Insight */}
             {insights.length > 0 && (
               <InsightCard insight={insights[0]} index={0} />
@@ -564,15 +1174,93 @@ export default function DebtFree() {
                 <h2 style={{ fontFamily: T.display, fontSize: 20, fontWeight: 800, margin: 0 }}>Manage Debts</h2>
                 <p style={{ fontSize: 13, color: T.textMut, margin: "4px 0 0" }}>Add all your active loans, credit cards, and EMI obligations</p>
               </div>
-              <button onClick={() => { setDebts(p => [...p, { id: nextId, name: "", balance: 0, rate: 0, emi: 0, type: "unsecured" }]); setNextId(n => n + 1); }}
-                style={{
-                  background: `linear-gradient(135deg, ${T.accent}, ${T.cyan})`, border: "none", borderRadius: T.radiusSm,
-                  padding: "11px 22px", color: T.bg, fontWeight: 700, fontSize: 13, cursor: "pointer", fontFamily: T.font,
-                }}>+ Add Debt</button>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <input ref={fileInputRef} type="file" accept=".json,.csv,application/json,text/csv" onChange={handleImportFile} style={{ display: "none" }} />
+                {[
+                  { l: "⇩ JSON", fn: () => exportPortfolio("json"), on: debts.length > 0 },
+                  { l: "⇩ CSV", fn: () => exportPortfolio("csv"), on: debts.length > 0 },
+                  { l: "⇧ Import", fn: () => fileInputRef.current.click(), on: true },
+                  { l: "↶ Undo", fn: history.undo, on: history.canUndo },
+                  { l: "↷ Redo", fn: history.redo, on: history.canRedo },
+                ].map(b => (
+                  <button key={b.l} onClick={b.fn} disabled={!b.on} style={{
+                    background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusSm,
+                    padding: "11px 16px", color: b.on ? T.textSec : T.border, fontWeight: 600, fontSize: 13,
+                    cursor: b.on ? "pointer" : "default", fontFamily: T.font,
+                  }}>{b.l}</button>
+                ))}
+                <button onClick={() => { setDebts(p => [...p, { id: nextId, name: "", balance: 0, rate: 0, emi: 0, type: "unsecured", startDate: "", tenure: 0, floating: false, rateChanges: [] }]); setNextId(n => n + 1); }}
+                  style={{
+                    background: `linear-gradient(135deg, ${T.accent}, ${T.cyan})`, border: "none", borderRadius: T.radiusSm,
+                    padding: "11px 22px", color: T.bg, fontWeight: 700, fontSize: 13, cursor: "pointer", fontFamily: T.font,
+                  }}>+ Add Debt</button>
+              </div>
             </div>
 
+            {/* Import preview */}
+            {pendingImport && (() => {
+              const validCount = pendingImport.rows.filter(r => !r.errors.length).length;
+              const badCount = pendingImport.rows.length - validCount;
+              return (
+                <Card glow={pendingImport.error || badCount ? T.warn : T.accent}>
+                  <Label>Import Preview · {pendingImport.fileName}</Label>
+                  {pendingImport.error ? (
+                    <div style={{ fontSize: 13, color: T.danger, marginBottom: 16 }}>{pendingImport.error}</div>
+                  ) : (
+                    <>
+                      <div style={{ fontSize: 13, color: T.textSec, marginBottom: 12 }}>
+                        <span style={{ color: T.safe, fontWeight: 700 }}>{validCount}</span> valid {validCount === 1 ? "row" : "rows"}
+                        {badCount > 0 && <>, <span style={{ color: T.danger, fontWeight: 700 }}>{badCount}</span> with errors (skipped)</>}
+                        {pendingImport.income !== undefined && <> · income {fmtFull(pendingImport.income)}</>}
+                        {pendingImport.extra !== undefined && <> · extra {fmtFull(pendingImport.extra)}</>}
+                      </div>
+                      <div style={{ maxHeight: 280, overflowY: "auto", marginBottom: 16 }}>
+                        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                          <thead>
+                            <tr>{["#", "Name", "Balance", "Rate", "EMI", "Type", "Status"].map(h => (
+                              <th key={h} style={{ textAlign: "left", padding: "6px 8px", color: T.textMut, fontWeight: 600, textTransform: "uppercase", fontSize: 10, letterSpacing: 1, borderBottom: `1px solid ${T.border}` }}>{h}</th>
+                            ))}</tr>
+                          </thead>
+                          <tbody>
+                            {pendingImport.rows.map(r => (
+                              <tr key={r.row} style={{ borderBottom: `1px solid ${T.border}`, color: r.errors.length ? T.textMut : T.text }}>
+                                <td style={{ padding: "6px 8px", fontFamily: T.mono }}>{r.row}</td>
+                                <td style={{ padding: "6px 8px" }}>{r.debt.name}</td>
+                                <td style={{ padding: "6px 8px", fontFamily: T.mono }}>{Number.isFinite(r.debt.balance) ? fmtFull(r.debt.balance) : "—"}</td>
+                                <td style={{ padding: "6px 8px", fontFamily: T.mono }}>{Number.isFinite(r.debt.rate) ? `${r.debt.rate}%` : "—"}</td>
+                                <td style={{ padding: "6px 8px", fontFamily: T.mono }}>{Number.isFinite(r.debt.emi) ? fmtFull(r.debt.emi) : "—"}</td>
+                                <td style={{ padding: "6px 8px" }}>{r.debt.type}</td>
+                                <td style={{ padding: "6px 8px", color: r.errors.length ? T.danger : T.safe }}>{r.errors.length ? r.errors.join("; ") : "✓ OK"}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </>
+                  )}
+                  <div style={{ display: "flex", gap: 8 }}>
+                    {!pendingImport.error && [
+                      { l: "Replace Current Debts", fn: () => applyImport("replace"), primary: true },
+                      { l: "Merge (Append)", fn: () => applyImport("merge") },
+                    ].map(b => (
+                      <button key={b.l} onClick={b.fn} disabled={!validCount} style={{
+                        background: b.primary && validCount ? `linear-gradient(135deg, ${T.accent}, ${T.cyan})` : T.bgInput,
+                        border: b.primary && validCount ? "none" : `1px solid ${T.border}`, borderRadius: T.radiusSm,
+                        padding: "10px 18px", color: b.primary && validCount ? T.bg : validCount ? T.textSec : T.border,
+                        fontWeight: 700, fontSize: 13, cursor: validCount ? "pointer" : "default", fontFamily: T.font,
+                      }}>{b.l}</button>
+                    ))}
+                    <button onClick={() => setPendingImport(null)} style={{
+                      background: "none", border: `1px solid ${T.border}`, borderRadius: T.radiusSm,
+                      padding: "10px 18px", color: T.textMut, fontWeight: 600, fontSize: 13, cursor: "pointer", fontFamily: T.font,
+                    }}>Cancel</button>
+                  </div>
+                </Card>
+              );
+            })()}
+
             {debts.map((d, idx) => (
-              <Card key={d.id} style={{ animation: `fadeSlideIn 0.3s ease ${idx * 0.05}s both` }}>
+              <Card key={d.id} glow={stuckDebts.has(d.id) ? T.danger : null} style={{ animation: `fadeSlideIn 0.3s ease ${idx * 0.05}s both` }}>
                 <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
                   <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
                     <div style={{ width: 12, height: 12, borderRadius: 3, background: debtColors[idx % debtColors.length] }} />
@@ -584,6 +1272,18 @@ export default function DebtFree() {
                       }} />
                   </div>
                   <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                    {!isCard(d) && (
+                      <select value={d.solveFor || ""} onChange={e => handleDebtChange(d.id, "solveFor", e.target.value)} title="Work out one term from the others"
+                        style={{
+                          background: T.bgInput, border: `1px solid ${d.solveFor ? T.accent + "60" : T.border}`, borderRadius: T.radiusXs,
+                          padding: "7px 12px", color: d.solveFor ? T.accent : T.textSec, fontSize: 12, fontFamily: T.font, outline: "none",
+                        }}>
+                        <option value="">Enter all terms</option>
+                        <option value="emi">Compute EMI</option>
+                        <option value="tenure">Compute tenure</option>
+                        <option value="rate">Compute rate</option>
+                      </select>
+                    )}
                     <select value={d.type || "unsecured"} onChange={e => handleDebtChange(d.id, "type", e.target.value)}
                       style={{
                         background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
@@ -593,6 +1293,15 @@ export default function DebtFree() {
                       <option value="unsecured">Unsecured</option>
                       <option value="revolving">Revolving</option>
                     </select>
+                    <select value={d.taxSection || ""} onChange={e => handleDebtChange(d.id, "taxSection", e.target.value)} title="Tax deduction"
+                      style={{
+                        background: T.bgInput, border: `1px solid ${d.taxSection ? T.blue + "60" : T.border}`, borderRadius: T.radiusXs,
+                        padding: "7px 12px", color: d.taxSection ? T.blue : T.textSec, fontSize: 12, fontFamily: T.font, outline: "none",
+                      }}>
+                      <option value="">No tax benefit</option>
+                      <option value="24b">Home loan · 24(b) + 80C</option>
+                      <option value="80e">Education loan · 80E</option>
+                    </select>
                     <button onClick={() => setDebts(p => p.filter(x => x.id !== d.id))}
                       style={{ background: T.dangerDim, border: `1px solid ${T.danger}30`, borderRadius: T.radiusXs, color: T.danger, cursor: "pointer", padding: "7px 12px", fontSize: 13 }}>
                       Remove
@@ -601,14 +1310,172 @@ export default function DebtFree() {
                 </div>
                 <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 14 }}>
                   <Field label="Outstanding Balance" prefix="₹" value={d.balance} onChange={v => handleDebtChange(d.id, "balance", v)} small />
-                  <Field label="Interest Rate (% p.a.)" value={d.rate} onChange={v => handleDebtChange(d.id, "rate", v)} small />
-                  <Field label="Monthly EMI" prefix="₹" value={d.emi} onChange={v => handleDebtChange(d.id, "emi", v)} small />
+                  <Field label={`Interest Rate (% p.a.)${solving(d, "rate") ? " · computed" : ""}`} value={d.rate} onChange={v => handleDebtChange(d.id, "rate", v)} readOnly={solving(d, "rate")} small />
+                  <Field label={isCard(d) ? "Monthly Payment" : `Monthly EMI${solving(d, "emi") ? " · computed" : ""}`} prefix="₹" value={d.emi} onChange={v => handleDebtChange(d.id, "emi", v)} readOnly={solving(d, "emi")} small />
+                  <MonthField label="Next / First EMI" value={d.startDate} onChange={v => handleDebtChange(d.id, "startDate", v)} />
+                  <Field label={`Remaining Tenure (months)${solving(d, "tenure") ? " · computed" : ""}`} value={d.tenure} onChange={v => handleDebtChange(d.id, "tenure", Math.max(0, Math.round(v)))} readOnly={solving(d, "tenure")} small />
+                  {(() => {
+                    const starts = startMonth(d);
+                    return (
+                      <div style={{ display: "flex", flexDirection: "column", gap: 5, justifyContent: "flex-end", paddingBottom: 10, fontSize: 12, color: T.textMut }}>
+                        {starts > 1 && <span>Starts <span style={{ color: T.blue, fontFamily: T.mono, fontWeight: 600 }}>{monthDate(starts)}</span> — no EMI until then</span>}
+                        {d.tenure > 0 && <span>Scheduled end <span style={{ color: T.text, fontFamily: T.mono, fontWeight: 600 }}>{monthDate(starts + d.tenure - 1)}</span></span>}
+                        {starts <= 1 && !d.tenure && <span>Already running — add the remaining tenure to see its end date</span>}
+                      </div>
+                    );
+                  })()}
+                  <Field label="Prepayment Charge (%)" value={d.prepayPenalty} onChange={v => handleDebtChange(d.id, "prepayPenalty", Math.min(100, Math.max(0, v)))} small />
+                  <MonthField label="Lock-in Until" value={d.lockInUntil} onChange={v => handleDebtChange(d.id, "lockInUntil", v)} />
+                  {(() => {
+                    const unlocks = unlockMonth(d);
+                    const earns = prepayRate(d, d.balance, tax);
+                    const afterTax = postTaxRate(d, { ...tax, enabled: true }, d.balance, true);
+                    return (
+                      <div style={{ display: "flex", flexDirection: "column", gap: 5, justifyContent: "flex-end", paddingBottom: 10, fontSize: 12, color: T.textMut }}>
+                        {unlocks > 1 && <span>No prepayment until <span style={{ color: T.warn, fontFamily: T.mono, fontWeight: 600 }}>{monthDate(unlocks)}</span></span>}
+                        {d.prepayPenalty > 0 && (earns > 0
+                          ? <span>Prepaying earns <span style={{ color: T.text, fontFamily: T.mono, fontWeight: 600 }}>{pct(earns)}</span> p.a. after charges</span>
+                          : <span style={{ color: T.warn }}>Charge outweighs the interest saved — Avalanche and Hybrid skip this loan</span>)}
+                        {unlocks <= 1 && !d.prepayPenalty && <span>Prepay freely — no charges or lock-in</span>}
+                        {d.taxSection && afterTax < d.rate && <span>After tax, prepaying saves <span style={{ color: T.blue, fontFamily: T.mono, fontWeight: 600 }}>{pct(afterTax)}</span> p.a.</span>}
+                        {d.taxSection === "24b" && tax.regime === "old" && afterTax >= d.rate && <span>Interest is past the 24(b) limit — prepaying saves the full rate</span>}
+                      </div>
+                    );
+                  })()}
                 </div>
-                {d.rate > 0 && d.balance > 0 && (
+                <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 12 }}>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6, color: d.floating ? T.blue : T.textMut, fontWeight: 600, cursor: "pointer", marginRight: 6 }}>
+                    <input type="checkbox" checked={!!d.floating} onChange={e => handleDebtChange(d.id, "floating", e.target.checked)} />
+                    Floating rate (repo-linked)
+                  </label>
+                  {d.floating && (d.rateChanges || []).map((c, i) => {
+                    const setChange = (key, val) => handleDebtChange(d.id, "rateChanges", d.rateChanges.map((x, j) => j === i ? { ...x, [key]: val } : x));
+                    return (
+                      <div key={i} style={{ display: "flex", alignItems: "center", gap: 6, background: T.bg, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "4px 6px 4px 10px" }}>
+                        <input type="month" value={c.date || ""} onChange={e => setChange("date", e.target.value)} style={{ background: "transparent", border: "none", color: T.text, fontFamily: T.mono, fontSize: 12, outline: "none", colorScheme: "dark" }} />
+                        <span style={{ color: T.textMut }}>→</span>
+                        <input type="number" step="0.05" value={Number.isFinite(c.rate) ? c.rate : ""} onChange={e => setChange("rate", parseFloat(e.target.value) || 0)} style={{ width: 56, background: "transparent", border: "none", color: T.blue, fontFamily: T.mono, fontSize: 12, fontWeight: 700, outline: "none" }} />
+                        <span style={{ color: T.textMut }}>%</span>
+                        <button onClick={() => handleDebtChange(d.id, "rateChanges", d.rateChanges.filter((_, j) => j !== i))} style={{ background: "none", border: "none", color: T.textMut, cursor: "pointer", fontSize: 12, padding: "0 4px" }}>✕</button>
+                      </div>
+                    );
+                  })}
+                  {d.floating && (
+                    <button onClick={() => handleDebtChange(d.id, "rateChanges", [...(d.rateChanges || []), { date: "", rate: d.rate }])} style={{
+                      background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                      cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font,
+                    }}>+ Rate change</button>
+                  )}
+                </div>
+                {members.length > 1 && (() => {
+                  const shares = ownerShares(d, members);
+                  return (
+                    <div style={{ marginTop: 12, display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 12 }}>
+                      <span style={{ color: T.textMut, fontWeight: 600, marginRight: 6 }}>Owned by</span>
+                      {members.map(m => (
+                        <div key={m.id} style={{ display: "flex", alignItems: "center", gap: 6, background: T.bg, border: `1px solid ${shares[m.id] ? T.accent + "40" : T.border}`, borderRadius: T.radiusXs, padding: "4px 10px" }}>
+                          <span style={{ color: shares[m.id] ? T.text : T.textMut }}>{m.name || "Unnamed"}</span>
+                          <input type="number" value={d.owners?.[m.id] || ""} placeholder={String(Math.round((shares[m.id] || 0) * 100))}
+                            onChange={e => {
+                              const { [m.id]: _, ...rest } = d.owners || {};
+                              const v = Math.max(0, parseFloat(e.target.value) || 0);
+                              handleDebtChange(d.id, "owners", v ? { ...rest, [m.id]: v } : rest);
+                            }}
+                            style={{ width: 48, background: "transparent", border: "none", color: T.accent, fontFamily: T.mono, fontSize: 12, fontWeight: 700, outline: "none" }} />
+                          <span style={{ color: T.textMut }}>%</span>
+                        </div>
+                      ))}
+                      {!Object.keys(d.owners || {}).length && <span style={{ color: T.textMut }}>Shared equally until set</span>}
+                    </div>
+                  );
+                })()}
+                {d.type === "revolving" && (
+                  <div style={{ marginTop: 12, fontSize: 12 }}>
+                    <label style={{ display: "flex", alignItems: "center", gap: 6, color: d.card ? T.purple : T.textMut, fontWeight: 600, cursor: "pointer" }}>
+                      <input type="checkbox" checked={!!d.card} onChange={e => handleDebtChange(d.id, "card", e.target.checked ? { ...CARD_DEFAULTS } : null)} />
+                      Credit card terms (minimum due, GST, new spends)
+                    </label>
+                    {d.card && (() => {
+                      const setCard = (key, val) => handleDebtChange(d.id, "card", { ...d.card, [key]: Math.max(0, val) });
+                      const st = cardStatement(d.card, d.balance, d.rate, d.emi);
+                      const min = cardMinimumPayoff(d);
+                      return (
+                        <>
+                          <div style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 12, marginTop: 12 }}>
+                            <Field label="Min Due (%)" value={d.card.minDuePct} onChange={v => setCard("minDuePct", Math.min(100, v))} small />
+                            <Field label="Min Due Floor" prefix="₹" value={d.card.minDueFloor} onChange={v => setCard("minDueFloor", v)} small />
+                            <Field label="GST on Interest (%)" value={d.card.gstPct} onChange={v => setCard("gstPct", v)} small />
+                            <Field label="New Spends / Month" prefix="₹" value={d.card.spend} onChange={v => setCard("spend", v)} small />
+                            <Field label="Late Fee" prefix="₹" value={d.card.lateFee} onChange={v => setCard("lateFee", v)} small />
+                          </div>
+                          <div style={{ marginTop: 10, display: "flex", gap: 18, flexWrap: "wrap", color: T.textMut, lineHeight: 1.6 }}>
+                            <span>Minimum due now <span style={{ fontFamily: T.mono, color: T.text, fontWeight: 600 }}>{fmtFull(st.minDue)}</span></span>
+                            <span>This month's charges <span style={{ fontFamily: T.mono, color: T.warn, fontWeight: 600 }}>{fmtFull(st.interest)}</span> incl. GST</span>
+                            <span>Minimum only: <span style={{ fontFamily: T.mono, color: T.danger, fontWeight: 600 }}>
+                              {min.paidOff ? `${months2str(min.months)}, ${fmtFull(min.totalInterest)} interest + GST` : "never cleared"}
+                            </span></span>
+                          </div>
+                          {d.emi > 0 && d.emi < st.minDue - 0.5 && (
+                            <div style={{ marginTop: 8, color: T.warn, fontWeight: 600 }}>
+                              ⚠ Payment is below the minimum due — a late fee of {fmtFull(d.card.lateFee)} plus GST is added every month.
+                            </div>
+                          )}
+                        </>
+                      );
+                    })()}
+                  </div>
+                )}
+                {(() => {
+                  const terms = checkLoanTerms(d);
+                  const cantSolve = d.solveFor && !isCard(d) && d.balance > 0 && solveLoan(d, d.solveFor) === null;
+                  if (!terms && !cantSolve) return null;
+                  if (cantSolve) return (
+                    <div style={{ marginTop: 12, fontSize: 12, color: T.warn }}>
+                      {{ emi: "Enter the remaining tenure to work out the EMI.", tenure: "The EMI doesn't cover the interest, so the loan has no tenure to work out.", rate: "Enter an EMI and remaining tenure that repay the balance to work out the rate." }[d.solveFor]}
+                    </div>
+                  );
+                  return (
+                    <div style={{ marginTop: 12, padding: "12px 14px", background: T.warnDim, border: `1px solid ${T.warn}30`, borderRadius: T.radiusXs, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, fontSize: 12 }}>
+                      <div style={{ color: T.textSec, lineHeight: 1.6 }}>
+                        <div style={{ color: T.warn, fontWeight: 700, marginBottom: 2 }}>⚠ These terms don't match</div>
+                        At {d.rate}% over {months2str(d.tenure)} the EMI would be <span style={{ fontFamily: T.mono, color: T.text }}>{fmtFull(terms.emi)}</span>, not <span style={{ fontFamily: T.mono, color: T.text }}>{fmtFull(d.emi)}</span>.
+                        {terms.rate !== null && <> Your EMI and tenure imply an effective rate of <span style={{ fontFamily: T.mono, color: T.text }}>{terms.rate}%</span>.</>}
+                      </div>
+                      <div style={{ display: "flex", gap: 6 }}>
+                        {[
+                          { l: `EMI ${fmt(terms.emi)}`, key: "emi", v: terms.emi },
+                          { l: `${terms.tenure} months`, key: "tenure", v: terms.tenure },
+                          { l: `${terms.rate}% rate`, key: "rate", v: terms.rate },
+                        ].filter(b => b.v !== null).map(b => (
+                          <button key={b.key} onClick={() => handleDebtChange(d.id, b.key, b.v)} style={{
+                            background: "none", border: `1px solid ${T.warn}50`, borderRadius: T.radiusXs, color: T.warn,
+                            cursor: "pointer", padding: "7px 12px", fontSize: 12, fontWeight: 600, fontFamily: T.font, whiteSpace: "nowrap",
+                          }}>Use {b.l}</button>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })()}
+                {stuckDebts.has(d.id) ? (() => {
+                  const st = stuckDebts.get(d.id);
+                  return (
+                    <div style={{ marginTop: 12, padding: "12px 14px", background: T.dangerDim, border: `1px solid ${T.danger}30`, borderRadius: T.radiusXs, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, fontSize: 12 }}>
+                      <div style={{ color: T.textSec, lineHeight: 1.6 }}>
+                        <div style={{ color: T.danger, fontWeight: 700, marginBottom: 2 }}>⛔ This loan never gets repaid</div>
+                        EMI of <span style={{ fontFamily: T.mono, color: T.text }}>{fmtFull(d.emi)}</span> doesn't cover monthly interest of <span style={{ fontFamily: T.mono, color: T.warn }}>{fmtFull(st.monthlyInterest)}</span>, so the balance grows by ~{fmtFull(st.shortfall)}/mo.
+                        {" "}Minimum EMI to clear it in {months2str(st.tenure)}: <span style={{ fontFamily: T.mono, color: T.safe, fontWeight: 700 }}>{fmtFull(st.minEMI)}</span>. It's excluded from the strategy comparison until fixed.
+                      </div>
+                      <button onClick={() => handleDebtChange(d.id, "emi", st.minEMI)} style={{
+                        background: "none", border: `1px solid ${T.danger}50`, borderRadius: T.radiusXs, color: T.danger,
+                        cursor: "pointer", padding: "7px 12px", fontSize: 12, fontWeight: 600, fontFamily: T.font, whiteSpace: "nowrap",
+                      }}>Use {fmt(st.minEMI)} EMI</button>
+                    </div>
+                  );
+                })() : d.rate > 0 && d.balance > 0 && (
                   <div style={{ marginTop: 12, padding: "10px 14px", background: T.bg, borderRadius: T.radiusXs, display: "flex", gap: 24, fontSize: 12 }}>
                     <span style={{ color: T.textMut }}>Monthly interest cost: <span style={{ color: T.warn, fontFamily: T.mono, fontWeight: 600 }}>{fmtFull(d.balance * d.rate / 1200)}</span></span>
                     <span style={{ color: T.textMut }}>Principal in EMI: <span style={{ color: T.safe, fontFamily: T.mono, fontWeight: 600 }}>{fmtFull(Math.max(0, d.emi - d.balance * d.rate / 1200))}</span></span>
-                    {d.emi > 0 && <span style={{ color: T.textMut }}>Payoff: <span style={{ color: T.text, fontFamily: T.mono, fontWeight: 600 }}>~{months2str(Math.ceil(d.balance / Math.max(1, d.emi - d.balance * d.rate / 1200)))}</span></span>}
+                    {d.emi > 0 && <span style={{ color: T.textMut }}>Payoff: <span style={{ color: T.text, fontFamily: T.mono, fontWeight: 600 }}>~{months2str(remainingTerm(d.balance, d.rate, d.emi))}</span></span>}
                   </div>
                 )}
               </Card>
@@ -626,16 +1493,47 @@ export default function DebtFree() {
         {/* ════════ STRATEGIES TAB ════════ */}
         {tab === "strategies" && (
           <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
-            <div>
-              <h2 style={{ fontFamily: T.display, fontSize: 20, fontWeight: 800, margin: 0 }}>Strategy Comparison</h2>
-              <p style={{ fontSize: 13, color: T.textMut, margin: "4px 0 0" }}>See which repayment approach saves you the most money and time</p>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <div>
+                <h2 style={{ fontFamily: T.display, fontSize: 20, fontWeight: 800, margin: 0 }}>Strategy Comparison</h2>
+                <p style={{ fontSize: 13, color: T.textMut, margin: "4px 0 0" }}>See which repayment approach saves you the most money and time</p>
+              </div>
+              <div style={{ display: "flex", gap: 10 }}>
+                {[
+                  { value: objective, set: setObjective, options: [{ v: "interest", l: "Optimise Interest" }, { v: "months", l: "Optimise Time" }] },
+                  { value: rollover, set: setRollover, options: [{ v: false, l: "Fixed Outflow" }, { v: true, l: "Rollover EMIs" }] },
+                ].map((t, n) => (
+                  <div key={n} style={{ display: "flex", background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusSm, padding: 3 }}>
+                    {t.options.map(o => (
+                      <button key={o.l} onClick={() => t.set(o.v)} style={{
+                        background: t.value === o.v ? T.accentDim : "none", border: "none", borderRadius: T.radiusXs,
+                        padding: "8px 14px", cursor: "pointer", fontSize: 12, fontWeight: 600, fontFamily: T.font,
+                        color: t.value === o.v ? T.accent : T.textMut, transition: "all 0.25s",
+                      }}>{o.l}</button>
+                    ))}
+                  </div>
+                ))}
+              </div>
             </div>
+            <p style={{ fontSize: 12, color: T.textSec, lineHeight: 1.6, margin: 0 }}>
+              {rollover
+                ? "Rollover: each cleared loan's EMI is added to the extra payment and redirected to the next target debt, keeping your total monthly outflow constant."
+                : "Fixed outflow: cleared loans stop costing you their EMI, and only the fixed extra payment is redirected to the next target debt."}
+              {debts.some(d => d.prepayPenalty > 0 || unlockMonth(d) > 1) && " Loans in a lock-in period take no extra until it ends, and prepayment charges are paid from the extra and counted as interest."}
+            </p>
+            {strategies.excluded.length > 0 && (
+              <div style={{ background: T.dangerDim, border: `1px solid ${T.danger}30`, borderRadius: T.radiusSm, padding: "12px 16px", fontSize: 12, color: T.textSec, lineHeight: 1.6 }}>
+                <span style={{ color: T.danger, fontWeight: 700 }}>Excluded from comparison:</span> {strategies.excluded.map(d => d.name || "Unnamed Debt").join(", ")} — the EMI doesn't cover monthly interest, so {strategies.excluded.length > 1 ? "these loans" : "this loan"} would never be repaid. Fix the EMI on the Debts tab to include {strategies.excluded.length > 1 ? "them" : "it"}.
+              </div>
+            )}
 
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16 }}>
               {[
                 { key: "avalanche", name: "Avalanche", desc: "Targets highest interest rate first. Mathematically optimal — minimizes total interest paid.", color: T.danger, icon: "🔺" },
                 { key: "snowball", name: "Snowball", desc: "Clears smallest balance first. Builds momentum through quick wins — great for motivation.", color: T.blue, icon: "⚪" },
                 { key: "hybrid", name: "Hybrid", desc: "Weights by rate × balance product. Balances mathematical efficiency with practical impact.", color: T.purple, icon: "◆" },
+                { key: "custom", name: "Custom", desc: "Follows your own priority order — drag debts in the Custom Order list below to change it.", color: "#fb923c", icon: "✋" },
+                { key: "optimal", name: "Optimal", desc: `Best plan found for the ${objective === "months" ? "earliest payoff" : "lowest interest"}: ${optimalPlanText}.`, color: T.cyan, icon: "✧" },
               ].map(s => {
                 const data = strategies[s.key];
                 const isBest = s.key === best;
@@ -656,12 +1554,14 @@ export default function DebtFree() {
                       <div style={{ background: T.bg, borderRadius: T.radiusXs, padding: "12px 14px" }}>
                         <div style={{ fontSize: 10, color: T.textMut, textTransform: "uppercase", letterSpacing: 1 }}>Debt-Free In</div>
                         <div style={{ fontFamily: T.mono, fontSize: 24, fontWeight: 800, marginTop: 2 }}>
-                          {months2str(data.months)}
+                          {payoffStr(data)}
                         </div>
+                        <div style={{ fontSize: 11, color: T.textMut }}>{debtFreeDate(data)}</div>
                       </div>
                       <div style={{ background: T.bg, borderRadius: T.radiusXs, padding: "12px 14px" }}>
                         <div style={{ fontSize: 10, color: T.textMut, textTransform: "uppercase", letterSpacing: 1 }}>Total Interest</div>
                         <div style={{ fontFamily: T.mono, fontSize: 16, fontWeight: 700, color: T.warn, marginTop: 2 }}>{fmtFull(data.totalInterest)}</div>
+                        {data.taxSaved > 0 && <div style={{ fontSize: 11, color: T.textMut }}>{fmtFull(netInterest(data))} after {fmt(data.taxSaved)} tax saved</div>}
                       </div>
                       <div style={{ background: `${s.color}10`, borderRadius: T.radiusXs, padding: "12px 14px", border: `1px solid ${s.color}20` }}>
                         <div style={{ fontSize: 10, color: s.color, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>Savings vs No Extra</div>
@@ -670,19 +1570,117 @@ export default function DebtFree() {
                         </div>
                         <div style={{ fontSize: 11, color: T.textMut }}>{strategies.baseline.months - data.months} months earlier</div>
                       </div>
+                      {altStrategies[s.key] && (
+                        <div style={{ fontSize: 11, color: T.textMut, padding: "0 2px" }}>
+                          {rollover ? "Fixed outflow" : "With rollover"}: <span style={{ fontFamily: T.mono, color: T.textSec, fontWeight: 600 }}>{payoffStr(altStrategies[s.key])} · {fmt(altStrategies[s.key].totalInterest)}</span>
+                        </div>
+                      )}
                     </div>
                   </Card>
                 );
               })}
             </div>
 
+            {/* Custom order */}
+            <Card>
+              <Label>Custom Order</Label>
+              <p style={{ fontSize: 12, color: T.textSec, margin: "-6px 0 14px", lineHeight: 1.5 }}>
+                Drag debts into the order your extra payments should clear them. This is also the order of the Debts tab.
+              </p>
+              {debts.map((d, i) => (
+                <div key={d.id} draggable
+                  onDragStart={() => setDragId(d.id)} onDragEnd={() => setDragId(null)}
+                  onDragOver={e => e.preventDefault()} onDrop={() => { moveDebt(dragId, i); setDragId(null); }}
+                  style={{
+                    display: "flex", alignItems: "center", gap: 12, padding: "10px 12px", marginBottom: 6, cursor: "grab",
+                    background: dragId === d.id ? T.bgInput : T.bg, border: `1px solid ${dragId === d.id ? T.borderLight : T.border}`, borderRadius: T.radiusXs,
+                    opacity: dragId === d.id ? 0.6 : 1,
+                  }}>
+                  <span style={{ color: T.textMut, fontSize: 14 }}>⋮⋮</span>
+                  <span style={{ fontFamily: T.mono, fontWeight: 800, color: "#fb923c", width: 18 }}>{i + 1}</span>
+                  <span style={{ flex: 1, fontSize: 13, fontWeight: 600 }}>{d.name || "Unnamed Debt"}</span>
+                  <span style={{ fontFamily: T.mono, fontSize: 12, color: T.textMut }}>{fmt(d.balance)} · {d.rate}%</span>
+                  {[["↑", i - 1], ["↓", i + 1]].map(([l, to]) => (
+                    <button key={l} onClick={() => moveDebt(d.id, to)} disabled={to < 0 || to >= debts.length} style={{
+                      background: "none", border: `1px solid ${T.border}`, borderRadius: T.radiusXs, color: T.textSec,
+                      cursor: "pointer", padding: "3px 8px", fontSize: 12, opacity: to < 0 || to >= debts.length ? 0.3 : 1,
+                    }}>{l}</button>
+                  ))}
+                </div>
+              ))}
+            </Card>
+
+            {/* Prepayment plan */}
+            <Card>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 16, marginBottom: 14 }}>
+                <div>
+                  <Label>Prepayment Plan</Label>
+                  <p style={{ fontSize: 12, color: T.textSec, margin: "-6px 0 0", lineHeight: 1.5 }}>
+                    Layer bonuses, FD maturities and yearly raises on top of your {fmtFull(extra)}/mo extra payment. All strategies above use this plan.
+                  </p>
+                </div>
+                <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                  {[["lump", "+ Lump Sum"], ["annual", "+ Yearly Amount"], ["stepup", "+ Step-up %"]].map(([k, l]) => (
+                    <button key={k} onClick={() => addPrepayment(k)} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                      padding: "8px 12px", color: T.textSec, fontWeight: 600, fontSize: 12, cursor: "pointer", fontFamily: T.font,
+                    }}>{l}</button>
+                  ))}
+                </div>
+              </div>
+              {prepayments.map(p => (
+                <div key={p.id} style={{ display: "grid", gridTemplateColumns: "150px 1fr 1fr auto", gap: 12, alignItems: "end", padding: "10px 0", borderTop: `1px solid ${T.border}` }}>
+                  <div style={{ fontSize: 13, fontWeight: 700, paddingBottom: 10, color: p.kind === "stepup" ? T.purple : p.kind === "annual" ? T.blue : T.accent }}>
+                    {p.kind === "lump" ? "One-off lump sum" : p.kind === "annual" ? "Every year" : "Yearly step-up"}
+                  </div>
+                  {p.kind === "stepup"
+                    ? <Field label="Increase extra by (%)" value={p.percent} onChange={v => updatePrepayment(p.id, "percent", Math.max(0, v))} small />
+                    : <Field label="Amount" prefix="₹" value={p.amount} onChange={v => updatePrepayment(p.id, "amount", Math.max(0, v))} small />}
+                  {p.kind === "lump"
+                    ? <MonthField label="Paid in" value={p.date} onChange={v => updatePrepayment(p.id, "date", v)} />
+                    : (
+                      <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+                        <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>{p.kind === "stepup" ? "Each year from" : "Paid every"}</label>
+                        <select value={p.month} onChange={e => updatePrepayment(p.id, "month", Number(e.target.value))} style={{
+                          background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                          padding: "10px 12px", color: T.text, fontSize: 13, fontFamily: T.font, outline: "none",
+                        }}>
+                          {MONTH_NAMES.map((n, i) => <option key={n} value={i + 1}>{n}</option>)}
+                        </select>
+                      </div>
+                    )}
+                  <button onClick={() => removePrepayment(p.id)} style={{
+                    background: T.dangerDim, border: `1px solid ${T.danger}30`, borderRadius: T.radiusXs, color: T.danger,
+                    cursor: "pointer", padding: "10px 12px", fontSize: 13, marginBottom: 1,
+                  }}>✕</button>
+                </div>
+              ))}
+              {prepayments.length === 0 ? (
+                <div style={{ fontSize: 12, color: T.textMut, padding: "6px 0" }}>No scheduled prepayments — every month uses the same {fmtFull(extra)} extra.</div>
+              ) : (
+                <div style={{ display: "grid", gridTemplateColumns: `repeat(${STRATEGIES.length}, 1fr)`, gap: 12, marginTop: 14 }}>
+                  {STRATEGIES.map(k => {
+                    const dm = constantStrategies[k].months - strategies[k].months;
+                    const di = constantStrategies[k].totalInterest - strategies[k].totalInterest;
+                    return (
+                      <div key={k} style={{ background: T.bg, borderRadius: T.radiusXs, padding: "12px 14px" }}>
+                        <div style={{ fontSize: 10, color: T.textMut, textTransform: "uppercase", letterSpacing: 1, marginBottom: 6 }}>{k} · plan vs constant extra</div>
+                        <div style={{ fontFamily: T.mono, fontSize: 14, fontWeight: 700, color: dm > 0 ? T.safe : T.textSec }}>{dm > 0 ? `${months2str(dm)} sooner` : "Same payoff month"}</div>
+                        <div style={{ fontFamily: T.mono, fontSize: 12, color: di > 0 ? T.safe : T.textMut, marginTop: 2 }}>{fmt(Math.max(0, di))} less interest</div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </Card>
+
             {/* Timeline chart */}
             <Card>
               <Label>Balance Paydown Timeline</Label>
               <ResponsiveContainer width="100%" height={350}>
                 <AreaChart data={chartData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
                   <defs>
-                    {[["gA", T.danger], ["gS", T.blue], ["gH", T.purple]].map(([id, c]) => (
+                    {[["gA", T.danger], ["gS", T.blue], ["gH", T.purple], ["gC", "#fb923c"], ["gO", T.cyan]].map(([id, c]) => (
                       <linearGradient key={id} id={id} x1="0" y1="0" x2="0" y2="1">
                         <stop offset="0%" stopColor={c} stopOpacity={0.25} />
                         <stop offset="100%" stopColor={c} stopOpacity={0} />
@@ -690,16 +1688,18 @@ export default function DebtFree() {
                     ))}
                   </defs>
                   <CartesianGrid strokeDasharray="3 3" stroke={T.border} />
-                  <XAxis dataKey="month" stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} />
+                  <XAxis dataKey="month" stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} tickFormatter={monthDate} minTickGap={24} />
                   <YAxis stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} tickFormatter={fmt} />
                   <Tooltip
                     contentStyle={{ background: T.bgCard, border: `1px solid ${T.border}`, borderRadius: 10, fontSize: 12, fontFamily: T.mono }}
-                    formatter={(v) => fmtFull(v)} labelFormatter={l => `Month ${l}`}
+                    formatter={(v) => fmtFull(v)} labelFormatter={l => `${monthDate(l)} · Month ${l}`}
                   />
                   <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
                   <Area type="monotone" dataKey="Avalanche" stroke={T.danger} fill="url(#gA)" strokeWidth={2.5} dot={false} />
                   <Area type="monotone" dataKey="Snowball" stroke={T.blue} fill="url(#gS)" strokeWidth={2.5} dot={false} />
                   <Area type="monotone" dataKey="Hybrid" stroke={T.purple} fill="url(#gH)" strokeWidth={2.5} dot={false} />
+                  <Area type="monotone" dataKey="Custom" stroke="#fb923c" fill="url(#gC)" strokeWidth={2.5} dot={false} />
+                  <Area type="monotone" dataKey="Optimal" stroke={T.cyan} fill="url(#gO)" strokeWidth={2.5} strokeDasharray="6 3" dot={false} />
                 </AreaChart>
               </ResponsiveContainer>
             </Card>
@@ -707,23 +1707,263 @@ export default function DebtFree() {
             {/* Interest comparison bar */}
             <Card>
               <Label>Total Interest Comparison</Label>
-              <ResponsiveContainer width="100%" height={200}>
+              <ResponsiveContainer width="100%" height={260}>
                 <BarChart data={[
                   { name: "No Extra", interest: strategies.baseline.totalInterest },
                   { name: "Avalanche", interest: strategies.avalanche.totalInterest },
                   { name: "Snowball", interest: strategies.snowball.totalInterest },
                   { name: "Hybrid", interest: strategies.hybrid.totalInterest },
+                  { name: "Custom", interest: strategies.custom.totalInterest },
+                  { name: "Optimal", interest: strategies.optimal.totalInterest },
                 ]} layout="vertical" margin={{ left: 10 }}>
                   <CartesianGrid strokeDasharray="3 3" stroke={T.border} />
                   <XAxis type="number" tickFormatter={fmt} tick={{ fontSize: 11, fill: T.textMut }} stroke={T.textMut} />
                   <YAxis type="category" dataKey="name" tick={{ fontSize: 12, fill: T.text, fontWeight: 600 }} stroke={T.textMut} width={80} />
                   <Tooltip contentStyle={{ background: T.bgCard, border: `1px solid ${T.border}`, borderRadius: 10, fontSize: 12, fontFamily: T.mono }} formatter={v => fmtFull(v)} />
                   <Bar dataKey="interest" radius={[0, 6, 6, 0]}>
-                    {[T.textMut, T.danger, T.blue, T.purple].map((c, i) => <Cell key={i} fill={c} />)}
+                    {[T.textMut, T.danger, T.blue, T.purple, "#fb923c", T.cyan].map((c, i) => <Cell key={i} fill={c} />)}
                   </Bar>
                 </BarChart>
               </ResponsiveContainer>
             </Card>
+
+            {/* Consolidation / balance transfer */}
+            <Card>
+              <Label>Consolidation Simulator</Label>
+              <p style={{ fontSize: 12, color: T.textSec, margin: "-6px 0 16px", lineHeight: 1.5 }}>
+                Pick the debts a balance transfer or consolidation loan would close, enter the offer, and compare it with your current {best} plan.
+              </p>
+              <div style={{ display: "grid", gridTemplateColumns: "1.3fr 1fr", gap: 24 }}>
+                <div>
+                  {debts.map(d => {
+                    const on = consolidationIds.includes(d.id);
+                    return (
+                      <div key={d.id} style={{ display: "grid", gridTemplateColumns: "auto 1fr 110px", gap: 12, alignItems: "center", padding: "8px 0", borderBottom: `1px solid ${T.border}` }}>
+                        <input type="checkbox" checked={on} onChange={() => toggleConsolidate(d.id)} />
+                        <div>
+                          <div style={{ fontSize: 13, fontWeight: 600, color: on ? T.text : T.textSec }}>{d.name || "Unnamed Debt"}</div>
+                          <div style={{ fontSize: 11, color: T.textMut, fontFamily: T.mono }}>{fmt(d.balance)} · {d.rate}% · EMI {fmt(d.emi)}</div>
+                        </div>
+                        {on ? (
+                          <div style={{ position: "relative" }}>
+                            <input type="number" value={consolidation.foreclosure[d.id] ?? (d.prepayPenalty || "")} placeholder="0"
+                              onChange={e => setConsolidation(c => ({ ...c, foreclosure: { ...c.foreclosure, [d.id]: Math.max(0, parseFloat(e.target.value) || 0) } }))}
+                              title="Foreclosure charge (% of balance)"
+                              style={{
+                                width: "100%", background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                                padding: "8px 30px 8px 10px", color: T.text, fontSize: 12, fontFamily: T.mono, outline: "none",
+                              }} />
+                            <span style={{ position: "absolute", right: 10, top: "50%", transform: "translateY(-50%)", fontSize: 10, color: T.textMut }}>% fee</span>
+                          </div>
+                        ) : <span />}
+                      </div>
+                    );
+                  })}
+                  <div style={{ fontSize: 11, color: T.textMut, marginTop: 8 }}>The % next to a selected debt is its foreclosure charge — by default its prepayment charge from the Debts tab.</div>
+                </div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                    <Field label="New Rate (% p.a.)" value={consolidation.rate} onChange={v => setConsolidation(c => ({ ...c, rate: Math.max(0, v) }))} small />
+                    <Field label="Tenure (months)" value={consolidation.tenure} onChange={v => setConsolidation(c => ({ ...c, tenure: Math.max(0, Math.round(v)) }))} small />
+                  </div>
+                  <Field label="Processing Fee (% of loan)" value={consolidation.feePct} onChange={v => setConsolidation(c => ({ ...c, feePct: Math.max(0, v) }))} small />
+                  <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: T.textSec, cursor: "pointer" }}>
+                    <input type="checkbox" checked={consolidation.keepOutflow} onChange={e => setConsolidation(c => ({ ...c, keepOutflow: e.target.checked }))} />
+                    Keep today's outflow — put any EMI saving toward extra payments
+                  </label>
+                </div>
+              </div>
+              {consolidationResult ? (() => {
+                const r = consolidationResult;
+                const cols = [
+                  { l: "Current plan", sim: r.current, emi: r.outflow.current, upfront: 0, c: T.textSec },
+                  { l: `Consolidated (${r.loan.rate}% · ${months2str(r.loan.tenure)})`, sim: r.consolidated, emi: r.outflow.consolidated, upfront: r.upfront, c: T.accent },
+                ];
+                return (
+                  <>
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 20 }}>
+                      {cols.map(col => (
+                        <div key={col.l} style={{ background: T.bg, borderRadius: T.radiusXs, padding: "12px 16px" }}>
+                          <div style={{ fontSize: 10, color: col.c, fontWeight: 700, textTransform: "uppercase", letterSpacing: 1, marginBottom: 4 }}>{col.l}</div>
+                          <MetricRow label="Total interest" value={fmtFull(col.sim.totalInterest)} color={T.warn} />
+                          <MetricRow label="Upfront fees" value={fmtFull(col.upfront)} />
+                          <MetricRow label="Debt-free in" value={payoffStr(col.sim)} sub={debtFreeDate(col.sim)} />
+                          <MetricRow label="Monthly EMIs" value={fmtFull(col.emi)} />
+                        </div>
+                      ))}
+                    </div>
+                    <div style={{
+                      marginTop: 14, padding: "12px 16px", borderRadius: T.radiusXs, fontSize: 13, lineHeight: 1.6,
+                      background: r.interestSaved > 0 ? T.accentDim : T.dangerDim, border: `1px solid ${r.interestSaved > 0 ? T.accent : T.danger}30`,
+                    }}>
+                      {r.interestSaved > 0 ? (
+                        <>Consolidating saves <b style={{ color: T.safe, fontFamily: T.mono }}>{fmtFull(r.interestSaved)}</b> after {fmtFull(r.upfront)} in fees
+                          {r.monthsSaved > 0 ? ` and finishes ${months2str(r.monthsSaved)} sooner` : r.monthsSaved < 0 ? `, though it finishes ${months2str(-r.monthsSaved)} later` : ""}.
+                          {r.breakEvenMonth && <> The fees are recovered by <b style={{ fontFamily: T.mono }}>{monthDate(r.breakEvenMonth)}</b> (month {r.breakEvenMonth}).</>}</>
+                      ) : (
+                        <>This offer costs <b style={{ color: T.danger, fontFamily: T.mono }}>{fmtFull(-r.interestSaved)}</b> more than your current plan, fees included{r.breakEvenMonth ? "" : ", and never breaks even"}.
+                          {r.outflow.consolidated < r.outflow.current && ` It does lower your EMIs by ${fmtFull(r.outflow.current - r.outflow.consolidated)}/mo.`}</>
+                      )}
+                    </div>
+                  </>
+                );
+              })() : (
+                <div style={{ fontSize: 12, color: T.textMut, marginTop: 16 }}>Select at least one debt to see the comparison.</div>
+              )}
+            </Card>
+
+            {/* Prepay vs invest */}
+            <Card>
+              <Label>Prepay or Invest?</Label>
+              <p style={{ fontSize: 12, color: T.textSec, margin: "-6px 0 16px", lineHeight: 1.5 }}>
+                Net worth if your extra payments go into the {best} plan, versus paying only EMIs and investing the extra (e.g. an SIP or FD).
+                Both sides spend the same each month — once the loans are cleared early, the freed EMIs are invested too.
+              </p>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 2fr", gap: 14, alignItems: "end" }}>
+                <Field label="Expected Return (% p.a.)" value={investment.returnPct} onChange={v => setInvestment(i => ({ ...i, returnPct: Math.max(0, v) }))} small />
+                <Field label="Tax on Gains (%)" value={investment.gainsTaxPct} onChange={v => setInvestment(i => ({ ...i, gainsTaxPct: Math.min(100, Math.max(0, v)) }))} small />
+                {prepayVsInvest && (
+                  <div style={{ fontSize: 12, color: T.textMut, paddingBottom: 10 }}>
+                    Investing wins above a return of <span style={{ fontFamily: T.mono, color: T.text, fontWeight: 700 }}>{pct(prepayVsInvest.breakEvenReturn)}</span> p.a.
+                  </div>
+                )}
+              </div>
+              {prepayVsInvest ? (() => {
+                const r = prepayVsInvest;
+                const cross = r.crossoverMonth && r.series.find(p => p.month >= r.crossoverMonth);
+                const cols = [
+                  { k: "prepay", l: "Prepay debt", c: T.accent },
+                  { k: "invest", l: `Invest at ${investment.returnPct}%`, c: T.blue },
+                ];
+                return (
+                  <>
+                    <ResponsiveContainer width="100%" height={280}>
+                      <AreaChart data={r.series} margin={{ top: 20, right: 10, left: 10, bottom: 0 }}>
+                        <defs>
+                          {cols.map(col => (
+                            <linearGradient key={col.k} id={`nw-${col.k}`} x1="0" y1="0" x2="0" y2="1">
+                              <stop offset="0%" stopColor={col.c} stopOpacity={0.25} />
+                              <stop offset="100%" stopColor={col.c} stopOpacity={0} />
+                            </linearGradient>
+                          ))}
+                        </defs>
+                        <CartesianGrid strokeDasharray="3 3" stroke={T.border} />
+                        <XAxis dataKey="month" stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} tickFormatter={monthDate} minTickGap={24} />
+                        <YAxis stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} tickFormatter={fmt} />
+                        <Tooltip
+                          contentStyle={{ background: T.bgCard, border: `1px solid ${T.border}`, borderRadius: 10, fontSize: 12, fontFamily: T.mono }}
+                          formatter={(v) => fmtFull(v)} labelFormatter={l => `${monthDate(l)} · Month ${l}`}
+                        />
+                        <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+                        {cross && <ReferenceLine x={cross.month} stroke={T.warn} strokeDasharray="4 4" label={{ value: "Crossover", fill: T.warn, fontSize: 11, position: "top" }} />}
+                        {cols.map(col => (
+                          <Area key={col.k} type="monotone" dataKey={col.k} name={col.l} stroke={col.c} fill={`url(#nw-${col.k})`} strokeWidth={2.5} dot={false} />
+                        ))}
+                      </AreaChart>
+                    </ResponsiveContainer>
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 12 }}>
+                      {cols.map(col => (
+                        <div key={col.k} style={{ background: T.bg, borderRadius: T.radiusXs, padding: "12px 16px" }}>
+                          <div style={{ fontSize: 10, color: col.c, fontWeight: 700, textTransform: "uppercase", letterSpacing: 1, marginBottom: 4 }}>{col.l}</div>
+                          <MetricRow label="Debt-free in" value={payoffStr(r[col.k])} sub={debtFreeDate(r[col.k])} />
+                          <MetricRow label="Total interest" value={fmtFull(r[col.k].totalInterest)} color={T.warn} />
+                          <MetricRow label={`Corpus by ${monthDate(r.months)}`} value={fmtFull(r[col.k].corpus)} />
+                          <MetricRow label="Net worth, after tax on gains" value={fmtFull(r[col.k].netWorth)} color={col.c} />
+                        </div>
+                      ))}
+                    </div>
+                    <div style={{
+                      marginTop: 14, padding: "12px 16px", borderRadius: T.radiusXs, fontSize: 13, lineHeight: 1.6,
+                      background: r.winner === "prepay" ? T.accentDim : T.blueDim, border: `1px solid ${r.winner === "prepay" ? T.accent : T.blue}30`,
+                    }}>
+                      {r.winner === "prepay" ? "Prepaying" : "Investing"} leaves you <b style={{ fontFamily: T.mono }}>{fmtFull(r.advantage)}</b> better off by {monthDate(r.months)}
+                      {r.crossoverMonth ? <>, pulling ahead from <b style={{ fontFamily: T.mono }}>{monthDate(r.crossoverMonth)}</b> (month {r.crossoverMonth})</> : ", and stays ahead throughout"}.
+                      {r.invest.taxSaved > r.prepay.taxSaved && ` Paying loans for longer also claims ${fmtFull(r.invest.taxSaved - r.prepay.taxSaved)} more in tax deductions, which isn't counted here.`}
+                    </div>
+                  </>
+                );
+              })() : (
+                <div style={{ fontSize: 12, color: T.textMut, marginTop: 16 }}>Set an extra monthly payment or a prepayment plan to compare.</div>
+              )}
+            </Card>
+          </div>
+        )}
+
+        {/* ════════ SCHEDULE TAB ════════ */}
+        {tab === "schedule" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+            <div className="no-print" style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
+              <div>
+                <h2 style={{ fontFamily: T.display, fontSize: 20, fontWeight: 800, margin: 0 }}>Amortization Schedule</h2>
+                <p style={{ fontSize: 13, color: T.textMut, margin: "4px 0 0" }}>Month-by-month interest, principal and prepayments for every loan</p>
+              </div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                {[
+                  { value: schedKey, onChange: v => setSchedStrategy(v), options: [["baseline", "No Extra"], ["avalanche", "Avalanche"], ["snowball", "Snowball"], ["hybrid", "Hybrid"], ["custom", "Custom"], ["optimal", "Optimal"]].map(([v, l]) => [v, v === best ? `${l} (recommended)` : l]) },
+                  { value: schedLoan, onChange: setSchedLoan, options: [["all", "All loans"], ...debts.map(d => [String(d.id), d.name || "Unnamed Debt"])] },
+                ].map((sel, i) => (
+                  <select key={i} value={sel.value} onChange={e => sel.onChange(e.target.value)} style={{
+                    background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                    padding: "9px 12px", color: T.textSec, fontSize: 12, fontFamily: T.font, outline: "none",
+                  }}>
+                    {sel.options.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                  </select>
+                ))}
+                {[
+                  { l: "⇩ CSV", fn: exportSchedule },
+                  { l: "⎙ Print", fn: () => window.print() },
+                ].map(b => (
+                  <button key={b.l} onClick={b.fn} disabled={!scheduleRows.length} style={{
+                    background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusSm,
+                    padding: "9px 16px", color: scheduleRows.length ? T.textSec : T.border, fontWeight: 600, fontSize: 13,
+                    cursor: scheduleRows.length ? "pointer" : "default", fontFamily: T.font,
+                  }}>{b.l}</button>
+                ))}
+              </div>
+            </div>
+
+            <Card className="print-area">
+              <Label>
+                {schedLoan === "all" ? "Whole portfolio" : debts.find(d => String(d.id) === schedLoan)?.name || "Unnamed Debt"}
+                {" · "}{schedKey === "baseline" ? "No extra payments" : `${schedKey.charAt(0).toUpperCase() + schedKey.slice(1)} strategy`}
+                {rollover && schedKey !== "baseline" ? " with rollover" : ""}
+              </Label>
+              {scheduleRows.length === 0 ? (
+                <div style={{ fontSize: 13, color: T.textMut, padding: "24px 0", textAlign: "center" }}>No payments to show — add a debt with a balance and EMI.</div>
+              ) : (
+                <div style={{ overflowX: "auto" }}>
+                  <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: T.mono }}>
+                    <thead>
+                      <tr>{["Month", "Date", "Opening", "Interest", "EMI Principal", "Extra", "Closing"].map((h, i) => (
+                        <th key={h} style={{ textAlign: i < 2 ? "left" : "right", padding: "8px 10px", color: T.textMut, fontFamily: T.font, fontWeight: 600, textTransform: "uppercase", fontSize: 10, letterSpacing: 1, borderBottom: `1px solid ${T.borderLight}`, position: "sticky", top: 0, background: T.bgCard }}>{h}</th>
+                      ))}</tr>
+                    </thead>
+                    <tbody>
+                      {scheduleRows.map(r => (
+                        <tr key={r.month} style={{ borderBottom: `1px solid ${T.border}` }}>
+                          <td style={{ padding: "6px 10px", color: T.textSec }}>{r.month}</td>
+                          <td style={{ padding: "6px 10px", color: T.textSec, fontFamily: T.font }}>{monthDate(r.month)}</td>
+                          <td style={{ padding: "6px 10px", textAlign: "right" }}>{fmtFull(r.opening)}</td>
+                          <td style={{ padding: "6px 10px", textAlign: "right", color: T.warn }}>{fmtFull(r.interest)}</td>
+                          <td style={{ padding: "6px 10px", textAlign: "right", color: T.safe }}>{fmtFull(r.principal)}</td>
+                          <td style={{ padding: "6px 10px", textAlign: "right", color: r.extra > 0 ? T.accent : T.textMut }}>{r.extra > 0 ? fmtFull(r.extra) : "—"}</td>
+                          <td style={{ padding: "6px 10px", textAlign: "right", fontWeight: 600 }}>{fmtFull(r.closing)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr style={{ borderTop: `1px solid ${T.borderLight}` }}>
+                        <td colSpan={3} style={{ padding: "10px", color: T.textMut, fontFamily: T.font, fontWeight: 600, textTransform: "uppercase", fontSize: 10, letterSpacing: 1 }}>Total over {months2str(scheduleRows.length)}</td>
+                        {["interest", "principal", "extra"].map(k => (
+                          <td key={k} style={{ padding: "10px", textAlign: "right", fontWeight: 700 }}>{fmtFull(scheduleRows.reduce((sum, r) => sum + r[k], 0))}</td>
+                        ))}
+                        <td />
+                      </tr>
+                    </tfoot>
+                  </table>
+                </div>
+              )}
+            </Card>
           </div>
         )}
 
@@ -742,7 +1982,129 @@ export default function DebtFree() {
               </div>
             </div>
 
-            {insights.map((ins, i) => <InsightCard key={i} insight={ins} index={i} />)}
+            {(showAllInsights ? insights : insights.slice(0, INSIGHT_LIMIT)).map((ins, i) => (
+              <InsightCard key={ins.id} insight={ins} index={i}
+                {...(debts.length && income ? { onDismiss: () => hideInsight(ins.id), onSnooze: () => hideInsight(ins.id, 30) } : {})} />
+            ))}
+            {(insights.length > INSIGHT_LIMIT || hiddenInsightList.length > 0) && (
+              <div style={{ display: "flex", gap: 16, fontSize: 12, color: T.textMut, alignItems: "center" }}>
+                <button onClick={() => setShowAllInsights(v => !v)} style={{
+                  background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                  cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font,
+                }}>{showAllInsights ? `Show top ${INSIGHT_LIMIT}` : "Show all insights"}</button>
+                <span>
+                  {insights.length} active
+                  {hiddenInsightList.length > 0 && ` · ${hiddenInsightList.length} dismissed or snoozed${showAllInsights ? " (shown faded below)" : ""}`}
+                </span>
+              </div>
+            )}
+            {failedRules.length > 0 && (
+              <div style={{ fontSize: 12, color: T.textMut }}>
+                Skipped {failedRules.length === 1 ? "an insight rule" : `${failedRules.length} insight rules`} that failed: {failedRules.join(", ")}.
+              </div>
+            )}
+            {showAllInsights && hiddenInsightList.map((ins, i) => (
+              <div key={ins.id} style={{ opacity: 0.55 }}>
+                <InsightCard insight={ins} index={i} onRestore={() => restoreInsight(ins.id)} />
+              </div>
+            ))}
+
+            {/* Advisor chat */}
+            <Card>
+              {(() => {
+                const input = {
+                  background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                  padding: "8px 12px", color: T.text, fontSize: 12, fontFamily: T.font, outline: "none",
+                };
+                const remote = advisor.provider === "openai";
+                const names = advisorData.debts.map(d => d.name);
+                const suggestions = [
+                  names.length > 1 && `What if I close the ${names[names.length - 1]} first?`,
+                  "What if I pay 10k more every month?",
+                  names.length > 0 && `What if I put a 1 lakh lump sum on the ${names[0]}?`,
+                  "When will I be debt-free?",
+                ].filter(Boolean);
+                return (
+                  <>
+                    <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, flexWrap: "wrap" }}>
+                      <Label>Ask the Advisor</Label>
+                      <select value={advisor.provider} onChange={e => setAdvisorProvider(e.target.value)} style={{ ...input, marginBottom: 14 }}>
+                        <option value="offline">Offline (on this device)</option>
+                        <option value="openai">OpenAI-compatible endpoint</option>
+                      </select>
+                    </div>
+                    {remote && (
+                      <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr", gap: 8, marginBottom: 14 }}>
+                        <input value={advisor.baseUrl} onChange={e => setAdvisor(a => ({ ...a, baseUrl: e.target.value }))} placeholder="Base URL, e.g. http://localhost:11434/v1" style={{ ...input, fontFamily: T.mono }} />
+                        <input value={advisor.model} onChange={e => setAdvisor(a => ({ ...a, model: e.target.value }))} placeholder="Model" style={input} />
+                        <input type="password" value={advisor.apiKey} onChange={e => setAdvisor(a => ({ ...a, apiKey: e.target.value }))} placeholder="API key (optional)" style={input} />
+                      </div>
+                    )}
+                    <div style={{ display: "grid", gridTemplateColumns: "3fr 2fr", gap: 20 }}>
+                      <div style={{ display: "flex", flexDirection: "column", gap: 10, minWidth: 0 }}>
+                        <div style={{ display: "flex", flexDirection: "column", gap: 8, maxHeight: 360, overflowY: "auto" }}>
+                          {chat.messages.length === 0 && (
+                            <div style={{ fontSize: 12, color: T.textSec, lineHeight: 1.6 }}>
+                              {remote
+                                ? "Questions go to your endpoint together with the data and earlier turns shown on the right."
+                                : "Ask a what-if and the plan is re-simulated right here — nothing leaves this device."}
+                            </div>
+                          )}
+                          {chat.messages.map((m, i) => (
+                            <div key={i} style={{
+                              alignSelf: m.role === "user" ? "flex-end" : "flex-start", maxWidth: "85%",
+                              background: m.role === "user" ? T.accentDim : m.error ? T.dangerDim : T.bg,
+                              border: `1px solid ${m.role === "user" ? T.accent + "30" : m.error ? T.danger + "30" : T.border}`,
+                              borderRadius: T.radiusSm, padding: "9px 13px", fontSize: 13, lineHeight: 1.6,
+                              color: m.error ? T.danger : T.text, whiteSpace: "pre-wrap", opacity: m.scope === advisorScopeKey ? 1 : 0.45,
+                            }} title={m.scope === advisorScopeKey ? undefined : "Asked under other advisor settings — not sent with new questions"}>{m.content}</div>
+                          ))}
+                          {chat.busy && <div style={{ fontSize: 12, color: T.textMut }}>Thinking…</div>}
+                        </div>
+                        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                          {suggestions.map(q => (
+                            <button key={q} onClick={() => askAdvisor(q)} disabled={chat.busy} style={{
+                              background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                              cursor: "pointer", padding: "5px 10px", fontSize: 11, fontFamily: T.font,
+                            }}>{q}</button>
+                          ))}
+                        </div>
+                        <form onSubmit={e => { e.preventDefault(); askAdvisor(chat.draft); }} style={{ display: "flex", gap: 8 }}>
+                          <input value={chat.draft} onChange={e => setChat(c => ({ ...c, draft: e.target.value }))}
+                            placeholder="What if I close the card first?" style={{ ...input, flex: 1, fontSize: 13, padding: "10px 14px" }} />
+                          <button type="submit" disabled={chat.busy || !chat.draft.trim()} style={{
+                            background: `linear-gradient(135deg, ${T.accent}, ${T.cyan})`, border: "none", borderRadius: T.radiusXs,
+                            padding: "0 18px", color: T.bg, fontWeight: 700, fontSize: 12, cursor: "pointer", fontFamily: T.font,
+                            opacity: chat.busy || !chat.draft.trim() ? 0.5 : 1,
+                          }}>Ask</button>
+                          {chat.messages.length > 0 && (
+                            <button type="button" onClick={() => setChat(c => ({ ...c, messages: [] }))} style={{
+                              background: "none", border: `1px solid ${T.border}`, borderRadius: T.radiusXs, color: T.textSec,
+                              cursor: "pointer", padding: "0 12px", fontSize: 12, fontFamily: T.font,
+                            }}>Clear</button>
+                          )}
+                        </form>
+                      </div>
+                      <div style={{ minWidth: 0 }}>
+                        <div style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1, marginBottom: 8 }}>
+                          {remote ? "Sent with every question" : "What the advisor sees"}
+                        </div>
+                        {REDACTIONS.map(r => (
+                          <label key={r.key} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: T.text, marginBottom: 6, cursor: "pointer" }}>
+                            <input type="checkbox" checked={!!advisor.redact[r.key]} onChange={e => setAdvisor(a => ({ ...a, redact: { ...a.redact, [r.key]: e.target.checked } }))} />
+                            {r.label}
+                          </label>
+                        ))}
+                        <pre style={{
+                          margin: "10px 0 0", maxHeight: 260, overflow: "auto", background: T.bgInput, border: `1px solid ${T.border}`,
+                          borderRadius: T.radiusXs, padding: 10, fontSize: 10.5, lineHeight: 1.5, color: T.textSec, fontFamily: T.mono,
+                        }}>{JSON.stringify({ portfolio: advisorData, history: advisorSent }, null, 2)}</pre>
+                      </div>
+                    </div>
+                  </>
+                );
+              })()}
+            </Card>
 
             <Card style={{ marginTop: 8, background: `linear-gradient(135deg, ${T.bgCard}, ${T.bg})` }}>
               <Label>How AI Analysis Works</Label>
@@ -776,21 +2138,177 @@ export default function DebtFree() {
               </div>
               <p style={{ fontSize: 14, color: T.textSec, lineHeight: 1.7, margin: 0 }}>
                 Using the <span style={{ color: T.accent, fontWeight: 700 }}>{best.charAt(0).toUpperCase() + best.slice(1)}</span> strategy with
-                <span style={{ color: T.text, fontWeight: 700 }}> {fmtFull(extra)}/mo</span> extra, you'll be debt-free in
-                <span style={{ color: T.safe, fontWeight: 700 }}> {months2str(strategies[best].months)}</span>, saving
+                <span style={{ color: T.text, fontWeight: 700 }}> {fmtFull(extra)}/mo</span> extra{rollover ? " and cleared EMIs rolled into the next debt" : ""}, you'll be debt-free in
+                <span style={{ color: T.safe, fontWeight: 700 }}> {payoffStr(strategies[best])}</span> ({debtFreeDate(strategies[best])}), saving
                 <span style={{ color: T.safe, fontWeight: 700 }}> {fmtFull(saved)}</span> in interest versus minimum payments.
+                {prepayments.length > 0 && (
+                  <> Your prepayment plan of {prepayments.length} {prepayments.length === 1 ? "entry" : "entries"} accounts for
+                    <span style={{ color: T.safe, fontWeight: 700 }}> {planMonths > 0 ? `${months2str(planMonths)} sooner` : "no change in months"}</span> and
+                    <span style={{ color: T.safe, fontWeight: 700 }}> {fmtFull(Math.max(0, planSaved))}</span> less interest than a constant {fmtFull(extra)}/mo.</>
+                )}
               </p>
             </div>
 
+            {/* Monthly budget */}
+            <Card>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                <div>
+                  <Label>Monthly Budget</Label>
+                  <div style={{ fontSize: 12, color: T.textSec, marginTop: -6 }}>Living expenses set your true disposable income, the stress score and the safe extra payment.</div>
+                </div>
+                <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+                  {!budget.length && (
+                    <button onClick={() => addExpense([
+                      { name: "Rent", kind: "fixed" }, { name: "Groceries", kind: "variable" }, { name: "School fees", kind: "fixed" },
+                      { name: "Insurance", kind: "fixed" }, { name: "Utilities", kind: "variable" }, { name: "Transport", kind: "variable" },
+                    ])} style={{
+                      background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                      cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font,
+                    }}>Start with common categories</button>
+                  )}
+                  <button onClick={() => addExpense([{}])} style={{
+                    background: "none", border: `1px dashed ${T.borderLight}`, borderRadius: T.radiusXs, color: T.textSec,
+                    cursor: "pointer", padding: "7px 12px", fontSize: 12, fontFamily: T.font,
+                  }}>+ Add expense</button>
+                </div>
+              </div>
+              {budget.length > 0 ? (
+                <>
+                  <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: "8px 24px" }}>
+                    {budget.map(e => (
+                      <div key={e.id} style={{ display: "grid", gridTemplateColumns: "1.4fr 1fr auto auto", gap: 8, alignItems: "center" }}>
+                        <input type="text" value={e.name} placeholder="Expense" onChange={ev => updateExpense(e.id, "name", ev.target.value)} style={{
+                          background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "8px 10px",
+                          color: T.text, fontSize: 13, fontFamily: T.font, fontWeight: 600, outline: "none",
+                        }} />
+                        <input type="number" value={e.amount || ""} placeholder="₹ / month" onChange={ev => updateExpense(e.id, "amount", Math.max(0, parseFloat(ev.target.value) || 0))} style={{
+                          background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "8px 10px",
+                          color: T.text, fontSize: 13, fontFamily: T.mono, fontWeight: 600, outline: "none", width: "100%",
+                        }} />
+                        <select value={e.kind} onChange={ev => updateExpense(e.id, "kind", ev.target.value)} style={{
+                          background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "8px 10px",
+                          color: e.kind === "variable" ? T.warn : T.textSec, fontSize: 12, fontFamily: T.font, outline: "none",
+                        }}>
+                          {EXPENSE_KINDS.map(k => <option key={k} value={k}>{k === "fixed" ? "Fixed" : "Variable"}</option>)}
+                        </select>
+                        <button onClick={() => setBudget(b => b.filter(x => x.id !== e.id))} style={{ background: "none", border: "none", color: T.textMut, cursor: "pointer", fontSize: 13, padding: "0 4px" }}>✕</button>
+                      </div>
+                    ))}
+                  </div>
+                  <div style={{ marginTop: 16, display: "flex", gap: 24, flexWrap: "wrap", alignItems: "center", fontSize: 13, color: T.textMut }}>
+                    <span>Fixed <span style={{ fontFamily: T.mono, color: T.text, fontWeight: 700 }}>{fmtFull(expenses.fixed)}</span></span>
+                    <span>Variable <span style={{ fontFamily: T.mono, color: T.warn, fontWeight: 700 }}>{fmtFull(expenses.variable)}</span></span>
+                    <span>Safe extra payment <span style={{ fontFamily: T.mono, color: T.safe, fontWeight: 700 }}>{fmtFull(safe)}/mo</span></span>
+                    {safe !== extra && (
+                      <button onClick={() => setExtra(safe)} style={{
+                        background: T.accentDim, border: `1px solid ${T.accent}40`, borderRadius: T.radiusXs, color: T.accent,
+                        cursor: "pointer", padding: "6px 12px", fontSize: 12, fontWeight: 600, fontFamily: T.font,
+                      }}>Use {fmt(safe)} extra</button>
+                    )}
+                  </div>
+                  <div style={{ fontSize: 11, color: T.textMut, marginTop: 6 }}>The safe extra keeps 10% of income free and 15% headroom on variable expenses.</div>
+                </>
+              ) : (
+                <div style={{ fontSize: 12, color: T.textMut }}>No expenses entered — insights fall back to keeping 30% of income as a buffer.</div>
+              )}
+            </Card>
+
+            {/* Goal seek */}
+            {goalResult && (
+              <Card>
+                <Label>Goal Seek</Label>
+                <div style={{ display: "grid", gridTemplateColumns: "180px 200px 1fr", gap: 12, alignItems: "end", marginBottom: 16 }}>
+                  <div style={{ display: "flex", flexDirection: "column", gap: 5 }}>
+                    <label style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>Goal</label>
+                    <select value={goal.kind} onChange={e => setGoal(g => ({ ...g, kind: e.target.value }))} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs,
+                      padding: "11px 12px", color: T.text, fontSize: 13, fontFamily: T.font, outline: "none",
+                    }}>
+                      <option value="date">Debt-free by</option>
+                      <option value="interest">Total interest under</option>
+                    </select>
+                  </div>
+                  {goal.kind === "date"
+                    ? <MonthField label="Target Month" value={goal.date} onChange={v => setGoal(g => ({ ...g, date: v }))} />
+                    : <Field label="Interest Budget" prefix="₹" value={goal.amount} onChange={v => setGoal(g => ({ ...g, amount: Math.max(0, v) }))} small />}
+                  <div style={{ fontSize: 12, color: T.textSec, lineHeight: 1.5, paddingBottom: 4 }}>
+                    The least to add to today's {fmtFull(extra)}/mo each month{prepayments.length > 0 ? ", keeping the prepayment plan on top," : ""} — or one lump sum next month on top of it all — that gets each strategy there.
+                    {goalResult.excluded.length > 0 && ` ${goalResult.excluded.map(d => d.name || "Unnamed Debt").join(", ")} can't be cleared on its EMI and is left out.`}
+                  </div>
+                </div>
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                  <thead>
+                    <tr>{["Strategy", "Add / month", "Debt-free", "Interest", "Against income", "Or lump sum now", ""].map(h => (
+                      <th key={h} style={{ textAlign: "left", padding: "6px 10px", color: T.textMut, fontWeight: 600, textTransform: "uppercase", fontSize: 10, letterSpacing: 1, borderBottom: `1px solid ${T.border}` }}>{h}</th>
+                    ))}</tr>
+                  </thead>
+                  <tbody>
+                    {STRATEGIES.map(k => {
+                      const r = goalResult.strategies[k];
+                      const need = r.added === null ? null : extra + r.added;
+                      // Step-ups in the prepayment plan raise the monthly figure over time, so judge its peak
+                      const fit = need !== null && income > 0 ? goalFeasibility(r.peak, income, debts, budget) : null;
+                      const fitColor = { comfortable: T.safe, tight: T.warn, unaffordable: T.danger }[fit?.level];
+                      return (
+                        <tr key={k} style={{ borderBottom: `1px solid ${T.border}` }}>
+                          <td style={{ padding: "8px 10px", fontWeight: 600 }}>
+                            {k.charAt(0).toUpperCase() + k.slice(1)}{k === best && <span style={{ color: T.accent, fontSize: 11 }}> · recommended</span>}
+                          </td>
+                          {r.added === null ? (
+                            <td colSpan={4} style={{ padding: "8px 10px", color: T.danger }}>
+                              Out of reach — {goal.kind === "date" ? "no extra payment clears the debts by then" : "no extra payment keeps interest that low"}
+                            </td>
+                          ) : (
+                            <>
+                              <td style={{ padding: "8px 10px", fontFamily: T.mono, fontWeight: 700, color: r.added ? T.text : T.safe }}>
+                                {r.added ? <>+{fmtFull(r.added)} <span style={{ color: T.textMut, fontWeight: 400 }}>({fmtFull(need)} in all{r.peak > need ? `, rising to ${fmtFull(r.peak)}` : ""})</span></> : "On track"}
+                              </td>
+                              <td style={{ padding: "8px 10px", fontFamily: T.mono, color: T.textSec }}>{debtFreeDate(r.addedSim)}</td>
+                              <td style={{ padding: "8px 10px", fontFamily: T.mono, color: T.textSec }}>{fmtFull(r.addedSim.totalInterest)}</td>
+                              <td style={{ padding: "8px 10px", color: fitColor || T.textMut }}>
+                                {fit ? `${fit.level.charAt(0).toUpperCase() + fit.level.slice(1)} · ${fmt(fit.disposable)} disposable` : "—"}
+                              </td>
+                            </>
+                          )}
+                          <td style={{ padding: "8px 10px", fontFamily: T.mono, color: r.lump === null ? T.danger : r.lump ? T.text : T.safe }}>
+                            {r.lump === null ? "Out of reach" : r.lump ? fmtFull(r.lump) : "Not needed"}
+                            {r.lump > 0 && fit && fit.disposable > 0 && (
+                              <span style={{ color: T.textMut, fontFamily: T.font }}> · {Math.ceil(r.lump / fit.disposable)} mo of disposable</span>
+                            )}
+                          </td>
+                          <td style={{ padding: "8px 10px", textAlign: "right" }}>
+                            {r.added > 0 && (
+                              <button onClick={() => setExtra(need)} style={{
+                                background: T.accentDim, border: `1px solid ${T.accent}40`, borderRadius: T.radiusXs, color: T.accent,
+                                cursor: "pointer", padding: "5px 10px", fontSize: 11, fontWeight: 600, fontFamily: T.font,
+                              }}>Use {fmt(need)}</button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                <div style={{ fontSize: 11, color: T.textMut, marginTop: 8 }}>
+                  Comfortable fits within the safe extra (10% of income kept free); tight eats into the rest of disposable income.
+                  {!budget.length && " Add a monthly budget above to count living expenses."}
+                </div>
+              </Card>
+            )}
+
             {/* Monthly cashflow */}
             <Card>
               <Label>Monthly Cashflow Breakdown</Label>
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 12 }}>
+              <div style={{ display: "grid", gridTemplateColumns: `repeat(${expenses ? 5 : 4}, 1fr)`, gap: 12 }}>
                 {[
+                  ...(expenses ? [{ l: "Living Expenses", v: expenses.total, c: T.textSec, bg: T.bg }] : []),
                   { l: "Regular EMIs", v: stress.factors.totalEMI, c: T.text, bg: T.bg },
                   { l: "Extra Payment", v: extra, c: T.accent, bg: T.accentDim },
                   { l: "Total Debt Outflow", v: stress.factors.totalEMI + extra, c: T.warn, bg: T.warnDim },
-                  { l: "Remaining Income", v: income - stress.factors.totalEMI - extra, c: income - stress.factors.totalEMI - extra > 0 ? T.safe : T.danger, bg: income - stress.factors.totalEMI - extra > 0 ? T.safeDim : T.dangerDim },
+                  (() => {
+                    const left = income - (expenses?.total || 0) - stress.factors.totalEMI - extra;
+                    return { l: expenses ? "Disposable Income" : "Remaining Income", v: left, c: left > 0 ? T.safe : T.danger, bg: left > 0 ? T.safeDim : T.dangerDim };
+                  })(),
                 ].map(m => (
                   <div key={m.l} style={{ background: m.bg, borderRadius: T.radiusSm, padding: "16px 14px", textAlign: "center" }}>
                     <div style={{ fontSize: 10, color: T.textMut, textTransform: "uppercase", letterSpacing: 1, marginBottom: 8 }}>{m.l}</div>
@@ -804,11 +2322,32 @@ export default function DebtFree() {
             <Card>
               <Label>Repayment Priority Order</Label>
               {(() => {
-                let sorted;
-                if (best === "avalanche") sorted = [...debts].sort((a, b) => b.rate - a.rate);
-                else if (best === "snowball") sorted = [...debts].sort((a, b) => a.balance - b.balance);
-                else sorted = [...debts].sort((a, b) => (b.rate * b.balance) - (a.rate * a.balance));
-                return sorted.map((d, i) => (
+                const sorted = [...priorityOrder(debts.filter(isAmortizing), best, undefined, tax), ...debts.filter(d => !isAmortizing(d))];
+                return sorted.map((d, i) => stuckDebts.has(d.id) ? (
+                  <div key={d.id} style={{
+                    display: "flex", alignItems: "center", gap: 16, padding: "18px 0",
+                    borderBottom: i < sorted.length - 1 ? `1px solid ${T.border}` : "none",
+                    animation: `fadeSlideIn 0.4s ease ${i * 0.08}s both`,
+                  }}>
+                    <div style={{
+                      width: 40, height: 40, borderRadius: T.radiusSm, background: T.dangerDim, color: T.danger,
+                      display: "flex", alignItems: "center", justifyContent: "center",
+                      fontWeight: 800, fontSize: 18, fontFamily: T.mono, flexShrink: 0,
+                    }}>!</div>
+                    <div style={{ flex: 1 }}>
+                      <div style={{ fontWeight: 700, fontSize: 15, marginBottom: 3 }}>{d.name || "Unnamed Debt"}</div>
+                      <div style={{ fontSize: 12, color: T.textSec }}>
+                        {fmtFull(d.balance)} outstanding · {d.rate}% p.a. · {fmtFull(d.emi)} EMI — below the {fmtFull(stuckDebts.get(d.id).monthlyInterest)} monthly interest
+                      </div>
+                    </div>
+                    <div style={{
+                      background: T.dangerDim, border: `1px solid ${T.danger}30`, padding: "8px 16px", borderRadius: T.radiusXs,
+                      fontSize: 12, fontWeight: 700, color: T.danger, fontFamily: T.mono, textAlign: "center",
+                    }}>
+                      Raise EMI to {fmt(stuckDebts.get(d.id).minEMI)}
+                    </div>
+                  </div>
+                ) : (
                   <div key={d.id} style={{
                     display: "flex", alignItems: "center", gap: 16, padding: "18px 0",
                     borderBottom: i < sorted.length - 1 ? `1px solid ${T.border}` : "none",
@@ -825,6 +2364,8 @@ export default function DebtFree() {
                       <div style={{ fontWeight: 700, fontSize: 15, marginBottom: 3 }}>{d.name || "Unnamed Debt"}</div>
                       <div style={{ fontSize: 12, color: T.textSec }}>
                         {fmtFull(d.balance)} outstanding · {d.rate}% p.a. · {fmtFull(d.emi)} EMI
+                        {unlockMonth(d) > 1 && <span style={{ color: T.warn }}> · locked in until {monthDate(unlockMonth(d))}</span>}
+                        {d.prepayPenalty > 0 && <span style={{ color: T.warn }}> · {d.prepayPenalty}% prepayment charge</span>}
                       </div>
                     </div>
                     <div style={{
@@ -860,7 +2401,7 @@ export default function DebtFree() {
                     }} />
                     <div style={{ flex: 1 }}>
                       <div style={{ fontSize: 14, fontWeight: 700, color: m.pct === 100 ? T.safe : T.text }}>{m.label}</div>
-                      <div style={{ fontSize: 12, color: T.textMut }}>Month {m.month} · {months2str(m.month)}</div>
+                      <div style={{ fontSize: 12, color: T.textMut }}>{monthDate(m.month)} · in {months2str(m.month)}</div>
                     </div>
                     <div style={{
                       fontFamily: T.mono, fontSize: 13, fontWeight: 700,
@@ -879,10 +2420,154 @@ export default function DebtFree() {
             </div>
           </div>
         )}
+
+        {/* ════════ PROGRESS TAB ════════ */}
+        {tab === "progress" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
+              <div>
+                <h2 style={{ fontFamily: T.display, fontSize: 20, fontWeight: 800, margin: 0 }}>Plan vs Actual</h2>
+                <p style={{ fontSize: 13, color: T.textMut, margin: "4px 0 0" }}>
+                  {tracking
+                    ? `Tracking the ${tracking.strategy} plan since ${monthDate(0, trackStart)} · ${months2str(progress.elapsed)} in`
+                    : "Log the payments you actually make and see whether you're ahead of the plan"}
+                </p>
+              </div>
+              <button onClick={restartTracking} disabled={!debts.length} style={{
+                background: tracking ? T.bgInput : T.accentDim, border: `1px solid ${tracking ? T.border : `${T.accent}40`}`, borderRadius: T.radiusSm,
+                padding: "9px 16px", color: tracking ? T.textSec : T.accent, fontWeight: 600, fontSize: 13,
+                cursor: debts.length ? "pointer" : "default", fontFamily: T.font,
+              }}>{tracking ? "↻ Restart tracking" : `Start tracking the ${best} plan`}</button>
+            </div>
+
+            {!tracking ? (
+              <Card>
+                <div style={{ fontSize: 13, color: T.textSec, lineHeight: 1.7 }}>
+                  Tracking takes a snapshot of today's balances and the recommended plan. From then on, record each EMI and prepayment
+                  as you pay it — outstanding balances are worked out from the log, and the milestones below the chart tick off as you actually reach them.
+                </div>
+              </Card>
+            ) : (
+              <>
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12 }}>
+                  {[
+                    { l: `Planned by ${monthDate(progress.elapsed, trackStart)}`, v: fmtFull(progress.planned), c: T.textSec },
+                    { l: "Actually owed", v: fmtFull(progress.actual), c: T.text },
+                    { l: progress.ahead >= 0 ? "Ahead of plan" : "Behind plan", v: fmtFull(Math.abs(progress.ahead)), c: progress.ahead >= 0 ? T.safe : T.danger },
+                  ].map(m => (
+                    <Card key={m.l} style={{ padding: "16px 20px" }}>
+                      <div style={{ fontSize: 11, color: T.textMut, fontWeight: 600, textTransform: "uppercase", letterSpacing: 1, marginBottom: 6 }}>{m.l}</div>
+                      <div style={{ fontFamily: T.mono, fontSize: 22, fontWeight: 800, color: m.c }}>{m.v}</div>
+                    </Card>
+                  ))}
+                </div>
+
+                <Card>
+                  <Label>Outstanding Balance — Plan vs Actual</Label>
+                  <ResponsiveContainer width="100%" height={280}>
+                    <AreaChart data={progress.series} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                      <defs>
+                        <linearGradient id="trk-actual" x1="0" y1="0" x2="0" y2="1">
+                          <stop offset="0%" stopColor={T.accent} stopOpacity={0.25} />
+                          <stop offset="100%" stopColor={T.accent} stopOpacity={0} />
+                        </linearGradient>
+                      </defs>
+                      <CartesianGrid strokeDasharray="3 3" stroke={T.border} />
+                      <XAxis dataKey="month" type="number" domain={["dataMin", "dataMax"]} stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} tickFormatter={m => monthDate(m, trackStart)} minTickGap={24} />
+                      <YAxis stroke={T.textMut} tick={{ fontSize: 11, fill: T.textMut }} tickFormatter={fmt} />
+                      <Tooltip
+                        contentStyle={{ background: T.bgCard, border: `1px solid ${T.border}`, borderRadius: 10, fontSize: 12, fontFamily: T.mono }}
+                        formatter={(v) => fmtFull(v)} labelFormatter={l => `${monthDate(l, trackStart)} · Month ${l}`}
+                      />
+                      <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+                      <ReferenceLine x={progress.elapsed} stroke={T.textMut} strokeDasharray="4 4" label={{ value: "Today", fill: T.textMut, fontSize: 11, position: "top" }} />
+                      <Area type="monotone" dataKey="planned" name="Plan" stroke={T.textMut} fill="none" strokeDasharray="5 5" strokeWidth={2} dot={false} connectNulls />
+                      <Area type="monotone" dataKey="actual" name="Actual" stroke={T.accent} fill="url(#trk-actual)" strokeWidth={2.5} dot={false} connectNulls />
+                    </AreaChart>
+                  </ResponsiveContainer>
+                </Card>
+
+                <Card>
+                  <Label>Log a Payment</Label>
+                  <div style={{ display: "grid", gridTemplateColumns: "1.6fr 1fr 1fr 1fr auto", gap: 10, alignItems: "center" }}>
+                    <select value={payDebt?.id ?? ""} onChange={e => setPayment(p => ({ ...p, debtId: Number(e.target.value), amount: null }))} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "9px 12px",
+                      color: T.textSec, fontSize: 12, fontFamily: T.font, outline: "none",
+                    }}>
+                      {debts.map(d => <option key={d.id} value={d.id}>{d.name || "Unnamed Debt"}</option>)}
+                    </select>
+                    <input type="date" value={payment.date} onChange={e => setPayment(p => ({ ...p, date: e.target.value }))} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "8px 10px",
+                      color: T.text, fontSize: 12, fontFamily: T.mono, fontWeight: 600, outline: "none", colorScheme: "dark",
+                    }} />
+                    <input type="number" value={payment.amount ?? payDebt?.emi ?? ""} placeholder="₹" onChange={e => setPayment(p => ({ ...p, amount: Math.max(0, parseFloat(e.target.value) || 0) }))} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "8px 10px",
+                      color: T.text, fontSize: 13, fontFamily: T.mono, fontWeight: 600, outline: "none", width: "100%",
+                    }} />
+                    <select value={payment.kind} onChange={e => setPayment(p => ({ ...p, kind: e.target.value }))} style={{
+                      background: T.bgInput, border: `1px solid ${T.border}`, borderRadius: T.radiusXs, padding: "9px 12px",
+                      color: payment.kind === "prepay" ? T.accent : T.textSec, fontSize: 12, fontFamily: T.font, outline: "none",
+                    }}>
+                      {PAYMENT_KINDS.map(k => <option key={k} value={k}>{k === "prepay" ? "Prepayment" : "EMI"}</option>)}
+                    </select>
+                    <button onClick={logPayment} disabled={!payDebt} style={{
+                      background: T.accentDim, border: `1px solid ${T.accent}40`, borderRadius: T.radiusXs, color: T.accent,
+                      cursor: payDebt ? "pointer" : "default", padding: "9px 16px", fontSize: 12, fontWeight: 600, fontFamily: T.font,
+                    }}>+ Log payment</button>
+                  </div>
+                  <div style={{ fontSize: 11, color: T.textMut, marginTop: 8 }}>
+                    Balances are worked out from the log: an EMI pays the month's interest first, a prepayment goes to principal less any prepayment charge.
+                  </div>
+                  {paymentLog.length > 0 && (
+                    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, fontFamily: T.mono, marginTop: 16 }}>
+                      <thead>
+                        <tr>{["Date", "Debt", "Type", "Amount", ""].map((h, i) => (
+                          <th key={i} style={{ textAlign: i === 3 ? "right" : "left", padding: "8px 10px", color: T.textMut, fontFamily: T.font, fontWeight: 600, textTransform: "uppercase", fontSize: 10, letterSpacing: 1, borderBottom: `1px solid ${T.borderLight}` }}>{h}</th>
+                        ))}</tr>
+                      </thead>
+                      <tbody>
+                        {paymentLog.map(p => (
+                          <tr key={`${p.debt.id}-${p.id}`} style={{ borderBottom: `1px solid ${T.border}`, opacity: p.date.slice(0, 7) < tracking.start ? 0.5 : 1 }}>
+                            <td style={{ padding: "6px 10px", color: T.textSec }}>{p.date}</td>
+                            <td style={{ padding: "6px 10px", fontFamily: T.font }}>{p.debt.name || "Unnamed Debt"}</td>
+                            <td style={{ padding: "6px 10px", fontFamily: T.font, color: p.kind === "prepay" ? T.accent : T.textSec }}>{p.kind === "prepay" ? "Prepayment" : "EMI"}</td>
+                            <td style={{ padding: "6px 10px", textAlign: "right", fontWeight: 600 }}>{fmtFull(p.amount)}</td>
+                            <td style={{ padding: "6px 10px", textAlign: "right" }}>
+                              <button onClick={() => updatePayments(p.debt.id, list => list.filter(x => x.id !== p.id))} style={{ background: "none", border: "none", color: T.textMut, cursor: "pointer", fontSize: 13, padding: "0 4px" }}>✕</button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </Card>
+
+                <Card>
+                  <Label>Milestones</Label>
+                  {progress.milestones.map((m, i) => {
+                    const state = m.achieved ? { c: T.safe, bg: T.safeDim, tag: "Achieved", note: `Reached ${monthDate(m.achievedMonth, trackStart)}` }
+                      : m.due ? { c: T.danger, bg: T.dangerDim, tag: "Overdue", note: `Planned for ${monthDate(m.month, trackStart)}` }
+                      : { c: T.textMut, bg: T.bg, tag: "Pending", note: `Planned for ${monthDate(m.month, trackStart)}` };
+                    return (
+                      <div key={i} style={{ display: "flex", alignItems: "center", gap: 14, padding: "10px 0", borderBottom: i < progress.milestones.length - 1 ? `1px solid ${T.border}` : "none" }}>
+                        <span style={{ fontSize: 16, color: state.c, width: 18, textAlign: "center" }}>{m.achieved ? "✓" : "○"}</span>
+                        <div style={{ flex: 1 }}>
+                          <div style={{ fontSize: 14, fontWeight: 700, color: m.achieved ? T.text : T.textSec }}>{m.label}</div>
+                          <div style={{ fontSize: 12, color: T.textMut }}>{state.note}</div>
+                        </div>
+                        <span style={{ fontSize: 11, fontWeight: 700, color: state.c, background: state.bg, padding: "4px 12px", borderRadius: 20 }}>{state.tag}</span>
+                      </div>
+                    );
+                  })}
+                </Card>
+              </>
+            )}
+          </div>
+        )}
       </main>
 
       {/* ── FOOTER ── */}
-      <footer style={{ borderTop: `1px solid ${T.border}`, padding: "20px 28px", textAlign: "center" }}>
+      <footer className="no-print" style={{ borderTop: `1px solid ${T.border}`, padding: "20px 28px", textAlign: "center" }}>
         <div style={{ fontSize: 12, color: T.textMut }}>
           DebtFree v2.0 · Built with ☕ in India · Open Source on GitHub
         </div>
@@ -0,0 +1,258 @@
+/* ─────────────────────── ADVISOR ─────────────────────── */
+// Natural-language questions about the portfolio, answered by a pluggable provider:
+//   { id, label, ask({ question, payload, history }) → Promise<string> }
+// where `payload` is the advisorPayload the user has previewed (and possibly redacted) and
+// `history` the earlier turns as [{ role: "user" | "assistant", content }]. A provider rejects
+// with an Error carrying a user-facing message.
+//
+// offlineProvider answers structured what-ifs on the device with simulatePayoff; the
+// OpenAI-compatible adapter sends the same payload to a user-configured /chat/completions endpoint.
+
+import { STRATEGIES, simulatePayoff, priorityOrder, isAmortizing, buildExtraSchedule } from "./engine.js";
+import { fmtFull, months2str, monthDate } from "./format.js";
+
+export const REDACTIONS = [
+  { key: "names", label: "Replace debt names with “Loan 1, 2…”" },
+  { key: "income", label: "Leave out income" },
+  { key: "amounts", label: "Round amounts to 2 significant figures" },
+];
+
+const roughly = (v) => v ? Number(v.toPrecision(2)) : 0;
+
+/**
+ * The portfolio as a provider sees it — previewed in the UI before anything is asked.
+ * `redact` flags the REDACTIONS to apply: names, income, amounts.
+ * `prepayments` and an enabled `rateScenario` are part of the plan, so they go along too.
+ * @returns {{ income: number|null, extra: number, strategy: string, rollover: boolean, debts: object[],
+ *   prepayments: object[], rateScenario: RateScenario|null }}
+ */
+export function advisorPayload({ debts, income, extra = 0, strategy = "avalanche", rollover = false, prepayments = [], rateScenario = null }, redact = {}) {
+  const amount = redact.amounts ? roughly : (v) => v;
+  return {
+    income: redact.income ? null : amount(income || 0),
+    extra: amount(extra || 0), strategy: STRATEGIES.includes(strategy) ? strategy : "avalanche", rollover: !!rollover,
+    debts: debts.map((d, n) => ({
+      name: redact.names ? `Loan ${n + 1}` : d.name || `Debt ${n + 1}`,
+      balance: amount(d.balance), rate: d.rate, emi: amount(d.emi), type: d.type,
+      ...(d.startDate ? { startDate: d.startDate } : {}),
+      ...(d.tenure ? { tenure: d.tenure } : {}),
+      ...(d.floating ? { floating: true } : {}),
+      ...(d.floating && d.rateChanges?.length ? { rateChanges: d.rateChanges } : {}),
+      ...(d.card ? { card: { ...d.card, spend: amount(d.card.spend), minDueFloor: amount(d.card.minDueFloor), lateFee: amount(d.card.lateFee) } } : {}),
+      ...(d.prepayPenalty ? { prepayPenalty: d.prepayPenalty } : {}),
+      ...(d.lockInUntil ? { lockInUntil: d.lockInUntil } : {}),
+    })),
+    prepayments: prepayments.map(({ id, ...p }) => p.kind === "stepup" ? p : { ...p, amount: amount(p.amount) }),
+    rateScenario: rateScenario?.enabled ? { shockBps: rateScenario.shockBps, shockDate: rateScenario.shockDate, reset: rateScenario.reset } : null,
+  };
+}
+
+/** Key of the settings a turn is asked under: the provider, its endpoint and the redactions in force. */
+export const advisorScope = ({ provider, baseUrl = "", redact = {} }) =>
+  [provider === "openai" ? `openai@${String(baseUrl).trim()}` : provider, ...REDACTIONS.filter(r => redact[r.key]).map(r => r.key)].join(":");
+
+/**
+ * Earlier turns to send with the next question: only those asked under the current scope, so a
+ * switch of provider or redaction never forwards replies written from less-redacted data.
+ * Turns that failed are left out.
+ */
+export function advisorHistory(messages, settings) {
+  const scope = advisorScope(settings);
+  return messages.filter(m => m.scope === scope && !m.error).map(({ role, content }) => ({ role, content }));
+}
+
+/* ── offline what-ifs ── */
+
+const UNITS = { k: 1e3, thousand: 1e3, l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7 };
+
+/** First rupee amount in a question: "10k", "1.5 lakh", "2L", "₹10,000". Null when there is none. */
+export function parseAmount(text) {
+  const m = String(text).match(/(?:₹|\brs\.?|\binr)?\s*(\d[\d,]*(?:\.\d+)?)\s*(k|thousand|lakhs?|lacs?|l|crores?|cr)?(?![\d.,a-z%])/i);
+  if (!m) return null;
+  return Math.round(parseFloat(m[1].replace(/,/g, "")) * (UNITS[(m[2] || "").toLowerCase()] || 1));
+}
+
+const words = (s) => String(s).toLowerCase().match(/[a-z0-9]+/g) || [];
+const STOP_WORDS = new Set(["the", "and", "for", "off", "pay", "loan", "debt"]);
+
+// Debts whose name shares the most words with the question — several when it's ambiguous.
+// Generic words only count when nothing more specific matches.
+function matchDebts(question, debts) {
+  const asked = new Set(words(question));
+  const score = (d, generic) => words(d.name)
+    .filter(w => (w.length > 2 || /^\d+$/.test(w)) && asked.has(w) && generic === STOP_WORDS.has(w)).length;
+  for (const generic of [false, true]) {
+    const scored = debts.map(d => ({ d, s: score(d, generic) + (generic ? 0 : score(d, true) / 10) }));
+    const top = Math.max(0, ...scored.map(x => x.s));
+    if (top > 0) return scored.filter(x => x.s === top).map(x => x.d);
+  }
+  return [];
+}
+
+const outcome = (sim, today) => sim.paidOff
+  ? `debt-free in ${months2str(sim.months)} (${monthDate(sim.months, today)}) with ${fmtFull(sim.totalInterest)} of interest`
+  : `still in debt after ${months2str(sim.months)}`;
+
+function versus(sim, base) {
+  const dm = sim.months - base.months, di = sim.totalInterest - base.totalInterest;
+  if (!dm && Math.abs(di) < 1) return "exactly the same as your current plan";
+  const time = dm < 0 ? `${months2str(-dm)} sooner` : dm > 0 ? `${months2str(dm)} later` : "the same finish date";
+  const interest = di < 0 ? `${fmtFull(-di)} less interest` : di > 0 ? `${fmtFull(di)} more interest` : "the same interest";
+  return `${time} and ${interest} than your current plan`;
+}
+
+const bpsLabel = (bps) => `${bps > 0 ? "+" : ""}${bps} bps`;
+
+const clearedIn = (sim, debt, today) => {
+  const m = sim.milestones.find(x => x.id === debt.id);
+  return m ? ` ${debt.name} would be cleared in ${monthDate(m.month, today)}.` : "";
+};
+
+const HELP = [
+  "I can answer what-ifs about this portfolio, for example:",
+  "• “What if I close the <debt name> first?”",
+  "• “What if I pay 10k extra every month?” (or “5k more”)",
+  "• “What if I put a 2 lakh lump sum on the <debt name>?”",
+  "• “What if rates rise by 1%?” (or “+50 bps”)",
+  "• “Which debt should I pay first?” · “When will I be debt-free?”",
+].join("\n");
+
+/**
+ * Answers a what-if question from an advisorPayload alone, by re-running simulatePayoff with the
+ * payload's prepayment plan and rate scenario. Unrecognised questions get a list of the questions it understands.
+ */
+export function answerOffline(question, payload, today = new Date()) {
+  const q = String(question).toLowerCase();
+  const all = payload.debts.map((d, n) => ({ ...d, id: n + 1 }));
+  const debts = all.filter(isAmortizing);
+  if (!all.length) return "Add your debts first — I answer from the portfolio on the Debts tab.";
+  const { strategy, rollover, prepayments = [], rateScenario = null } = payload;
+  // A monthly extra with the prepayment plan layered on, as the Strategies tab runs it
+  const withPlan = (extra) => prepayments.length ? buildExtraSchedule(extra, prepayments, today) : extra;
+  const run = (list, s = strategy, extra = payload.extra, rates = rateScenario) =>
+    simulatePayoff(list, s, withPlan(extra), rollover, { today, ...(rates ? { rates } : {}) });
+  const base = run(debts);
+  const note = debts.length < all.length
+    ? `\n(Left out: ${all.filter(d => !isAmortizing(d)).map(d => d.name).join(", ")} — the EMI doesn't cover the interest.)`
+    : "";
+  const plan = `your ${strategy} plan with ${fmtFull(payload.extra)}/month extra` +
+    `${prepayments.length ? " and your prepayment plan" : ""}${rateScenario ? ` under the ${bpsLabel(rateScenario.shockBps)} rate scenario` : ""}`;
+  const pickDebt = () => {
+    const found = matchDebts(q, debts);
+    if (found.length === 1) return { debt: found[0] };
+    const names = (found.length ? found : debts).map(d => d.name).join(", ");
+    return { reply: `Which debt do you mean? ${found.length ? "That matches" : "Your debts are"}: ${names}.` };
+  };
+
+  // Rate moves on floating-rate loans: "rates rise by 1%", "+50 bps", "rate cut of 0.25%"
+  const rateMove = q.match(/([+-]?\d+(?:\.\d+)?)\s*(%|percent|bps|basis points?)/);
+  if (rateMove && /\b(rates?|repo|rbi)\b/.test(q)) {
+    const floating = debts.filter(d => d.floating);
+    if (!floating.length) return "None of your loans is on a floating rate, so a rate move doesn't change your plan.";
+    const size = parseFloat(rateMove[1]) * (/bps|basis/.test(rateMove[2]) ? 1 : 100);
+    const bps = Math.round(/\b(fall|falls|drop|drops|cut|cuts|down|lower|reduce)/.test(q) ? -Math.abs(size) : size);
+    // On top of the scenario being viewed, if any, so it compares against the plan as it stands
+    const rates = rateScenario ? { ...rateScenario, shockBps: rateScenario.shockBps + bps } : { shockBps: bps, shockDate: "", reset: "tenure" };
+    const sim = run(debts, strategy, payload.extra, rates);
+    return `A ${bpsLabel(bps)} move on ${floating.map(d => d.name).join(", ")}${rateScenario ? ` on top of the ${bpsLabel(rateScenario.shockBps)} scenario` : ""} ` +
+      `(${rates.reset === "emi" ? "tenure unchanged, EMIs re-priced" : "EMIs unchanged, tenure adjusts"}): ${outcome(sim, today)} — ${versus(sim, base)}.${note}`;
+  }
+
+  // One-off payment: "lump sum of 2L on the car loan", "prepay 50k", "bonus of 1 lakh"
+  if (/\b(lump|lumpsum|one[- ]?time|one[- ]?off|bonus|prepay|windfall)/.test(q)) {
+    const amount = parseAmount(q);
+    if (!amount) return "How much is the lump sum? For example “a 1 lakh lump sum on the car loan”.";
+    let target;
+    if (matchDebts(q, debts).length) {
+      const picked = pickDebt();
+      if (picked.reply) return picked.reply;
+      target = picked.debt;
+    } else target = priorityOrder(debts, strategy, today)[0];
+    const paid = Math.min(amount, target.balance);
+    const after = debts.map(d => d.id === target.id ? { ...d, balance: d.balance - paid } : d).filter(d => d.balance > 0);
+    const sim = run(after);
+    return `Putting ${fmtFull(paid)} on ${target.name} now${paid < amount ? ` (that clears it; ${fmtFull(amount - paid)} would be left over)` : ""}, ` +
+      `then following ${plan}: ${outcome(sim, today)} — ${versus(sim, base)}.${note}`;
+  }
+
+  // Monthly extra: "pay 10k extra", "5k more each month"
+  if (/\b(extra|more|additional|per month|a month|monthly|every month)\b/.test(q) && parseAmount(q)) {
+    const amount = parseAmount(q);
+    const extra = /\bmore\b/.test(q) ? payload.extra + amount : amount;
+    const sim = run(debts, strategy, extra);
+    return `Paying ${fmtFull(extra)}/month extra${prepayments.length ? " plus your prepayment plan" : ""} with the ${strategy} strategy: ` +
+      `${outcome(sim, today)} — ${versus(sim, base)}.${note}`;
+  }
+
+  // A different order: "close the Axis card first", "what if I clear the car loan first"
+  if (/\bfirst\b/.test(q) && /\b(close|clear|pay|kill|finish|target|attack|focus|prioriti[sz]e)/.test(q) && !/\bwhich\b/.test(q)) {
+    const picked = pickDebt();
+    if (picked.reply) return picked.reply;
+    const rest = priorityOrder(debts.filter(d => d.id !== picked.debt.id), strategy, today);
+    const sim = run([picked.debt, ...rest], "custom");
+    return `Clearing ${picked.debt.name} first, then the rest by ${strategy}: ${outcome(sim, today)} — ${versus(sim, base)}.` +
+      `${clearedIn(sim, picked.debt, today)}${note}`;
+  }
+
+  if (/\b(which|what|order|priority|priorit)/.test(q) && /\b(first|order|priority|next)\b/.test(q)) {
+    const order = priorityOrder(debts, strategy, today);
+    return `With the ${strategy} strategy, extra payments go to: ${order.map((d, n) => `${n + 1}. ${d.name} (${d.rate}%)`).join(", ")}.${note}`;
+  }
+
+  if (/\b(when|how long|debt[- ]?free|finish|done|current plan|summary)\b/.test(q)) {
+    return `On ${plan}, you are ${outcome(base, today)}.${note}`;
+  }
+
+  return HELP;
+}
+
+export const offlineProvider = {
+  id: "offline",
+  label: "Offline (on this device)",
+  ask: async ({ question, payload }) => answerOffline(question, payload),
+};
+
+/* ── OpenAI-compatible endpoint ── */
+
+const systemPrompt = (payload) => [
+  "You are a debt-payoff advisor for an Indian household using the DebtFree planner.",
+  "Amounts are in rupees, rates in % per annum, EMIs monthly. Answer briefly and show the numbers you rely on.",
+  payload.income === null ? "The user chose not to share their income." : "",
+  "Some names or amounts may be redacted or rounded by the user.",
+  `Portfolio (JSON): ${JSON.stringify(payload)}`,
+].filter(Boolean).join("\n");
+
+/**
+ * Provider for any endpoint that speaks the OpenAI chat-completions API (a hosted service,
+ * Ollama, LM Studio, a local proxy…). `fetch` is injectable for tests.
+ */
+export function openAICompatibleProvider({ baseUrl, model, apiKey = "", fetch: send = globalThis.fetch }) {
+  const url = `${String(baseUrl || "").trim().replace(/\/+$/, "")}/chat/completions`;
+  return {
+    id: "openai",
+    label: "OpenAI-compatible endpoint",
+    async ask({ question, payload, history = [] }) {
+      if (!baseUrl) throw new Error("Set the endpoint URL first.");
+      let res;
+      try {
+        res = await send(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+          body: JSON.stringify({
+            model, messages: [{ role: "system", content: systemPrompt(payload) }, ...history, { role: "user", content: question }],
+          }),
+        });
+      } catch (e) {
+        throw new Error(`Couldn't reach ${url}.`);
+      }
+      const doc = await res.json().catch(() => null);
+      if (!res.ok) throw new Error(`The endpoint replied ${res.status}${doc?.error?.message ? `: ${doc.error.message}` : "."}`);
+      const text = doc?.choices?.[0]?.message?.content;
+      if (typeof text !== "string" || !text.trim()) throw new Error("The endpoint's reply had no message in it.");
+      return text.trim();
+    },
+  };
+}
+
+/** Provider for the settings chosen in the UI: { provider, baseUrl, model, apiKey }. */
+export const advisorProvider = (settings) => settings.provider === "openai" ? openAICompatibleProvider(settings) : offlineProvider;
@@ -0,0 +1,180 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import {
+  advisorPayload, answerOffline, parseAmount, openAICompatibleProvider, advisorProvider, advisorHistory, advisorScope,
+} from "./advisor.js";
+import { simulatePayoff, buildExtraSchedule, CARD_DEFAULTS } from "./engine.js";
+import { fmtFull, months2str } from "./format.js";
+
+const TODAY = new Date(2025, 0, 15);
+const DEBTS = [
+  { id: 1, name: "Home Loan", balance: 3200000, rate: 8.5, emi: 32000, type: "secured", floating: true },
+  { id: 2, name: "Car Loan", balance: 520000, rate: 9.25, emi: 14500, type: "secured" },
+  { id: 3, name: "Axis Credit Card", balance: 145000, rate: 42, emi: 12000, type: "revolving" },
+];
+const PORTFOLIO = { debts: DEBTS, income: 185000, extra: 10000, strategy: "avalanche", rollover: false };
+
+test("the advisor payload redacts names, income and amounts on request", () => {
+  const plain = advisorPayload(PORTFOLIO);
+  assert.equal(plain.debts[2].name, "Axis Credit Card");
+  assert.equal(plain.income, 185000);
+  assert.equal(plain.debts[0].floating, true);
+  const red = advisorPayload(PORTFOLIO, { names: true, income: true, amounts: true });
+  assert.deepEqual(red.debts.map(d => d.name), ["Loan 1", "Loan 2", "Loan 3"]);
+  assert.equal(red.income, null);
+  assert.equal(red.debts[1].balance, 520000);
+  assert.equal(red.debts[2].balance, 150000);
+  assert.ok(!JSON.stringify(red).includes("Axis"));
+
+  // Card terms and the prepayment plan are amounts too
+  const withPlan = {
+    ...PORTFOLIO,
+    debts: [...DEBTS.slice(0, 2), { ...DEBTS[2], card: { ...CARD_DEFAULTS, spend: 12345, minDueFloor: 234, lateFee: 1234 } }],
+    prepayments: [{ id: 1, kind: "lump", amount: 123456, date: "2025-06" }, { id: 2, kind: "stepup", percent: 10, month: 4 }],
+    rateScenario: { enabled: true, shockBps: 50, shockDate: "", reset: "emi" },
+  };
+  const rounded = advisorPayload(withPlan, { amounts: true });
+  assert.deepEqual([rounded.debts[2].card.spend, rounded.debts[2].card.minDueFloor, rounded.debts[2].card.lateFee], [12000, 230, 1200]);
+  assert.deepEqual(rounded.prepayments, [{ kind: "lump", amount: 120000, date: "2025-06" }, { kind: "stepup", percent: 10, month: 4 }]);
+  assert.deepEqual(rounded.rateScenario, { shockBps: 50, shockDate: "", reset: "emi" });
+  assert.equal(advisorPayload({ ...withPlan, rateScenario: { ...withPlan.rateScenario, enabled: false } }).rateScenario, null);
+});
+
+test("the offline advisor answers what-ifs by re-simulating the plan", () => {
+  assert.equal(parseAmount("pay 10k extra"), 10000);
+  assert.equal(parseAmount("a 1.5 lakh bonus"), 150000);
+  assert.equal(parseAmount("₹25,000 more"), 25000);
+  assert.equal(parseAmount("2L on the car loan"), 200000);
+  assert.equal(parseAmount("rates rise by 15%"), null);
+
+  const payload = advisorPayload(PORTFOLIO);
+  const ask = (q) => answerOffline(q, payload, TODAY);
+  const ids = DEBTS.map(({ id, ...d }, n) => ({ ...d, id: n + 1 }));
+  const base = simulatePayoff(ids, "avalanche", 10000, false, { today: TODAY });
+
+  // Home loan first, then the rest in avalanche order, run as a custom order — without rollover
+  // the extra on the longest loan pulls the debt-free date in
+  const homeFirst = simulatePayoff([ids[0], ids[2], ids[1]], "custom", 10000, false, { today: TODAY });
+  const first = ask("What if I close the home loan first?");
+  assert.match(first, /^Clearing Home Loan first, then the rest by avalanche/);
+  assert.ok(first.includes(`${fmtFull(base.totalInterest - homeFirst.totalInterest)} less interest than your current plan`));
+  assert.match(first, /Home Loan would be cleared in/);
+
+  const extra = simulatePayoff(ids, "avalanche", 20000, false, { today: TODAY });
+  const more = ask("what if I pay 10k more every month?");
+  assert.match(more, /₹20,000\/month extra/);
+  assert.ok(extra.months < base.months);
+  assert.ok(more.includes(`${months2str(base.months - extra.months)} sooner`));
+
+  assert.match(ask("What if I put a 1 lakh lump sum on the Axis card?"), /^Putting ₹1,00,000 on Axis Credit Card now/);
+  assert.match(ask("What if I put a 1 lakh lump sum on a loan?"), /^Which debt do you mean\? That matches: Home Loan, Car Loan/);
+  assert.match(ask("what if rates rise by 1%?"), /^A \+100 bps move on Home Loan .*more interest/);
+  assert.match(ask("Which debt should I pay first?"), /1\. Axis Credit Card \(42%\), 2\. Car Loan/);
+  assert.match(ask("When will I be debt-free?"), /you are debt-free in/);
+  assert.match(ask("Tell me a joke"), /^I can answer what-ifs/);
+
+  // With a prepayment plan and a rate scenario, "your plan" is simulated with both
+  const planned = advisorPayload({
+    ...PORTFOLIO,
+    prepayments: [{ id: 1, kind: "lump", amount: 200000, date: "2025-06" }, { id: 2, kind: "stepup", percent: 10, month: 4 }],
+    rateScenario: { enabled: true, shockBps: 100, shockDate: "", reset: "tenure" },
+  });
+  const schedule = buildExtraSchedule(10000, planned.prepayments, TODAY);
+  const rates = { shockBps: 100, shockDate: "", reset: "tenure" };
+  const current = simulatePayoff(ids, "avalanche", schedule, false, { today: TODAY, rates });
+  const status = answerOffline("When will I be debt-free?", planned, TODAY);
+  assert.match(status, /^On your avalanche plan with ₹10,000\/month extra and your prepayment plan under the \+100 bps rate scenario/);
+  assert.ok(status.includes(months2str(current.months)));
+  const shock = simulatePayoff(ids, "avalanche", schedule, false, { today: TODAY, rates: { ...rates, shockBps: 150 } });
+  const rise = answerOffline("what if rates rise by 50 bps?", planned, TODAY);
+  assert.match(rise, /^A \+50 bps move on Home Loan on top of the \+100 bps scenario/);
+  assert.ok(rise.includes(`${fmtFull(shock.totalInterest - current.totalInterest)} more interest`));
+
+  // Redacted names still work — the user refers to them as shown in the preview
+  const red = advisorPayload(PORTFOLIO, { names: true });
+  assert.match(answerOffline("close loan 2 first", red, TODAY), /^Clearing Loan 2 first/);
+});
+
+test("the OpenAI-compatible adapter posts the previewed payload to the endpoint", async () => {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      received.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+      const failing = received.length > 1;
+      res.writeHead(failing ? 429 : 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(failing
+        ? { error: { message: "Rate limit reached" } }
+        : { choices: [{ message: { role: "assistant", content: "  Clear the card first.  " } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    const provider = openAICompatibleProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, model: "local", apiKey: "sk-test" });
+    const payload = advisorPayload(PORTFOLIO, { names: true, income: true });
+    const history = [{ role: "user", content: "hi" }, { role: "assistant", content: "Hello" }];
+    assert.equal(await provider.ask({ question: "What first?", payload, history }), "Clear the card first.");
+
+    const [req] = received;
+    assert.equal(req.url, "/v1/chat/completions");
+    assert.equal(req.auth, "Bearer sk-test");
+    assert.equal(req.body.model, "local");
+    assert.deepEqual(req.body.messages.slice(1), [...history, { role: "user", content: "What first?" }]);
+    assert.equal(req.body.messages[0].role, "system");
+    assert.ok(req.body.messages[0].content.includes(JSON.stringify(payload)));
+    assert.ok(!req.body.messages[0].content.includes("Axis"));
+
+    await assert.rejects(provider.ask({ question: "Again?", payload }), /replied 429: Rate limit reached/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+  await assert.rejects(
+    openAICompatibleProvider({ baseUrl: "http://127.0.0.1:9", model: "x", fetch: () => Promise.reject(new TypeError("fetch failed")) })
+      .ask({ question: "q", payload: {} }),
+    /Couldn't reach http:\/\/127\.0\.0\.1:9\/chat\/completions/,
+  );
+});
+
+test("switching provider or redaction never forwards earlier, less-redacted turns", async () => {
+  const bodies = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      bodies.push(body);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content: `Reply ${bodies.length}` } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  try {
+    // The chat as the UI keeps it: each turn tagged with the scope it was asked under
+    const ask = async (settings, messages, question) => {
+      const scope = advisorScope(settings);
+      const payload = advisorPayload(PORTFOLIO, settings.redact);
+      const content = await advisorProvider(settings).ask({ question, payload, history: advisorHistory(messages, settings) });
+      return [...messages, { role: "user", content: question, scope }, { role: "assistant", content, scope }];
+    };
+    const offline = { provider: "offline", redact: {} };
+    let chat = await ask(offline, [], "What if I put a 1 lakh lump sum on the card?");
+    assert.match(chat[1].content, /Axis Credit Card/);
+
+    const remote = { provider: "openai", baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: "m", redact: { names: true, income: true } };
+    chat = await ask(remote, chat, "And what about loan 2?");
+    chat = await ask(remote, chat, "Thanks — anything else?");
+    assert.equal(bodies.length, 2);
+    bodies.forEach(b => {
+      assert.ok(!b.includes("Axis"), "no unredacted name reaches the endpoint");
+      assert.ok(!b.includes("185000"), "nor the income");
+    });
+    // Turns asked under the remote settings do carry over
+    assert.deepEqual(JSON.parse(bodies[1]).messages.slice(1, 3).map(m => m.content), ["And what about loan 2?", "Reply 1"]);
+
+    // Turning a redaction off starts a fresh scope as well
+    assert.deepEqual(advisorHistory(chat, { ...remote, redact: { names: true } }), []);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,1478 @@
+/* ─────────────────────── CALCULATION ENGINE ─────────────────────── */
+// Framework-free debt maths shared by the UI and any script: no React, no DOM.
+//
+// A Debt is { id, name, balance, rate, emi, type, startDate?, tenure? } — balance and emi
+// in rupees, rate in % per annum, type one of "secured" | "unsecured" | "revolving",
+// startDate the "YYYY-MM" month of the next (or first) EMI, tenure the remaining EMIs.
+// Floating-rate loans set `floating: true` and may list `rateChanges: [{ date: "YYYY-MM", rate }]`.
+// Credit cards are revolving debts with `card` terms (see CREDIT CARDS); `emi` is what is paid each month.
+// `prepayPenalty` is the % charged on any part-prepayment, and `lockInUntil` ("YYYY-MM") the first
+// month prepayment is allowed at all. `taxSection` marks a tax-deductible loan (see TAX), and
+// `owners` splits a debt between household members (see HOUSEHOLD). `solveFor` names a term that is
+// worked out from the others rather than entered (see LOAN TERMS).
+// A Strategy is "avalanche" | "snowball" | "hybrid" | "custom" (the order of the debts array);
+// "baseline" means no extra payments. The "optimal" plan is searched for (see optimiseStrategy).
+//
+// Simulations are anchored to `today` (default: now): month 1 is next calendar month.
+
+import { fmt, fmtFull, pct, months2str } from "./format.js";
+
+export const STRATEGIES = ["avalanche", "snowball", "hybrid", "custom"];
+export const MAX_MONTHS = 600;
+// Remaining tenure (months) assumed by type when a debt doesn't carry its own `tenure`.
+export const DEFAULT_TENURE = { secured: 180, unsecured: 60, revolving: 36 };
+
+// Priority comparator for a strategy; `bal` reads the balance and `rate` the rate to rank by.
+// "custom" keeps the given order (Array#sort is stable).
+const byStrategy = (strategy, bal, rate = d => d.rate) => {
+  if (strategy === "avalanche") return (a, b) => rate(b) - rate(a);
+  if (strategy === "snowball") return (a, b) => bal(a) - bal(b);
+  if (strategy === "custom") return () => 0;
+  return (a, b) => (rate(b) * bal(b)) - (rate(a) * bal(a));
+};
+
+/** Months from `today` to a "YYYY-MM" month — 1 is next month, 0 this month, negative the past. */
+export function monthsUntil(ym, today = new Date()) {
+  const [y, m] = String(ym).split("-").map(Number);
+  if (!y || !m) return 0;
+  return (y - today.getFullYear()) * 12 + (m - 1 - today.getMonth());
+}
+
+/** Simulation month of a debt's first payment: 1 unless it starts after next month. */
+export const startMonth = (d, today = new Date()) => d.startDate ? Math.max(1, monthsUntil(d.startDate, today)) : 1;
+
+/** Level EMI that clears `balance` at `rate`% p.a. in `months` instalments. */
+export function annuityEMI(balance, rate, months) {
+  if (balance <= 0) return 0;
+  const r = rate / 1200;
+  if (r === 0) return balance / months;
+  return balance * r / (1 - Math.pow(1 + r, -months));
+}
+
+/** Months a level `emi` takes to clear `balance` at `rate`% p.a.; Infinity if it never does. */
+export function remainingTerm(balance, rate, emi) {
+  if (balance <= 0) return 0;
+  const r = rate / 1200;
+  if (r === 0) return emi > 0 ? Math.ceil(balance / emi) : Infinity;
+  if (emi <= balance * r) return Infinity;
+  // Shave float noise so an exact annuity EMI gives back its own tenure
+  return Math.ceil(-Math.log(1 - r * balance / emi) / Math.log(1 + r) - 1e-9);
+}
+
+/** True when the EMI more than covers the first month's interest, i.e. the balance actually falls. */
+export const isAmortizing = (d) => {
+  if (d.balance <= 0) return true;
+  if (isCard(d)) return cardStatement(d.card, d.balance, d.rate, d.emi).closing < d.balance;
+  return d.emi > d.balance * d.rate / 1200;
+};
+
+/**
+ * Loans whose EMI doesn't cover their monthly interest (negative amortization).
+ * Each entry: { debt, monthlyInterest, shortfall, tenure, minEMI } — minEMI clears the loan within `tenure` months.
+ */
+export function findNonAmortizing(debts) {
+  return debts.filter(d => !isAmortizing(d)).map(d => {
+    const tenure = d.tenure || DEFAULT_TENURE[d.type] || DEFAULT_TENURE.unsecured;
+    if (isCard(d)) {
+      // New spends have to be covered on top of the finance charges
+      const st = cardStatement(d.card, d.balance, d.rate, d.emi);
+      const rate = cardMonthlyRate(d.rate) * (1 + d.card.gstPct / 100) * 1200;
+      const minEMI = Math.ceil(Math.max(st.minDue, annuityEMI(d.balance, rate, tenure) + d.card.spend));
+      return { debt: d, monthlyInterest: st.interest, shortfall: st.interest + d.card.spend - d.emi, tenure, minEMI };
+    }
+    const monthlyInterest = d.balance * d.rate / 1200;
+    return { debt: d, monthlyInterest, shortfall: monthlyInterest - d.emi, tenure, minEMI: Math.ceil(annuityEMI(d.balance, d.rate, tenure)) };
+  });
+}
+
+/* ─────────────────────── LOAN TERMS ─────────────────────── */
+// Balance, rate, EMI and tenure pin each other down: given the balance, any two of the rest fix
+// the third. A debt with `solveFor` set to one of SOLVE_FIELDS keeps that term in step with the others.
+export const SOLVE_FIELDS = ["emi", "tenure", "rate"];
+// How far an entered EMI may sit from the one its rate and tenure imply, for banks' rounding
+const TERMS_TOLERANCE = 0.01;
+
+/**
+ * Annual rate (% p.a.) at which a level `emi` clears `balance` in exactly `months` instalments —
+ * the effective rate behind a bank's EMI and tenure. null when no rate between 0 and 100% fits.
+ */
+export function solveRate(balance, emi, months) {
+  if (balance <= 0 || emi <= 0 || months <= 0) return null;
+  if (emi * months < balance - 0.5 || annuityEMI(balance, 100, months) < emi) return null;
+  // The EMI rises with the rate, so bisect
+  let lo = 0, hi = 100;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (annuityEMI(balance, mid, months) < emi) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * The `field` term ("emi", "tenure" or "rate") implied by the debt's other terms, as a bank would
+ * quote it: EMI rounded up to the rupee, whole months, rate to two decimals. null if they don't fix it.
+ */
+export function solveLoan(d, field) {
+  if (!(d.balance > 0)) return null;
+  if (field === "emi") return d.tenure > 0 ? Math.ceil(annuityEMI(d.balance, d.rate, d.tenure)) : null;
+  if (field === "tenure") {
+    const n = remainingTerm(d.balance, d.rate, d.emi);
+    return Number.isFinite(n) ? n : null;
+  }
+  if (field === "rate") {
+    const r = solveRate(d.balance, d.emi, d.tenure);
+    return r === null ? null : Math.round(r * 100) / 100;
+  }
+  return null;
+}
+
+/** The debt with its `solveFor` term recomputed; unchanged when the other terms don't fix it. */
+export function applySolve(d) {
+  if (!SOLVE_FIELDS.includes(d.solveFor) || isCard(d)) return d;
+  const v = solveLoan(d, d.solveFor);
+  return v === null || v === d[d.solveFor] ? d : { ...d, [d.solveFor]: v };
+}
+
+/**
+ * Checks a loan whose balance, rate, EMI and tenure are all entered by hand: null when they agree,
+ * otherwise what each of EMI, tenure and rate would be from the other three (null where none fits).
+ */
+export function checkLoanTerms(d) {
+  if (isCard(d) || d.solveFor || !(d.balance > 0 && d.emi > 0 && d.tenure > 0) || !isAmortizing(d)) return null;
+  const expected = annuityEMI(d.balance, d.rate, d.tenure);
+  if (Math.abs(d.emi - expected) <= expected * TERMS_TOLERANCE) return null;
+  return { emi: solveLoan(d, "emi"), tenure: solveLoan(d, "tenure"), rate: solveLoan(d, "rate") };
+}
+
+/* ─────────────────────── RATE SCENARIOS ─────────────────────── */
+// A rate scenario { shockBps, shockDate, reset } moves every floating loan's rate by
+// shockBps basis points from shockDate (on top of its own rateChanges). `reset` is how
+// the bank responds to any rate change: "tenure" keeps the EMI and stretches the tenure,
+// "emi" keeps the tenure and re-prices the EMI.
+export const NO_RATE_SCENARIO = { shockBps: 0, shockDate: "", reset: "tenure" };
+
+export function sanitizeRateScenario(s) {
+  if (!s || typeof s !== "object") return { ...NO_RATE_SCENARIO, enabled: false };
+  return {
+    enabled: !!s.enabled,
+    shockBps: Number(s.shockBps) || 0,
+    shockDate: /^\d{4}-\d{2}$/.test(s.shockDate) ? s.shockDate : "",
+    reset: s.reset === "emi" ? "emi" : "tenure",
+  };
+}
+
+/** Rate in force for a debt in each simulation month, as a function of the month. */
+export function rateSchedule(d, rates = NO_RATE_SCENARIO, today = new Date()) {
+  if (!d.floating) return () => d.rate;
+  const steps = (Array.isArray(d.rateChanges) ? d.rateChanges : [])
+    .filter(c => c && c.date && Number.isFinite(c.rate))
+    .map(c => ({ from: Math.max(1, monthsUntil(c.date, today)), rate: c.rate }))
+    .sort((a, b) => a.from - b.from);
+  const shockFrom = rates.shockDate ? Math.max(1, monthsUntil(rates.shockDate, today)) : 1;
+  return (month) => {
+    let rate = d.rate;
+    steps.forEach(st => { if (month >= st.from) rate = st.rate; });
+    if (rates.shockBps && month >= shockFrom) rate += rates.shockBps / 100;
+    return Math.max(0, rate);
+  };
+}
+
+/**
+ * Debts as they stand once every scheduled rate change and the scenario's shock have taken
+ * effect: rate re-priced, and under reset "emi" the EMI re-priced over the remaining tenure.
+ * Used to score stress under a scenario rather than at today's rates.
+ */
+export function applyRateScenario(debts, rates = NO_RATE_SCENARIO, today = new Date()) {
+  return debts.map(d => {
+    const rate = rateSchedule(d, rates, today)(MAX_MONTHS);
+    if (rate === d.rate) return d;
+    const left = d.tenure || remainingTerm(d.balance, d.rate, d.emi);
+    const emi = rates.reset === "emi" && Number.isFinite(left) ? Math.round(annuityEMI(d.balance, rate, left)) : d.emi;
+    return { ...d, rate, emi };
+  });
+}
+
+/* ─────────────────────── CREDIT CARDS ─────────────────────── */
+// A revolving debt with `card: { minDuePct, minDueFloor, gstPct, spend, lateFee }` is simulated
+// statement by statement instead of as an EMI loan:
+//   - interest compounds daily at `rate`% p.a. and GST (gstPct%) is levied on the finance charge;
+//   - `spend` (new purchases per month) joins the revolving balance — while a balance is carried there
+//     is no interest-free period; once the card is cleared, spends are assumed paid in full within it;
+//   - the minimum due is minDuePct% of the statement total, but never less than minDueFloor;
+//   - paying less than the minimum due adds the late fee, plus GST on it.
+export const CARD_DEFAULTS = { minDuePct: 5, minDueFloor: 200, gstPct: 18, spend: 0, lateFee: 500 };
+
+/** Card terms with every field coerced to a non-negative number, or null when `c` isn't an object. */
+export function sanitizeCard(c) {
+  if (!c || typeof c !== "object") return null;
+  const num = (k) => (Number.isFinite(Number(c[k])) && Number(c[k]) >= 0 ? Number(c[k]) : CARD_DEFAULTS[k]);
+  return {
+    minDuePct: Math.min(100, num("minDuePct")), minDueFloor: num("minDueFloor"),
+    gstPct: num("gstPct"), spend: num("spend"), lateFee: num("lateFee"),
+  };
+}
+
+/** True when a debt follows the credit-card model rather than a fixed-EMI schedule. */
+export const isCard = (d) => d.type === "revolving" && !!d.card;
+
+/** Monthly rate equivalent to compounding `rate`% p.a. daily. */
+export const cardMonthlyRate = (rate) => Math.pow(1 + rate / 36500, 365 / 12) - 1;
+
+/**
+ * One monthly statement on a carried balance `rem`, paying `payment` (the minimum due when null).
+ * @returns {{ opening: number, interest: number, minDue: number, payment: number, closing: number }}
+ *   opening — balance plus the month's spends; interest — finance charge, GST and any late fee
+ */
+export function cardStatement(card, rem, rate, payment = null) {
+  const opening = rem + card.spend;
+  const finance = opening * cardMonthlyRate(rate) * (1 + card.gstPct / 100);
+  const due = opening + finance;
+  const minDue = Math.min(due, Math.max(card.minDueFloor, due * card.minDuePct / 100));
+  const pay = payment ?? minDue;
+  const fee = pay < minDue - 0.5 ? card.lateFee * (1 + card.gstPct / 100) : 0;
+  const paid = Math.min(pay, due + fee);
+  return { opening, interest: finance + fee, minDue, payment: paid, closing: due + fee - paid };
+}
+
+/**
+ * What paying only the minimum due on a card costs, spends included.
+ * @returns {{ months: number, paidOff: boolean, totalInterest: number, firstMinDue: number }}
+ *   totalInterest — finance charges plus GST; paidOff is false when it isn't cleared within MAX_MONTHS
+ */
+export function cardMinimumPayoff(d) {
+  const card = d.card || CARD_DEFAULTS;
+  let rem = d.balance, months = 0, totalInterest = 0, firstMinDue = 0;
+  while (rem > 0.5 && months < MAX_MONTHS) {
+    const st = cardStatement(card, rem, d.rate);
+    if (!months) firstMinDue = st.minDue;
+    months++;
+    totalInterest += st.interest;
+    rem = st.closing;
+  }
+  return { months, paidOff: rem <= 0.5, totalInterest: Math.round(totalInterest), firstMinDue };
+}
+
+// Interest a debt costs this month at its current balance — for cards, with daily compounding and GST.
+const monthlyCost = (d) => isCard(d)
+  ? d.balance * cardMonthlyRate(d.rate) * (1 + d.card.gstPct / 100)
+  : d.balance * d.rate / 1200;
+
+/* ─────────────────────── TAX ─────────────────────── */
+// Old-regime income-tax relief on loans, under settings { enabled, regime, slab, used80C }:
+//   taxSection "24b" — self-occupied home loan: interest deductible up to ₹2,00,000 a year, and
+//                      principal repaid counts towards what is left of the ₹1,50,000 80C limit
+//                      after `used80C` (EPF, PPF, ELSS, ...);
+//   taxSection "80e" — education loan: all interest deductible.
+// The new regime allows neither. `slab` is the marginal rate in %, before the 4% cess. Limits are
+// applied per loan, so two home loans each get the full 24(b) limit.
+export const TAX_SECTIONS = ["", "24b", "80e"];
+export const TAX_LIMITS = { sec24b: 200000, sec80C: 150000 };
+export const NO_TAX = { enabled: false, regime: "old", slab: 30, used80C: 0 };
+const CESS = 0.04;
+
+export function sanitizeTax(t) {
+  if (!t || typeof t !== "object") return { ...NO_TAX };
+  return {
+    enabled: !!t.enabled,
+    regime: t.regime === "new" ? "new" : "old",
+    slab: Math.min(100, Math.max(0, Number(t.slab) || 0)),
+    used80C: Math.max(0, Number(t.used80C) || 0),
+  };
+}
+
+/** Tax saved per rupee deducted, cess included; 0 when tax is off or under the new regime. */
+export const marginalTax = (tax) => tax && tax.enabled && tax.regime === "old" ? tax.slab / 100 * (1 + CESS) : 0;
+
+/**
+ * Post-tax rate of a debt at balance `rem`. The average rate spreads the deduction over all of the
+ * year's interest; the marginal rate is what one more rupee of balance costs, and so what a rupee
+ * of prepayment saves — a home loan whose yearly interest is past the 24(b) limit gets no relief there.
+ */
+export function postTaxRate(d, tax, rem = d.balance, marginal = false) {
+  const m = marginalTax(tax);
+  if (!m || !d.taxSection || !TAX_SECTIONS.includes(d.taxSection) || rem <= 0) return d.rate;
+  if (d.taxSection === "80e") return d.rate * (1 - m);
+  const yearly = rem * d.rate / 100;
+  if (marginal) return yearly >= TAX_LIMITS.sec24b ? d.rate : d.rate * (1 - m);
+  return d.rate * (1 - m * Math.min(1, TAX_LIMITS.sec24b / yearly));
+}
+
+/** Debts with their rate replaced by the average post-tax rate, e.g. to score stress after tax. */
+export const applyTax = (debts, tax) => marginalTax(tax) ? debts.map(d => ({ ...d, rate: postTaxRate(d, tax) })) : debts;
+
+/* ─────────────────────── PREPAYMENT RULES ─────────────────────── */
+
+/** First simulation month a debt accepts prepayments (1 when it has no lock-in). */
+export const unlockMonth = (d, today = new Date()) => d.lockInUntil ? Math.max(1, monthsUntil(d.lockInUntil, today)) : 1;
+
+/**
+ * Annual rate a rupee of prepayment actually earns at balance `rem`: the loan rate (post-tax and
+ * marginal when `tax` is on) less the prepayment charge spread over the months the loan has left.
+ * Zero or below means prepaying costs more than it saves.
+ */
+export function prepayRate(d, rem = d.balance, tax = null) {
+  const rate = postTaxRate(d, tax, rem, true);
+  if (!d.prepayPenalty) return rate;
+  const left = remainingTerm(rem, d.rate, d.emi);
+  return Number.isFinite(left) ? rate - d.prepayPenalty * 12 / Math.max(1, left) : rate;
+}
+
+/** Debts in the order a strategy would direct extra payments to them today; locked-in loans go last. */
+export function priorityOrder(debts, strategy, today = new Date(), tax = null) {
+  const locked = (d) => unlockMonth(d, today) > 1 ? 1 : 0;
+  const cmp = byStrategy(strategy, d => d.balance, d => prepayRate(d, d.balance, tax));
+  return [...debts].sort((a, b) => locked(a) - locked(b) || cmp(a, b));
+}
+
+/* ─────────────────────── STRESS SCORE ─────────────────────── */
+// The score starts at 100 and each factor in STRESS_FACTORS takes points off. A factor's `bands`
+// are [threshold, points] pairs; the furthest threshold its metric is past costs those points
+// times the factor's `weight` ("past" is above, or below for disposable income).
+// A scoring profile { id, name, highRate, factors: { [key]: { weight, bands } } } holds an
+// advisor's settings, `highRate` being the rate (% p.a.) above which debt counts as toxic.
+// DEFAULT_SCORING is the standard score.
+export const STRESS_FACTORS = [
+  { key: "emi", label: "EMI burden", unit: "% of income" },
+  { key: "leverage", label: "Leverage", unit: "× annual income" },
+  { key: "rate", label: "Average rate", unit: "% p.a." },
+  { key: "toxic", label: "High-rate debt", unit: "% of debt" },
+  { key: "complexity", label: "Number of loans", unit: "loans" },
+  { key: "disposable", label: "Disposable income", unit: "% of income", below: true },
+];
+
+export const DEFAULT_SCORING = {
+  id: "default", name: "Default", highRate: 15,
+  factors: {
+    emi: { weight: 1, bands: [[55, 40], [45, 30], [35, 20], [25, 10], [15, 3]] },
+    leverage: { weight: 1, bands: [[6, 25], [4, 18], [2.5, 12], [1, 5]] },
+    rate: { weight: 1, bands: [[24, 22], [16, 14], [10, 7]] },
+    toxic: { weight: 1, bands: [[40, 18], [25, 12], [10, 5]] },
+    complexity: { weight: 1, bands: [[5, 10], [3, 5]] },
+    disposable: { weight: 1, bands: [[0, 25], [10, 15], [20, 8]] },
+  },
+};
+
+export function sanitizeScoring(p) {
+  const src = p && typeof p === "object" ? p : {};
+  const factors = Object.fromEntries(STRESS_FACTORS.map(({ key, below }) => {
+    const f = src.factors?.[key] || {}, def = DEFAULT_SCORING.factors[key];
+    const bands = Array.isArray(f.bands)
+      ? f.bands.filter(b => Array.isArray(b) && Number.isFinite(Number(b[0])) && Number(b[1]) >= 0).map(b => [Number(b[0]), Number(b[1])])
+      : def.bands;
+    // Worst band first, as they're listed in settings
+    bands.sort((a, b) => below ? a[0] - b[0] : b[0] - a[0]);
+    return [key, { weight: Number(f.weight) >= 0 ? Number(f.weight) : def.weight, bands }];
+  }));
+  return {
+    id: String(src.id || DEFAULT_SCORING.id), name: String(src.name || DEFAULT_SCORING.name),
+    // 0 is allowed (every interest-bearing debt counts as high-rate), as the settings panel allows it
+    highRate: src.highRate != null && Number(src.highRate) >= 0 ? Number(src.highRate) : DEFAULT_SCORING.highRate, factors,
+  };
+}
+
+/** Saved scoring profiles `{ activeId, profiles }`; DEFAULT_SCORING is built in and never stored. */
+export function sanitizeScoringProfiles(s) {
+  const profiles = (Array.isArray(s?.profiles) ? s.profiles : [])
+    .filter(p => p && p.id && p.id !== DEFAULT_SCORING.id).map(sanitizeScoring);
+  return { activeId: profiles.some(p => p.id === s?.activeId) ? s.activeId : DEFAULT_SCORING.id, profiles };
+}
+
+/** The active scoring profile of a `{ activeId, profiles }` set. */
+export const activeScoring = (s) => s?.profiles?.find(p => p.id === s.activeId) || DEFAULT_SCORING;
+
+// The band a metric value `v` falls in — the furthest threshold it is past — or undefined
+const pastBand = (f, below, v) => f.bands.filter(([t]) => below ? v < t : v > t)
+  .reduce((worst, b) => !worst || (below ? b[0] < worst[0] : b[0] > worst[0]) ? b : worst, undefined);
+// Points a factor costs at metric value `v`
+const factorPenalty = (f, below, v) => (pastBand(f, below, v)?.[1] || 0) * f.weight;
+
+// The change that brings a factor's metric back to the threshold of its current band, as
+// { amount, text }, or null when no single change does. `m` holds the portfolio's numbers.
+function stressRecovery(key, target, m) {
+  const { debts, income, totalEMI, totalBalance, rateOf, highRate } = m;
+  if (key === "emi") return { amount: totalEMI - target / 100 * income, text: (a) => `cut monthly EMIs by ${fmt(a)}` };
+  if (key === "leverage") return { amount: totalBalance - target * income * 12, text: (a) => `pay down ${fmt(a)} of debt` };
+  if (key === "disposable") return { amount: target / 100 * income - m.disposable, text: (a) => `free up ${fmt(a)} a month` };
+  if (key === "complexity") return { amount: debts.length - target, text: (n) => `close ${n} loan${n > 1 ? "s" : ""}` };
+  if (key === "rate") {
+    // Clear the costliest debts first until the weighted rate is down to the target
+    let sum = debts.reduce((s, d) => s + rateOf(d) * d.balance, 0), bal = totalBalance, cleared = 0;
+    for (const d of [...debts].sort((a, b) => rateOf(b) - rateOf(a))) {
+      const r = rateOf(d);
+      if (r <= target) break;
+      const x = (sum - target * bal) / (r - target);
+      if (x <= d.balance) return { amount: cleared + x, text: (a) => `clear ${fmt(a)} of your costliest debt` };
+      cleared += d.balance; sum -= r * d.balance; bal -= d.balance;
+    }
+    return null;
+  }
+  if (key === "toxic") {
+    if (target >= 100) return null;
+    const toxic = debts.filter(d => rateOf(d) > highRate);
+    const high = toxic.reduce((s, d) => s + d.balance, 0);
+    const what = toxic.every(d => d.type === "revolving") ? "card debt" : `debt above ${highRate}%`;
+    return { amount: (high - target / 100 * totalBalance) / (1 - target / 100), text: (a) => `clear ${fmt(a)} of ${what}` };
+  }
+  return null;
+}
+
+/**
+ * Debt Stress Score (0–100, higher is healthier) from EMI burden, leverage,
+ * weighted rate, share of high-rate debt and number of loans — and, when the
+ * monthly living `expenses` are known, how much income is left after them and the EMIs.
+ * `breakdown` explains it: per factor, the metric, the points it costs out of its most, and the
+ * change that would win some back as `recover: { points, amount, text }`.
+ * @param {Debt[]} debts
+ * @param {number} income  monthly net income
+ * @param {{ tax?: TaxSettings, expenses?: number, scoring?: typeof DEFAULT_SCORING }} [opts]
+ * @returns {{ score: number, grade: "Excellent"|"Good"|"Stressed"|"Critical"|"N/A", factors: StressFactors, breakdown: object[] }}
+ */
+export function calcStressScore(debts, income, { tax, expenses, scoring = DEFAULT_SCORING } = {}) {
+  if (!debts.length || !income) return { score: 0, grade: "N/A", factors: { emiToIncome: 0, debtToAnnualIncome: 0, weightedRate: 0, highRateRatio: 0, numDebts: 0, totalEMI: 0, totalBalance: 0, disposable: null }, breakdown: [] };
+  const totalEMI = debts.reduce((s, d) => s + d.emi, 0);
+  const totalBalance = debts.reduce((s, d) => s + d.balance, 0);
+  const rateOf = (d) => postTaxRate(d, tax);
+  const weightedRate = totalBalance > 0 ? debts.reduce((s, d) => s + rateOf(d) * (d.balance / totalBalance), 0) : 0;
+  const emiToIncome = (totalEMI / income) * 100;
+  const debtToAnnualIncome = totalBalance / (income * 12);
+  const highRateDebt = debts.filter(d => rateOf(d) > scoring.highRate).reduce((s, d) => s + d.balance, 0);
+  const highRateRatio = totalBalance > 0 ? (highRateDebt / totalBalance) * 100 : 0;
+  const disposable = expenses === undefined || expenses === null ? null : income - expenses - totalEMI;
+
+  const metrics = {
+    emi: emiToIncome, leverage: debtToAnnualIncome, rate: weightedRate, toxic: highRateRatio,
+    complexity: debts.length, disposable: disposable === null ? null : disposable / income * 100,
+  };
+  const ctx = { debts, income, totalEMI, totalBalance, rateOf, highRate: scoring.highRate, disposable };
+  const breakdown = STRESS_FACTORS.filter(({ key }) => metrics[key] !== null).map(({ key, label, unit, below }) => {
+    const f = scoring.factors[key], value = metrics[key];
+    const points = factorPenalty(f, below, value);
+    const band = points > 0 ? pastBand(f, below, value) : null;
+    const fix = band && stressRecovery(key, band[0], ctx);
+    const amount = fix && Math.ceil(fix.amount);
+    return {
+      key, label, unit, value, points, max: Math.max(0, ...f.bands.map(b => b[1])) * f.weight,
+      recover: fix && amount > 0 ? { points: points - factorPenalty(f, below, band[0]), amount, text: fix.text(amount) } : null,
+    };
+  });
+
+  const score = Math.max(0, Math.min(100, Math.round(100 - breakdown.reduce((s, b) => s + b.points, 0))));
+  let grade;
+  if (score >= 80) grade = "Excellent";
+  else if (score >= 65) grade = "Good";
+  else if (score >= 45) grade = "Stressed";
+  else grade = "Critical";
+
+  return { score, grade, factors: { emiToIncome, debtToAnnualIncome, weightedRate, highRateRatio, numDebts: debts.length, totalEMI, totalBalance, disposable }, breakdown };
+}
+
+/* ─────────────────────── HOUSEHOLD ─────────────────────── */
+// A household lists its earners as `members: [{ id, name, income }]`, and the household income is
+// their total. A debt's `owners: { [memberId]: pct }` splits its balance and EMI between members —
+// a joint home loan 50/50, a card 100% to its holder. Shares are normalised to 100%; a debt with
+// no owner among the members is shared equally.
+
+export function sanitizeMembers(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.filter(m => m && Number.isInteger(Number(m.id)) && Number(m.id) > 0 && !seen.has(Number(m.id)) && seen.add(Number(m.id)))
+    .map(m => ({ id: Number(m.id), name: String(m.name || ""), income: Math.max(0, Number(m.income) || 0) }));
+}
+
+/** Ownership map with only positive numeric shares kept. */
+export function sanitizeOwners(o) {
+  if (!o || typeof o !== "object") return {};
+  return Object.fromEntries(Object.entries(o).map(([id, pct]) => [id, Number(pct)]).filter(([, pct]) => pct > 0));
+}
+
+export const householdIncome = (members) => members.reduce((s, m) => s + m.income, 0);
+
+/** Each member's fraction of a debt, keyed by member id. */
+export function ownerShares(d, members) {
+  const owners = d.owners || {};
+  const held = members.filter(m => owners[m.id] > 0);
+  if (!held.length) return Object.fromEntries(members.map(m => [m.id, 1 / members.length]));
+  const total = held.reduce((s, m) => s + owners[m.id], 0);
+  return Object.fromEntries(held.map(m => [m.id, owners[m.id] / total]));
+}
+
+/** A member's part of every debt they share, with balance and EMI scaled to their share. */
+export function memberDebts(debts, members, memberId) {
+  return debts.map(d => ({ d, share: ownerShares(d, members)[memberId] || 0 }))
+    .filter(x => x.share > 0)
+    .map(({ d, share }) => ({ ...d, balance: d.balance * share, emi: d.emi * share, share }));
+}
+
+/**
+ * Stress scores for the household as a whole and for each member on their own income and share
+ * of the debts. Each member entry is the member plus { debts, stress }.
+ */
+export function householdStress(debts, members, opts = {}) {
+  return {
+    household: calcStressScore(debts, householdIncome(members), opts),
+    members: members.map(m => {
+      const own = memberDebts(debts, members, m.id);
+      return { ...m, debts: own, stress: calcStressScore(own, m.income, opts) };
+    }),
+  };
+}
+
+/* ─────────────────────── BUDGET ─────────────────────── */
+// A budget is a list of monthly living expenses { id, name, amount, kind }, where "fixed" costs
+// (rent, school fees, insurance) don't move and "variable" ones (groceries, fuel) can overrun.
+// Disposable income is what's left of income after them and the EMIs.
+export const EXPENSE_KINDS = ["fixed", "variable"];
+// The safe extra keeps this share of income unallocated, and this much headroom on variable costs
+const SAFE_MARGIN = 0.1, VARIABLE_HEADROOM = 0.15;
+
+export function sanitizeBudget(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(e => e && typeof e === "object").map((e, i) => ({
+    id: e.id ?? i + 1, name: String(e.name || ""), amount: Math.max(0, Number(e.amount) || 0),
+    kind: EXPENSE_KINDS.includes(e.kind) ? e.kind : "fixed",
+  }));
+}
+
+/** Monthly totals of a budget: { fixed, variable, total }. */
+export function budgetTotals(budget) {
+  const sum = (kind) => budget.filter(e => e.kind === kind).reduce((s, e) => s + e.amount, 0);
+  const fixed = sum("fixed"), variable = sum("variable");
+  return { fixed, variable, total: fixed + variable };
+}
+
+/** Income left each month after living expenses and EMIs, before any extra payment. */
+export const disposableIncome = (income, debts, budget) =>
+  income - budgetTotals(budget).total - debts.reduce((s, d) => s + d.emi, 0);
+
+/**
+ * Largest extra payment the budget can carry, rounded down to ₹500: disposable income less a
+ * 10%-of-income margin and 15% headroom on variable expenses.
+ */
+export function safeExtra(income, debts, budget) {
+  const { variable } = budgetTotals(budget);
+  const room = disposableIncome(income, debts, budget) - income * SAFE_MARGIN - variable * VARIABLE_HEADROOM;
+  return Math.max(0, Math.floor(room / 500) * 500);
+}
+
+/**
+ * Month-by-month payoff simulation (capped at MAX_MONTHS). Every loan pays its EMI;
+ * `extra` is then applied to loans in the strategy's priority order.
+ *
+ * With `rollover`, a cleared loan's EMI (and any unused part of its final EMI) joins
+ * the extra pool, so total monthly outflow stays constant ("snowflake" mode).
+ * Loans with a future `startDate` accrue nothing and take no payments until that month.
+ * Floating loans follow rateSchedule under `opts.rates`; when their rate moves, the EMI
+ * is re-priced over the remaining tenure if `rates.reset` is "emi".
+ * Cards with `card` terms run through cardStatement each month, so their schedule rows open
+ * with the month's spends and their interest includes GST and any late fee.
+ * Extra skips loans still in their lock-in period, and under avalanche and hybrid ranks by
+ * prepayRate, skipping loans whose prepayment charge outweighs the interest saved. Charges paid
+ * come out of the extra and count towards interest; extra no loan can take goes unused.
+ * `opts.split` shares the extra across the first targets by weight (e.g. [0.75, 0.25]); whatever
+ * a target can't absorb flows on down the priority order.
+ * With `opts.tax` on, avalanche and hybrid rank by marginal post-tax rate, and the tax saved each
+ * simulation year under 24(b), 80C and 80E is totalled as `taxSaved`.
+ * `opts.missed(month, id)` marks EMIs that go unpaid: the month's interest is added to the balance
+ * (cards also incur the late fee) and the loan takes no extra that month.
+ *
+ * @param {Debt[]} debts
+ * @param {Strategy} strategy
+ * @param {number|((month: number) => number)} [extra=0]  extra payment per month, or a
+ *   function of the simulation month (see buildExtraSchedule)
+ * @param {boolean} [rollover=false]
+ * @param {{ today?: Date, rates?: RateScenario, split?: number[], tax?: TaxSettings, missed?: (month: number, id: number) => boolean }} [opts]
+ * @returns {{ months: number, paidOff: boolean, totalInterest: number, taxSaved: number, timeline: object[], milestones: object[], schedule: ScheduleRow[] }}
+ *   paidOff — false when balances were still outstanding at MAX_MONTHS (e.g. an EMI below the interest)
+ *   timeline — portfolio snapshot every 3 months (first 30 years) for charts
+ *   schedule — one row per loan per month: { month, id, name, rate, emi, opening, interest, principal, extra, closing }
+ *   (a row's interest includes any prepayment charge on its extra)
+ */
+export function simulatePayoff(debts, strategy, extra = 0, rollover = false, { today = new Date(), rates = NO_RATE_SCENARIO, split = [1], tax = null, missed = null } = {}) {
+  if (!debts.length) return { months: 0, paidOff: true, totalInterest: 0, taxSaved: 0, timeline: [], milestones: [], schedule: [] };
+  let bals = debts.map(d => ({
+    ...d, rem: d.balance, startsAt: startMonth(d, today), unlocksAt: unlockMonth(d, today), rateOf: rateSchedule(d, rates, today),
+  }));
+  let month = 0, totalInterest = 0;
+  const timeline = [], milestones = [], schedule = [];
+  // Deductible amounts so far this simulation year, and the tax they saved in earlier years
+  const taxRate = marginalTax(tax), room80C = Math.max(0, TAX_LIMITS.sec80C - (tax?.used80C || 0));
+  let taxSaved = 0, year = { home: {}, principal: 0, education: 0 };
+  const startTotal = bals.reduce((s, d) => s + d.rem, 0);
+
+  while (bals.some(d => d.rem > 0.5) && month < MAX_MONTHS) {
+    month++;
+    let mInt = 0, mPrin = 0, freed = 0;
+    bals.forEach(d => {
+      d._row = null;
+      if (month < d.startsAt) return;
+      if (d.rem <= 0) { freed += d.emi; return; }
+      const rate = d.rateOf(month);
+      if (rate !== d.rate) {
+        if (rates.reset === "emi") {
+          const left = d.tenure ? Math.max(1, d.tenure - (month - d.startsAt)) : remainingTerm(d.rem, d.rate, d.emi);
+          if (Number.isFinite(left)) d.emi = annuityEMI(d.rem, rate, left);
+        }
+        d.rate = rate;
+      }
+      let opening = d.rem, interest, principal;
+      const skip = !!missed && missed(month, d.id);
+      if (isCard(d)) {
+        const st = cardStatement(d.card, d.rem, d.rate, skip ? 0 : d.emi);
+        opening = st.opening; interest = st.interest; principal = st.payment - st.interest;
+        d.rem = st.closing;
+      } else {
+        interest = d.rem * (d.rate / 1200);
+        principal = skip ? -interest : Math.min(d.emi - interest, d.rem);
+        d.rem = Math.max(0, d.rem - principal);
+      }
+      mInt += interest; mPrin += principal; totalInterest += interest;
+      if (taxRate && d.taxSection === "24b") { year.home[d.id] = (year.home[d.id] || 0) + interest; year.principal += Math.max(0, principal); }
+      if (taxRate && d.taxSection === "80e") year.education += interest;
+      if (d.rem <= 0) freed += Math.max(0, d.emi - interest - principal);
+      d._row = { month, id: d.id, name: d.name, rate: d.rate, emi: skip ? 0 : d.emi, opening, interest, principal, extra: 0, closing: d.rem };
+      schedule.push(d._row);
+    });
+    // Extra payments
+    let ex = (typeof extra === "function" ? extra(month) : extra) + (rollover ? freed : 0);
+    if (ex > 0) {
+      const rateRanked = strategy === "avalanche" || strategy === "hybrid";
+      const targets = [...bals].sort(byStrategy(strategy, d => d.rem, d => prepayRate(d, d.rem, tax))).filter(d =>
+        d.rem > 0 && month >= d.startsAt && month >= d.unlocksAt && !(missed && missed(month, d.id)) && !(rateRanked && d.prepayPenalty && prepayRate(d, d.rem, tax) <= 0));
+      // Prepays up to `cash` (charge included) into d; returns the cash spent
+      const prepay = (d, cash) => {
+        const charge = (d.prepayPenalty || 0) / 100;
+        const pay = Math.min(cash / (1 + charge), d.rem);
+        d.rem -= pay; mPrin += pay;
+        mInt += pay * charge; totalInterest += pay * charge;
+        if (taxRate && d.taxSection === "24b") year.principal += pay;
+        if (d._row) { d._row.extra += pay; d._row.interest += pay * charge; d._row.closing = d.rem; }
+        return pay * (1 + charge);
+      };
+      const pool = ex;
+      split.forEach((w, i) => { if (targets[i] && ex > 0) ex -= prepay(targets[i], Math.min(ex, pool * w)); });
+      for (const d of targets) {
+        if (ex <= 0) break;
+        if (d.rem > 0) ex -= prepay(d, ex);
+      }
+    }
+    const totalRem = bals.reduce((s, d) => s + d.rem, 0);
+    // Close the tax year every 12 months, and at the end
+    if (taxRate && (month % 12 === 0 || totalRem <= 0.5 || month === MAX_MONTHS)) {
+      const home = Object.values(year.home).reduce((s, v) => s + Math.min(v, TAX_LIMITS.sec24b), 0);
+      taxSaved += taxRate * (home + year.education + Math.min(year.principal, room80C));
+      year = { home: {}, principal: 0, education: 0 };
+    }
+    // Check milestones
+    const pctPaid = ((startTotal - totalRem) / startTotal) * 100;
+    if (milestones.length === 0 && pctPaid >= 25) milestones.push({ month, label: "25% paid off", pct: 25 });
+    if (milestones.length === 1 && pctPaid >= 50) milestones.push({ month, label: "Halfway!", pct: 50 });
+    if (milestones.length === 2 && pctPaid >= 75) milestones.push({ month, label: "75% done", pct: 75 });
+    // Check individual debt payoffs
+    bals.forEach(d => {
+      if (d.rem <= 0 && !d._cleared) {
+        d._cleared = true;
+        milestones.push({ month, label: `${d.name} cleared!`, pct: Math.round(pctPaid), id: d.id });
+      }
+    });
+
+    if (month <= 360 && (month % 3 === 0 || totalRem <= 0.5)) {
+      timeline.push({ month, balance: Math.round(totalRem), interest: Math.round(mInt), principal: Math.round(mPrin) });
+    }
+  }
+  const paidOff = !bals.some(d => d.rem > 0.5);
+  if (paidOff && milestones.length < 4) milestones.push({ month, label: "DEBT FREE! 🎉", pct: 100 });
+  return { months: month, paidOff, totalInterest: Math.round(totalInterest), taxSaved: Math.round(taxSaved), timeline, milestones, schedule };
+}
+
+/* ─────────────────────── PREPAYMENT PLANS ─────────────────────── */
+// A prepayment plan is a list of entries layered on top of the constant monthly extra:
+//   { id, kind: "lump",   amount, date: "YYYY-MM" }  — one-off payment (bonus, FD maturity)
+//   { id, kind: "annual", amount, month: 1–12 }      — same amount every year in that calendar month
+//   { id, kind: "stepup", percent, month: 1–12 }     — raise the monthly extra by percent every year from that month
+export const PREPAYMENT_KINDS = ["lump", "annual", "stepup"];
+
+/** Drops malformed entries and coerces fields, e.g. for plans read back from storage or a file. */
+export function sanitizePrepayments(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(p => p && PREPAYMENT_KINDS.includes(p.kind)).map((p, i) => {
+    const id = p.id ?? i + 1;
+    const month = Math.min(12, Math.max(1, Math.round(Number(p.month)) || 1));
+    if (p.kind === "lump") return { id, kind: "lump", amount: Math.max(0, Number(p.amount) || 0), date: /^\d{4}-\d{2}$/.test(p.date) ? p.date : "" };
+    if (p.kind === "annual") return { id, kind: "annual", amount: Math.max(0, Number(p.amount) || 0), month };
+    return { id, kind: "stepup", percent: Math.max(0, Number(p.percent) || 0), month };
+  });
+}
+
+/**
+ * Turns a constant extra plus a prepayment plan into a per-month extra function for simulatePayoff.
+ * Lump sums dated in the past are ignored.
+ */
+export function buildExtraSchedule(base, prepayments = [], today = new Date()) {
+  // First simulation month that falls in calendar month `cal` (1–12)
+  const firstIn = (cal) => ((cal - 1 - today.getMonth()) % 12 + 12) % 12 || 12;
+  const lumps = {};
+  prepayments.filter(p => p.kind === "lump" && p.date).forEach(p => {
+    const m = monthsUntil(p.date, today);
+    if (m >= 1) lumps[m] = (lumps[m] || 0) + p.amount;
+  });
+  const annual = prepayments.filter(p => p.kind === "annual").map(p => ({ ...p, first: firstIn(p.month) }));
+  const stepups = prepayments.filter(p => p.kind === "stepup").map(p => ({ ...p, first: firstIn(p.month) }));
+  return (month) => {
+    let monthly = base;
+    stepups.forEach(p => {
+      const n = month >= p.first ? Math.floor((month - p.first) / 12) + 1 : 0;
+      monthly *= Math.pow(1 + p.percent / 100, n);
+    });
+    const yearly = annual.reduce((sum, p) => sum + (month >= p.first && (month - p.first) % 12 === 0 ? p.amount : 0), 0);
+    return monthly + yearly + (lumps[month] || 0);
+  };
+}
+
+/**
+ * Baseline (no extra) plus every strategy with the given extra payment.
+ * Loans that never amortize on their own EMI are left out — they would otherwise run every
+ * simulation to MAX_MONTHS — and returned as `excluded` (see findNonAmortizing).
+ * With `opts.objective`, the result also carries the `optimal` plan from optimiseStrategy.
+ */
+export function compareStrategies(debts, extra = 0, rollover = false, opts = {}) {
+  const included = debts.filter(isAmortizing);
+  const out = { baseline: simulatePayoff(included, "baseline", 0, false, opts), excluded: debts.filter(d => !isAmortizing(d)) };
+  STRATEGIES.forEach(k => { out[k] = simulatePayoff(included, k, extra, rollover, opts); });
+  if (opts.objective) out.optimal = optimiseStrategy(included, extra, rollover, opts);
+  return out;
+}
+
+/* ─────────────────────── OPTIMAL PLAN ─────────────────────── */
+// The optimal plan is found by search rather than by a ranking rule. Candidates are every
+// strategy rule plus fixed priority orders run as "custom" — all orders for up to
+// OPTIMISE_EXHAUSTIVE debts, pairwise-swap hill climbing beyond that — and the winner is then
+// retried with the extra split across its first targets (SPLITS).
+export const OBJECTIVES = ["interest", "months"];
+export const SPLITS = [[0.75, 0.25], [0.5, 0.5]];
+const OPTIMISE_EXHAUSTIVE = 5;
+
+const permutations = (list) => list.length <= 1
+  ? [list]
+  : list.flatMap((x, i) => permutations([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [x, ...rest]));
+
+/**
+ * Searches for the plan that minimises `objective` ("interest" after tax, or "months"; the other breaks ties).
+ * @returns {ReturnType<typeof simulatePayoff> & { plan: { strategy: Strategy, order: number[], split: number[] }, objective: string }}
+ *   plan.order — debt ids in the priority order the plan starts with
+ */
+export function optimiseStrategy(debts, extra = 0, rollover = false, { objective = "interest", ...opts } = {}) {
+  const key = (sim) => objective === "months"
+    ? [sim.paidOff ? 0 : 1, sim.months, netInterest(sim)]
+    : [sim.paidOff ? 0 : 1, netInterest(sim), sim.months];
+  const better = (a, b) => {
+    const ka = key(a), kb = key(b);
+    const i = ka.findIndex((v, n) => v !== kb[n]);
+    return i >= 0 && ka[i] < kb[i];
+  };
+  const run = (strategy, order, split = [1]) => simulatePayoff(order, strategy, extra, rollover, { ...opts, split });
+  let best = { strategy: "custom", order: debts, split: [1], sim: run("custom", debts) };
+  const consider = (strategy, order, split) => {
+    const sim = run(strategy, order, split);
+    if (!better(sim, best.sim)) return false;
+    best = { strategy, order, split: split || [1], sim };
+    return true;
+  };
+
+  STRATEGIES.filter(k => k !== "custom").forEach(k => consider(k, debts));
+  if (debts.length <= OPTIMISE_EXHAUSTIVE) permutations(debts).forEach(order => consider("custom", order));
+  else {
+    // Climb from the best fixed order among each rule's starting order
+    let climb = { order: debts, sim: run("custom", debts) };
+    const step = (order) => {
+      const sim = run("custom", order);
+      if (!better(sim, climb.sim)) return false;
+      climb = { order, sim };
+      if (better(sim, best.sim)) best = { strategy: "custom", order, split: [1], sim };
+      return true;
+    };
+    STRATEGIES.forEach(k => step(priorityOrder(debts, k, opts.today, opts.tax)));
+    for (let improved = true, round = 0; improved && round < 20; round++) {
+      improved = false;
+      for (let i = 0; i < debts.length; i++) {
+        for (let j = i + 1; j < debts.length; j++) {
+          const order = [...climb.order];
+          [order[i], order[j]] = [order[j], order[i]];
+          if (step(order)) improved = true;
+        }
+      }
+    }
+  }
+  const { strategy, order } = best;
+  SPLITS.forEach(split => consider(strategy, order, split));
+
+  const startOrder = best.strategy === "custom" ? best.order : priorityOrder(best.order, best.strategy, opts.today, opts.tax);
+  return { ...best.sim, plan: { strategy: best.strategy, order: startOrder.map(d => d.id), split: best.split }, objective };
+}
+
+/** Interest a simulation costs after the tax it saved. */
+export const netInterest = (sim) => sim.totalInterest - (sim.taxSaved || 0);
+
+/** Strategy with the lowest total interest after tax; ties go to the earlier entry in STRATEGIES. */
+export function pickBestStrategy(strategies) {
+  return STRATEGIES.reduce((b, k) => netInterest(strategies[k]) < netInterest(strategies[b]) ? k : b, STRATEGIES[0]);
+}
+
+/* ─────────────────────── GOAL SEEK ─────────────────────── */
+// The reverse of a simulation: the smallest payment that meets a goal. A goal is
+//   { kind: "date", date: "YYYY-MM" } — every debt cleared by that month;
+//   { kind: "interest", amount }      — total interest (before tax relief) of at most `amount`.
+// Two payments are sought per strategy on top of the current extra and prepayment plan: the
+// amount to add to the base extra — so the plan's step-ups grow it too, exactly as if the user
+// raised their extra by that much — and a lump sum paid next month. Both are bisected to
+// GOAL_STEP rupees, relying on a larger payment never clearing the debts later or costing more
+// interest.
+export const GOAL_KINDS = ["date", "interest"];
+const GOAL_STEP = 100;
+
+const meetsGoal = (sim, goal, target) => sim.paidOff && (goal.kind === "date" ? sim.months <= target : sim.totalInterest <= goal.amount);
+
+// Smallest payment (a multiple of GOAL_STEP) whose simulation meets the goal, or null when even `cap` doesn't.
+function seekPayment(run, ok, cap) {
+  if (ok(run(0))) return 0;
+  const top = Math.ceil(cap / GOAL_STEP);
+  let lo = 0, hi = Math.min(10, top);
+  while (!ok(run(hi * GOAL_STEP))) {
+    if (hi >= top) return null;
+    lo = hi; hi = Math.min(top, hi * 2);
+  }
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (ok(run(mid * GOAL_STEP))) hi = mid; else lo = mid;
+  }
+  return hi * GOAL_STEP;
+}
+
+/**
+ * Least amount to add to `extra` each month, and least lump sum on top of it, that meet `goal` under each strategy.
+ * `opts.prepayments` is the prepayment plan both are layered on (see buildExtraSchedule).
+ * Non-amortizing loans are left out, as in compareStrategies; a date goal in the past can't be met.
+ * @returns {{ goal: object, target: number|null, excluded: Debt[],
+ *   strategies: { [strategy: string]: { added: number|null, peak: number|null, addedSim: object|null, lump: number|null, lumpSim: object|null } } }}
+ *   target — the goal month as a simulation month (date goals only)
+ *   added, lump — null when no payment reaches the goal, 0 when the current extra meets it already
+ *   peak — the regular monthly extra (extra + added, after step-ups) in the last month of that plan
+ */
+export function goalSeek(debts, goal, extra = 0, rollover = false, { prepayments = [], ...opts } = {}) {
+  const included = debts.filter(isAmortizing);
+  const target = goal.kind === "date" ? (goal.date ? monthsUntil(goal.date, opts.today) : 0) : null;
+  const ok = (sim) => meetsGoal(sim, goal, target);
+  // Twice the debt clears every loan that can be prepaid in the first month, spends and interest included
+  const cap = 2 * included.reduce((s, d) => s + d.balance, 0);
+  const schedule = (base, plan = prepayments) => plan.length ? buildExtraSchedule(base, plan, opts.today) : base;
+  const plan = schedule(extra), current = typeof plan === "function" ? plan : () => extra;
+  const stepups = prepayments.filter(p => p.kind === "stepup");
+  const strategies = Object.fromEntries(STRATEGIES.map(k => {
+    const monthly = (x) => simulatePayoff(included, k, schedule(extra + x), rollover, opts);
+    const lumpSum = (x) => simulatePayoff(included, k, (m) => current(m) + (m === 1 ? x : 0), rollover, opts);
+    const added = seekPayment(monthly, ok, cap), lump = seekPayment(lumpSum, ok, cap);
+    const addedSim = added === null ? null : monthly(added);
+    const regular = schedule(extra + added, stepups);
+    return [k, {
+      added, addedSim,
+      peak: added === null ? null : typeof regular === "function" ? regular(Math.max(1, addedSim.months)) : regular,
+      lump, lumpSim: lump === null ? null : lumpSum(lump),
+    }];
+  }));
+  return { goal, target, excluded: debts.filter(d => !isAmortizing(d)), strategies };
+}
+
+/**
+ * How a monthly extra sits against the household's income: "comfortable" within safeExtra,
+ * "tight" within disposable income, "unaffordable" beyond it.
+ */
+export function goalFeasibility(need, income, debts, budget) {
+  const safe = safeExtra(income, debts, budget), disposable = disposableIncome(income, debts, budget);
+  const level = need <= safe ? "comfortable" : need <= disposable ? "tight" : "unaffordable";
+  return { level, safe, disposable: Math.max(0, disposable) };
+}
+
+/* ─────────────────────── CONSOLIDATION ─────────────────────── */
+// A consolidation offer { ids, rate, tenure, feePct, foreclosure: { [debtId]: pct }, keepOutflow }
+// closes the debts in `ids` with one new loan at `rate`% over `tenure` months. The processing fee
+// (feePct of the new loan) and each closed loan's foreclosure charge (pct of its balance, by default
+// its prepayPenalty) are paid upfront. With keepOutflow, EMI the new loan frees up is added to the
+// extra payment instead.
+export const CONSOLIDATION_ID = 0;
+
+/** The new loan an offer takes out to close the selected debts. */
+export function consolidationLoan(debts, offer) {
+  const balance = debts.filter(d => offer.ids.includes(d.id)).reduce((s, d) => s + d.balance, 0);
+  const tenure = Math.max(1, Math.round(offer.tenure) || 1);
+  return { id: CONSOLIDATION_ID, name: "Consolidation Loan", balance, rate: offer.rate, emi: annuityEMI(balance, offer.rate, tenure), type: "unsecured", tenure };
+}
+
+// Cumulative interest paid by the end of each month of a simulation (index = month).
+const cumulativeInterest = (sim) => {
+  const out = new Array(sim.months + 1).fill(0);
+  sim.schedule.forEach(r => { out[r.month] += r.interest; });
+  for (let m = 1; m < out.length; m++) out[m] += out[m - 1];
+  return out;
+};
+
+/**
+ * The current plan against the same plan after consolidating, both run through simulatePayoff.
+ * Non-amortizing debts stay out of the current plan as in compareStrategies; merging one into the
+ * new loan adds it to the consolidated side, so the saving shown is then an understatement.
+ * @returns {{ loan: Debt, merged: Debt[], processingFee: number, foreclosure: number, upfront: number,
+ *   current: object, consolidated: object, outflow: { current: number, consolidated: number },
+ *   interestSaved: number, monthsSaved: number, breakEvenMonth: number|null }}
+ *   interestSaved — net of upfront charges; breakEvenMonth — first month by which the interest saved
+ *   covers the upfront charges, null if it never does
+ */
+export function compareConsolidation(debts, offer, strategy, extra = 0, rollover = false, opts = {}) {
+  const merged = debts.filter(d => offer.ids.includes(d.id));
+  const kept = debts.filter(d => !offer.ids.includes(d.id));
+  const loan = consolidationLoan(debts, offer);
+  const processingFee = loan.balance * (offer.feePct || 0) / 100;
+  const foreclosure = merged.reduce((s, d) => s + d.balance * ((offer.foreclosure || {})[d.id] ?? d.prepayPenalty ?? 0) / 100, 0);
+  const upfront = processingFee + foreclosure;
+  const outflow = {
+    current: debts.reduce((s, d) => s + d.emi, 0),
+    consolidated: kept.reduce((s, d) => s + d.emi, 0) + loan.emi,
+  };
+  const freed = offer.keepOutflow ? Math.max(0, outflow.current - outflow.consolidated) : 0;
+  const newExtra = !freed ? extra : typeof extra === "function" ? (m) => extra(m) + freed : extra + freed;
+  const current = simulatePayoff(debts.filter(isAmortizing), strategy, extra, rollover, opts);
+  const consolidated = simulatePayoff([...kept.filter(isAmortizing), loan], strategy, newExtra, rollover, opts);
+
+  const before = cumulativeInterest(current), after = cumulativeInterest(consolidated);
+  const last = (a, m) => a[Math.min(m, a.length - 1)];
+  let breakEvenMonth = null;
+  for (let m = 1; m <= Math.max(current.months, consolidated.months); m++) {
+    if (last(before, m) >= last(after, m) + upfront) { breakEvenMonth = m; break; }
+  }
+  return {
+    loan, merged, processingFee, foreclosure, upfront, current, consolidated, outflow,
+    interestSaved: current.totalInterest - consolidated.totalInterest - upfront,
+    monthsSaved: current.months - consolidated.months,
+    breakEvenMonth,
+  };
+}
+
+/* ─────────────────────── PREPAY VS INVEST ─────────────────────── */
+// Both sides spend the same each month: the EMIs of the plan without extra, plus the extra.
+// "prepay" puts the extra into the debts and invests whatever the cleared loans free up;
+// "invest" keeps paying only the EMIs and invests the extra. Net worth is the corpus after
+// tax on its gains (as if sold that month) minus the debt still owed. Tax saved on loan
+// interest and principal is reported separately and left out of net worth.
+
+// Cash paid and total balance owed at the end of each month of a simulation (index = month).
+const monthlyCashflow = (debts, sim, months) => {
+  const paid = new Array(months + 1).fill(0), owed = new Array(months + 1).fill(0);
+  const rem = Object.fromEntries(debts.map(d => [d.id, d.balance]));
+  let i = 0;
+  for (let m = 1; m <= months; m++) {
+    for (; i < sim.schedule.length && sim.schedule[i].month === m; i++) {
+      const r = sim.schedule[i];
+      paid[m] += r.interest + r.principal + r.extra;
+      rem[r.id] = r.closing;
+    }
+    owed[m] = Object.values(rem).reduce((s, v) => s + v, 0);
+  }
+  owed[0] = debts.reduce((s, d) => s + d.balance, 0);
+  return { paid, owed };
+};
+
+/**
+ * Net worth over time when the extra goes into prepayment versus an investment earning
+ * `returnPct`% a year (compounded monthly), with `gainsTaxPct`% tax on gains.
+ * Runs until both plans are debt-free.
+ * @returns {{ prepay: object, invest: object, months: number, series: { month: number, prepay: number, invest: number }[],
+ *   winner: "prepay"|"invest", advantage: number, crossoverMonth: number|null, breakEvenReturn: number }}
+ *   prepay / invest — the simulation plus { corpus, netWorth } at the end
+ *   advantage — the winner's lead in final net worth
+ *   crossoverMonth — month from which the winner stays ahead, null if it leads throughout
+ *   breakEvenReturn — pre-tax return at which both plans end level
+ */
+export function comparePrepayVsInvest(debts, strategy, extra = 0, rollover = false, { returnPct = 12, gainsTaxPct = 0, ...opts } = {}) {
+  const included = debts.filter(isAmortizing);
+  const prepay = simulatePayoff(included, strategy, extra, rollover, opts);
+  const invest = simulatePayoff(included, strategy, 0, rollover, opts);
+  const months = Math.max(prepay.months, invest.months);
+  const a = monthlyCashflow(included, prepay, months), b = monthlyCashflow(included, invest, months);
+  const extraAt = (m) => typeof extra === "function" ? extra(m) : extra;
+
+  const project = (ret) => {
+    const r = Math.pow(1 + ret / 100, 1 / 12) - 1, keep = 1 - gainsTaxPct / 100;
+    const side = () => ({ corpus: 0, cost: 0, worth: [0] });
+    const p = side(), v = side();
+    const grow = (s, add) => { s.corpus = s.corpus * (1 + r) + add; s.cost += add; };
+    const worth = (s, owed) => s.corpus - Math.max(0, s.corpus - s.cost) * (1 - keep) - owed;
+    for (let m = 1; m <= months; m++) {
+      const budget = b.paid[m] + extraAt(m);
+      grow(p, budget - a.paid[m]);
+      grow(v, budget - b.paid[m]);
+      p.worth.push(worth(p, a.owed[m]));
+      v.worth.push(worth(v, b.owed[m]));
+    }
+    return { p, v };
+  };
+
+  const { p, v } = project(returnPct);
+  const series = [];
+  const ahead = (m) => Math.round(p.worth[m] - v.worth[m]) >= 0;
+  let crossoverMonth = null;
+  for (let m = 1; m <= months; m++) {
+    if (m > 1 && ahead(m) !== ahead(m - 1)) crossoverMonth = m;
+    if (m <= 360 && (m % 3 === 0 || m === months)) series.push({ month: m, prepay: Math.round(p.worth[m]), invest: Math.round(v.worth[m]) });
+  }
+  const lead = (ret) => { const s = project(ret); return s.p.worth[months] - s.v.worth[months]; };
+  let lo = 0, hi = 100;
+  for (let i = 0; i < 30; i++) { const mid = (lo + hi) / 2; if (lead(mid) > 0) lo = mid; else hi = mid; }
+  const diff = Math.round(p.worth[months] - v.worth[months]);
+  return {
+    prepay: { ...prepay, corpus: Math.round(p.corpus), netWorth: Math.round(p.worth[months]) },
+    invest: { ...invest, corpus: Math.round(v.corpus), netWorth: Math.round(v.worth[months]) },
+    months, series,
+    winner: diff >= 0 ? "prepay" : "invest",
+    advantage: Math.abs(diff),
+    crossoverMonth,
+    breakEvenReturn: Math.round(lo * 100) / 100,
+  };
+}
+
+/* ─────────────────────── INCOME SHOCKS ─────────────────────── */
+// A shock { kind, from, months, cutPct, amount } starting in simulation month `from` (default 1):
+//   "jobloss" — no income for `months` months;
+//   "paycut"  — income cut by cutPct% for `months` months;
+//   "medical" — a one-off expense of `amount` in month `from`.
+// Extra payments pause while the shock lasts. Each month the household needs its living
+// `expenses` plus the EMIs due; what income doesn't cover comes out of the emergency fund, and
+// once that runs dry EMIs are missed — cards first, then unsecured loans, secured loans last
+// (missing those puts the collateral at risk), cheapest first within each. EMIs due are taken
+// from the plan without the shock.
+export const INCOME_SHOCKS = ["jobloss", "paycut", "medical"];
+
+// Loan balances at the end of `month` of a simulation; loans it has cleared are dropped.
+const balancesAt = (debts, sim, month) => {
+  const rem = Object.fromEntries(debts.map(d => [d.id, d.balance]));
+  sim.schedule.forEach(r => { if (r.month <= month) rem[r.id] = r.closing; });
+  return debts.map(d => ({ ...d, balance: rem[d.id] })).filter(d => d.balance > 0.5);
+};
+
+const PROTECTION = { revolving: 0, unsecured: 1, secured: 2 };
+
+/**
+ * The plan re-run through an income shock, funded from an emergency fund.
+ * `expenses` defaults to whatever income is left after EMIs and the extra.
+ * @returns {{ shock: object, normal: object, shocked: object, fundLeft: number, runsOut: number|null,
+ *   missed: { month: number, id: number, name: string, amount: number }[], unmet: number,
+ *   delay: number, extraInterest: number, stress: { before: object, during: object, after: object } }}
+ *   runsOut — first month the fund can't cover what income doesn't, null if it never runs dry
+ *   unmet — living expenses left uncovered even after missing every EMI due
+ *   stress — calcStressScore today, on the shocked income, and once the shock is over
+ */
+export function simulateIncomeShock(debts, income, shock, strategy, extra = 0, rollover = false, { fund = 0, expenses, ...opts } = {}) {
+  const included = debts.filter(isAmortizing);
+  const extraAt = (m) => typeof extra === "function" ? extra(m) : extra;
+  const from = Math.max(1, Math.round(shock.from) || 1);
+  const length = shock.kind === "medical" ? 1 : Math.max(1, Math.round(shock.months) || 1);
+  const inShock = (m) => m >= from && m < from + length;
+  const shockIncome = shock.kind === "jobloss" ? 0 : shock.kind === "paycut" ? income * (1 - Math.min(100, shock.cutPct || 0) / 100) : income;
+  const spend = expenses ?? Math.max(0, income - included.reduce((s, d) => s + d.emi, 0) - extraAt(1));
+
+  const normal = simulatePayoff(included, strategy, extra, rollover, opts);
+  const due = {};
+  const byId = Object.fromEntries(included.map(d => [d.id, d]));
+  normal.schedule.forEach(r => {
+    if (inShock(r.month)) (due[r.month] ||= []).push({ id: r.id, name: r.name, amount: Math.min(r.emi, r.interest + r.principal) });
+  });
+
+  let left = fund, runsOut = null, unmet = 0;
+  const missed = [], skip = new Set();
+  for (let m = from; m < from + length; m++) {
+    const emis = (due[m] || []).sort((a, b) =>
+      PROTECTION[byId[a.id].type] - PROTECTION[byId[b.id].type] || byId[a.id].rate - byId[b.id].rate);
+    let need = spend + emis.reduce((s, e) => s + e.amount, 0) + (shock.kind === "medical" ? shock.amount || 0 : 0) - shockIncome;
+    if (need > left) {
+      if (runsOut === null) runsOut = m;
+      for (const e of emis) {
+        if (need <= left) break;
+        missed.push({ month: m, ...e });
+        skip.add(`${m}:${e.id}`);
+        need -= e.amount;
+      }
+      if (need > left) { unmet += need - left; need = left; }
+    }
+    left -= need;
+  }
+
+  const shocked = simulatePayoff(included, strategy, (m) => inShock(m) ? 0 : extraAt(m), rollover,
+    { ...opts, missed: (m, id) => skip.has(`${m}:${id}`) });
+  return {
+    shock: { ...shock, from, months: length },
+    normal, shocked,
+    fundLeft: Math.round(left), runsOut, missed, unmet: Math.round(unmet),
+    delay: shocked.months - normal.months,
+    extraInterest: shocked.totalInterest - normal.totalInterest,
+    stress: {
+      before: calcStressScore(included, income, opts),
+      during: calcStressScore(included, shockIncome, opts),
+      after: calcStressScore(balancesAt(included, shocked, from + length - 1), income, opts),
+    },
+  };
+}
+
+/* ─────────────────────── PROGRESS TRACKING ─────────────────────── */
+// Actual payments are logged on each debt as `payments: [{ id, date: "YYYY-MM-DD", amount, kind }]`,
+// kind "emi" or "prepay". Tracking compares them with a snapshot of the plan taken when it starts:
+//   { start: "YYYY-MM", opening: { [debtId]: balance }, strategy, timeline, milestones }
+// where plan month m is the m-th calendar month after `start`. Replaying a debt's log from its
+// opening balance gives what is still owed: each EMI first pays a month's interest, a prepayment
+// goes to principal less any prepayment charge. Interest only accrues with the EMIs logged, and
+// payments dated before `start` stay in the log but are not replayed.
+export const PAYMENT_KINDS = ["emi", "prepay"];
+
+const ym = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+const ymDate = (s) => { const [y, m] = s.split("-").map(Number); return new Date(y, m - 1, 1); };
+
+export function sanitizePayments(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(p => p && /^\d{4}-\d{2}-\d{2}$/.test(p.date)).map((p, i) => ({
+    id: p.id ?? i + 1, date: p.date, amount: Math.max(0, Number(p.amount) || 0), kind: p.kind === "prepay" ? "prepay" : "emi",
+  }));
+}
+
+export function sanitizeTracking(t) {
+  if (!t || typeof t !== "object" || !/^\d{4}-\d{2}$/.test(t.start)) return null;
+  const num = (v) => Number(v) || 0;
+  return {
+    start: t.start,
+    opening: Object.fromEntries(Object.entries(t.opening || {}).map(([id, b]) => [id, Math.max(0, num(b))])),
+    strategy: String(t.strategy || ""),
+    timeline: (Array.isArray(t.timeline) ? t.timeline : []).map(p => ({ month: num(p?.month), balance: num(p?.balance) })),
+    milestones: (Array.isArray(t.milestones) ? t.milestones : []).filter(m => m && m.label)
+      .map(m => ({ month: num(m.month), label: String(m.label), pct: num(m.pct), ...(m.id !== undefined ? { id: m.id } : {}) })),
+  };
+}
+
+/** Snapshot of a simulation to track actual payments against, starting this month. */
+export function startTracking(debts, sim, strategy, today = new Date()) {
+  return {
+    start: ym(today),
+    opening: Object.fromEntries(debts.map(d => [d.id, d.balance])),
+    strategy,
+    timeline: sim.timeline.map(({ month, balance }) => ({ month, balance })),
+    milestones: sim.milestones,
+  };
+}
+
+/** Plan month a payment date falls in; payments made in the start month count towards month 1. */
+export const trackMonth = (date, start) => Math.max(1, monthsUntil(date.slice(0, 7), ymDate(start)));
+
+/**
+ * A debt's outstanding balance after replaying its payment log from `opening`, counting only
+ * payments up to plan month `untilMonth`.
+ * @returns {{ balance: number, paid: number, interest: number, principal: number }}
+ */
+export function replayPayments(d, opening, start, untilMonth = Infinity) {
+  const monthly = isCard(d) ? cardMonthlyRate(d.rate) * (1 + d.card.gstPct / 100) : d.rate / 1200;
+  const charge = (d.prepayPenalty || 0) / 100;
+  let balance = opening, paid = 0, interest = 0, principal = 0;
+  [...(d.payments || [])].sort((a, b) => a.date.localeCompare(b.date)).forEach(p => {
+    if (p.date.slice(0, 7) < start || trackMonth(p.date, start) > untilMonth) return;
+    paid += p.amount;
+    const int = p.kind === "prepay" ? Math.min(balance, p.amount / (1 + charge)) * charge : balance * monthly;
+    const prin = Math.min(balance, p.amount - int);
+    balance -= prin; interest += int; principal += prin;
+  });
+  return { balance: Math.max(0, balance), paid, interest, principal };
+}
+
+/**
+ * Actual progress against a tracking snapshot as of `today`.
+ * @returns {{ elapsed: number, opening: number, planned: number, actual: number, ahead: number,
+ *   series: { month: number, planned?: number, actual?: number }[], milestones: object[], balances: Record<number, number> }}
+ *   elapsed — plan months since the start (0 in the start month)
+ *   ahead — how much less is owed than planned (negative when behind)
+ *   milestones — the plan's, each with { achieved, achievedMonth, due }
+ *   balances — outstanding balance per tracked debt
+ */
+export function trackProgress(debts, tracking, today = new Date()) {
+  const elapsed = Math.max(0, monthsUntil(ym(today), ymDate(tracking.start)));
+  const tracked = debts.filter(d => tracking.opening[d.id] !== undefined);
+  const opening = tracked.reduce((s, d) => s + tracking.opening[d.id], 0);
+  // Per-debt balance at the end of each month 0..elapsed
+  const byDebt = Object.fromEntries(tracked.map(d => [d.id,
+    Array.from({ length: elapsed + 1 }, (_, m) => replayPayments(d, tracking.opening[d.id], tracking.start, m).balance)]));
+  const actualAt = Array.from({ length: elapsed + 1 }, (_, m) => tracked.reduce((s, d) => s + byDebt[d.id][m], 0));
+
+  const plan = [{ month: 0, balance: opening }, ...tracking.timeline];
+  const plannedAt = (m) => {
+    const i = plan.findIndex(p => p.month >= m);
+    if (i === -1) return 0;
+    if (i === 0 || plan[i].month === m) return plan[i].balance;
+    const a = plan[i - 1], b = plan[i];
+    return a.balance + (b.balance - a.balance) * (m - a.month) / (b.month - a.month);
+  };
+
+  const months = [...new Set([...plan.map(p => p.month), ...actualAt.map((_, m) => m)])].sort((a, b) => a - b);
+  const series = months.map(m => ({
+    month: m,
+    ...(m <= plan[plan.length - 1].month ? { planned: Math.round(plannedAt(m)) } : {}),
+    ...(m <= elapsed ? { actual: Math.round(actualAt[m]) } : {}),
+  }));
+
+  const reached = (m, ms) => ms.id !== undefined
+    ? byDebt[ms.id] !== undefined && byDebt[ms.id][m] <= 0.5
+    : opening > 0 && (opening - actualAt[m] + 0.5) / opening * 100 >= ms.pct;
+  const milestones = tracking.milestones.map(ms => {
+    const at = actualAt.findIndex((_, m) => reached(m, ms));
+    return { ...ms, achieved: at !== -1, achievedMonth: at === -1 ? null : at, due: ms.month <= elapsed };
+  });
+
+  const planned = plannedAt(elapsed), actual = actualAt[elapsed];
+  return {
+    elapsed, opening, planned: Math.round(planned), actual: Math.round(actual), ahead: Math.round(planned - actual),
+    series, milestones, balances: Object.fromEntries(tracked.map(d => [d.id, byDebt[d.id][elapsed]])),
+  };
+}
+
+/* ─────────────────────── AI INSIGHTS ENGINE ─────────────────────── */
+// Insights come from registered rules. A rule is
+//   { id, severity, priority, when?(facts), build(facts) → { icon, title, body, impact? } | null }
+// where `severity` is one of INSIGHT_SEVERITIES, `priority` (0–100) breaks ties, `when` is the
+// trigger condition and `impact` the estimated rupee effect of acting on the insight. Critical
+// insights always come first; the rest are ranked by impact, then priority. `facts` is what
+// insightFacts derives from the portfolio, so rules share one set of numbers.
+// Add rules with registerInsightRule; the built-in ones below are registered the same way.
+export const INSIGHT_SEVERITIES = ["critical", "danger", "warn", "opportunity", "success", "info"];
+export const INSIGHT_LIMIT = 5;
+
+const INSIGHT_RULES = new Map();
+
+/**
+ * Registers (or replaces, by id) an insight rule. Returns a function that unregisters it.
+ * @param {{ id: string, severity: string, priority?: number, when?: (facts: object) => boolean, build: (facts: object) => object|null }} rule
+ */
+export function registerInsightRule(rule) {
+  if (!rule || !rule.id || typeof rule.build !== "function") throw new Error("An insight rule needs an id and a build function.");
+  if (!INSIGHT_SEVERITIES.includes(rule.severity)) throw new Error(`Unknown insight severity "${rule.severity}".`);
+  INSIGHT_RULES.set(rule.id, { priority: 50, ...rule });
+  return () => { if (INSIGHT_RULES.get(rule.id)?.build === rule.build) INSIGHT_RULES.delete(rule.id); };
+}
+
+/** The registered rules, in registration order. */
+export const insightRules = () => [...INSIGHT_RULES.values()];
+
+/**
+ * Numbers the rules work from: the arguments of generateAIInsights plus
+ * { factors, best, saved, monthsSaved, stuck, budget, expenses, remainingIncome, savingsRate, safe, scoring },
+ * `scoring` being `context.scoring` (the stress score's profile) or DEFAULT_SCORING.
+ */
+export function insightFacts(debts, income, stress, strategies, extra, context = {}) {
+  const best = pickBestStrategy(strategies);
+  const budget = context.budget?.length ? context.budget : null;
+  const expenses = budget ? budgetTotals(budget).total : 0;
+  const remainingIncome = income - expenses - stress.factors.totalEMI - extra;
+  return {
+    debts, income, stress, factors: stress.factors, strategies, extra, context,
+    best, saved: strategies.baseline.totalInterest - strategies[best].totalInterest, monthsSaved: strategies.baseline.months - strategies[best].months,
+    stuck: findNonAmortizing(debts),
+    budget, expenses, remainingIncome, savingsRate: remainingIncome / income * 100, safe: budget ? safeExtra(income, debts, budget) : null,
+    scoring: context.scoring || DEFAULT_SCORING,
+  };
+}
+
+/**
+ * Hidden insights are kept per portfolio as `{ [ruleId]: until }` — "" for dismissed, or the
+ * "YYYY-MM-DD" date a snooze ends.
+ */
+export function sanitizeHiddenInsights(h) {
+  if (!h || typeof h !== "object") return {};
+  return Object.fromEntries(Object.entries(h).filter(([, until]) => until === "" || /^\d{4}-\d{2}-\d{2}$/.test(until)));
+}
+
+export const isInsightHidden = (hidden, id, today = new Date()) => {
+  const until = hidden?.[id];
+  return until === "" || (typeof until === "string" && until > today.toISOString().slice(0, 10));
+};
+
+/**
+ * Every insight the registered rules raise for a portfolio, ranked, as
+ * { id, type, priority, impact, icon, title, body } — `type` being the rule's severity.
+ * Rules whose `when` or `build` throws are left out and reported to `context.onError(ruleId, error)`.
+ * Same arguments as generateAIInsights.
+ */
+export function evaluateInsights(debts, income, stressScore, strategies, extraPayment, context = {}) {
+  if (!debts.length || !income) return [];
+  const facts = insightFacts(debts, income, stressScore, strategies, extraPayment, context);
+  const insights = [];
+  INSIGHT_RULES.forEach(rule => {
+    // A rule that throws is skipped, so one broken custom rule can't take the others down with it
+    let out;
+    try {
+      if (rule.when && !rule.when(facts)) return;
+      out = rule.build(facts);
+    } catch (e) {
+      context.onError?.(rule.id, e);
+      return;
+    }
+    if (out) insights.push({ ...out, id: rule.id, type: rule.severity, priority: rule.priority, impact: Math.max(0, Math.round(out.impact || 0)) });
+  });
+  const critical = (i) => i.type === "critical" ? 1 : 0;
+  return insights.sort((a, b) => critical(b) - critical(a) || b.impact - a.impact || b.priority - a.priority);
+}
+
+/**
+ * The top insight cards ({ id, type, priority, impact, icon, title, body }) for a portfolio.
+ * @param {Debt[]} debts
+ * @param {number} income
+ * @param {ReturnType<typeof calcStressScore>} stressScore
+ * @param {Record<"baseline"|Strategy, ReturnType<typeof simulatePayoff>>} strategies  as from compareStrategies
+ * @param {number} extraPayment
+ * @param {object} [context]  optional extra facts: `rateShock: { label, extraInterest, extraMonths, extraEMI }`
+ *   comparing the scenario being viewed against today's rates, and `tax` — the tax settings, used to
+ *   explain tax-advantaged loans whether or not the strategies apply them, `emergencyFund` in rupees, and
+ *   `budget` — the expense budget, used for disposable income and the safe extra payment. `hidden` leaves
+ *   out dismissed and snoozed insights (see sanitizeHiddenInsights), `limit` caps the count (default 5) and
+ *   `onError(ruleId, error)` hears about rules that threw and were skipped.
+ */
+export function generateAIInsights(debts, income, stressScore, strategies, extraPayment, context = {}) {
+  if (!debts.length || !income) return [{ id: "get-started", type: "info", icon: "💡", title: "Add your debts to get started", body: "Enter your loans and income to receive personalized AI-powered insights.", impact: 0 }];
+  const { hidden, limit = INSIGHT_LIMIT } = context;
+  return evaluateInsights(debts, income, stressScore, strategies, extraPayment, context)
+    .filter(i => !isInsightHidden(hidden, i.id)).slice(0, limit);
+}
+
+// Insight for the first tax-advantaged loan whose deduction matters: one that a nominal-rate
+// ranking prepays before a loan that costs more after tax, else a home loan past the 24(b) limit.
+// Impact is what a year of extra payments saves by going to the costlier loan.
+function explainTaxShield(debts, tax, extra) {
+  if (!tax || tax.regime !== "old" || !tax.slab) return null;
+  const on = { ...tax, enabled: true };
+  const section = (d) => d.taxSection === "80e" ? "Section 80E" : "Section 24(b)";
+  const shielded = debts.filter(d => d.taxSection && postTaxRate(d, on, d.balance, true) < d.rate).sort((a, b) => b.rate - a.rate);
+  for (const a of shielded) {
+    const after = postTaxRate(a, on, a.balance, true);
+    const b = debts.filter(o => o !== a && o.rate < a.rate && postTaxRate(o, on, o.balance, true) > after)
+      .sort((x, y) => postTaxRate(y, on, y.balance, true) - postTaxRate(x, on, x.balance, true))[0];
+    if (!b) continue;
+    const bAfter = postTaxRate(b, on, b.balance, true);
+    return { icon: "🧾", title: `Prepay ${b.name || "the other loan"} Before ${a.name || "the tax-advantaged loan"}`, impact: (bAfter - after) / 100 * extra * 12, body: `After the ${section(a)} deduction at your ${tax.slab}% slab, ${a.name} at ${pct(a.rate)} really costs ${pct(after)} — less than ${b.name} at ${pct(bAfter)}. A rupee of extra payment saves more on ${b.name}, even though its headline rate is lower.${tax.enabled ? " The strategies already rank by post-tax rate." : " Switch on post-tax rates in Tax Settings to rank the strategies this way."}` };
+  }
+  const capped = debts.find(d => d.taxSection === "24b" && d.balance * d.rate / 100 > TAX_LIMITS.sec24b);
+  if (capped) {
+    return { icon: "🧾", title: "Home Loan Past the 24(b) Limit", body: `${capped.name} charges about ${fmtFull(capped.balance * capped.rate / 100)} interest a year, but only ${fmtFull(TAX_LIMITS.sec24b)} of it is deductible. Until the yearly interest falls below the limit, every rupee you prepay saves the full ${pct(capped.rate)} — the tax benefit is no reason to hold off.` };
+  }
+  return null;
+}
+
+// Debts above the scoring profile's high-rate cutoff
+const toxicDebts = ({ debts, scoring, context }) => debts.filter(d => postTaxRate(d, context.tax) > scoring.highRate);
+
+// Built-in rules
+[
+  {
+    // Loans that never get repaid; impact is a year of balance growth
+    id: "non-amortizing", severity: "critical", priority: 100,
+    when: (f) => f.stuck.length > 0,
+    build: ({ stuck }) => {
+      const detail = stuck.map(s => `${s.debt.name || "Unnamed debt"} (EMI ${fmtFull(s.debt.emi)} vs ${fmtFull(s.monthlyInterest)} interest — needs ${fmtFull(s.minEMI)} to clear in ${months2str(s.tenure)})`).join("; ");
+      return { icon: "⛔", title: stuck.length > 1 ? "Loans That Never Get Repaid" : "Loan That Never Gets Repaid", impact: stuck.reduce((sum, s) => sum + s.shortfall * 12, 0), body: `${detail}. The EMI doesn't cover the monthly interest, so the balance grows every month. ${stuck.length > 1 ? "These loans are" : "This loan is"} excluded from the strategy comparison until the EMI is raised.` };
+    },
+  },
+  {
+    id: "emi-overload", severity: "critical", priority: 90,
+    when: (f) => f.factors.emiToIncome > 50,
+    build: ({ factors }) => ({ icon: "🚨", title: "EMI Overload Detected", body: `Your EMIs consume ${pct(factors.emiToIncome)} of income — well above the safe limit of 40%. This leaves critically thin margins for emergencies. Consider restructuring or consolidating high-rate debts immediately.` }),
+  },
+  {
+    id: "rate-shock", severity: "warn", priority: 70,
+    when: ({ context: { rateShock } }) => !!rateShock && (rateShock.extraInterest > 0 || rateShock.extraMonths > 0 || rateShock.extraEMI > 0),
+    build: ({ context: { rateShock } }) => {
+      const emiPart = rateShock.extraEMI > 0 ? `EMIs rise by ${fmtFull(rateShock.extraEMI)}/mo, ` : "";
+      const monthsPart = rateShock.extraMonths > 0 ? `your debt-free date slips ${months2str(rateShock.extraMonths)}, ` : "";
+      return { icon: "📈", title: "Rate Shock Impact", impact: rateShock.extraInterest, body: `Under ${rateShock.label}, ${emiPart}${monthsPart}and total interest rises by ${fmtFull(rateShock.extraInterest)}. Keep prepaying floating-rate loans and hold a buffer for higher EMIs.` };
+    },
+  },
+  {
+    // Impact is a year of interest on the toxic debt. "High-rate" is the scoring profile's cutoff,
+    // on the post-tax rate, as in the stress score's toxic-debt factor
+    id: "toxic-debt", severity: "danger", priority: 80,
+    when: (f) => toxicDebts(f).length > 0,
+    build: (f) => {
+      const highRateDebts = toxicDebts(f);
+      const names = highRateDebts.map(d => d.name).join(", ");
+      const totalHigh = highRateDebts.reduce((s, d) => s + d.balance, 0);
+      const monthly = highRateDebts.reduce((s, d) => s + monthlyCost(d), 0);
+      const minimumOnly = highRateDebts.filter(isCard).map(d => {
+        const m = cardMinimumPayoff(d);
+        return m.paidOff
+          ? ` Paying only the minimum due on ${d.name} would take ${months2str(m.months)} and cost ${fmtFull(m.totalInterest)} in interest, GST and fees.`
+          : ` Paying only the minimum due on ${d.name} never clears it.`;
+      }).join("");
+      return { icon: "🔥", title: "Toxic Debt Alert", impact: monthly * 12, body: `${names} ${highRateDebts.length > 1 ? 'carry' : 'carries'} interest above ${f.scoring.highRate}% — totaling ${fmtFull(totalHigh)}. Every month delayed costs you ${fmtFull(monthly)} in interest${highRateDebts.some(isCard) ? " and GST" : ""}.${minimumOnly} This is the single biggest drain on your wealth.` };
+    },
+  },
+  {
+    id: "best-strategy", severity: "success", priority: 60,
+    when: (f) => f.saved > 0,
+    build: ({ best, saved, monthsSaved, extra }) => ({ icon: "🎯", title: `${best.charAt(0).toUpperCase() + best.slice(1)} Saves You The Most`, impact: saved, body: `With just ${fmtFull(extra)}/month extra, the ${best} strategy saves you ${fmtFull(saved)} in interest and gets you debt-free ${monthsSaved} months earlier. That's ${months2str(monthsSaved)} of financial freedom gained.` }),
+  },
+  {
+    // Tax-advantaged loans: does the deduction change where extra money should go?
+    id: "tax-shield", severity: "info", priority: 50,
+    build: ({ debts, context, extra }) => explainTaxShield(debts, context.tax, extra),
+  },
+  {
+    // Against the budget: impact is a year of the overrun
+    id: "extra-above-safe", severity: "warn", priority: 65,
+    when: (f) => !!f.budget && f.extra > f.safe,
+    build: ({ expenses, factors, safe, extra, remainingIncome }) => ({ icon: "⚠️", title: "Extra Payment Above Safe Level", impact: (extra - safe) * 12, body: `After ${fmtFull(expenses)}/mo of living expenses and ${fmtFull(factors.totalEMI)} of EMIs, your budget can safely carry ${fmtFull(safe)}/mo extra — you've set ${fmtFull(extra)}. That leaves ${fmtFull(remainingIncome)}/mo for savings and surprises; trim the extra or the variable expenses so an overrun doesn't land on a credit card.` }),
+  },
+  {
+    // Against the budget: impact is a year of the extra left unused
+    id: "untapped-budget", severity: "opportunity", priority: 55,
+    when: (f) => !!f.budget && f.extra <= f.safe && f.safe - f.extra >= 1000,
+    build: ({ expenses, factors, safe, extra }) => ({ icon: "💰", title: "Untapped Payoff Potential", impact: (safe - extra) * 12, body: `After ${fmtFull(expenses)}/mo of living expenses and ${fmtFull(factors.totalEMI)} of EMIs, your budget can safely carry ${fmtFull(safe)}/mo extra — ${fmtFull(safe - extra)} more than now — while keeping 10% of income free and headroom on variable spending.` }),
+  },
+  {
+    // No budget to go on: at least 20% of income should stay free; impact is the fund shortfall
+    id: "thin-buffer", severity: "warn", priority: 65,
+    when: (f) => !f.budget && f.savingsRate < 20,
+    build: ({ factors, context, savingsRate, remainingIncome }) => {
+      const target = factors.totalEMI * 3, fund = context.emergencyFund || 0;
+      const advice = fund >= target
+        ? `Your ${fmtFull(fund)} emergency fund covers ${Math.floor(fund / factors.totalEMI)} months of EMIs — keep it intact while you repay.`
+        : `Consider building a 3-month emergency fund of ${fmtFull(target)}${fund ? ` (you have ${fmtFull(fund)})` : ""} before aggressive repayment, and run the Income Shock Test to see how long it would last.`;
+      return { icon: "⚠️", title: "Emergency Buffer Thin", impact: target - fund, body: `After EMIs and extra payments, only ${pct(savingsRate)} of income remains (${fmtFull(remainingIncome)}/mo). Financial planners recommend keeping at least 20% free. ${advice}` };
+    },
+  },
+  {
+    // No budget to go on: keep 30% of income as a buffer for living costs
+    id: "untapped-income", severity: "opportunity", priority: 55,
+    when: (f) => !f.budget && f.savingsRate > 40,
+    build: ({ income, extra, remainingIncome }) => {
+      const couldPayExtra = Math.round((remainingIncome - income * 0.3) / 1000) * 1000;
+      if (couldPayExtra <= extra) return null;
+      return { icon: "💰", title: "Untapped Payoff Potential", impact: (couldPayExtra - extra) * 12, body: `You have ${fmtFull(remainingIncome)}/mo after all payments. You could safely increase extra payments to ${fmtFull(couldPayExtra)}/mo while keeping 30% income buffer. This would dramatically accelerate your debt-free date.` };
+    },
+  },
+  {
+    // Impact is a year of interest above the average rate on the outlying debts
+    id: "consolidation", severity: "info", priority: 40,
+    when: (f) => f.factors.weightedRate > 10 && f.debts.filter(d => d.rate > f.factors.weightedRate + 3).length >= 2,
+    build: ({ debts, factors }) => {
+      const avgRate = factors.weightedRate;
+      const spreadDebts = debts.filter(d => d.rate > avgRate + 3);
+      return { icon: "🔄", title: "Consolidation Opportunity", impact: spreadDebts.reduce((s, d) => s + (d.rate - avgRate) / 100 * d.balance, 0), body: `You have ${spreadDebts.length} debts with rates significantly above your weighted average of ${pct(avgRate)}. A balance transfer or consolidation loan at a lower rate could simplify payments and reduce total interest — test an offer, fees included, in the Consolidation Simulator.` };
+    },
+  },
+  {
+    id: "strong-position", severity: "success", priority: 10,
+    when: (f) => f.stress.score >= 70,
+    build: ({ stress }) => ({ icon: "✅", title: "Strong Financial Position", body: `Your Debt Stress Score of ${stress.score} indicates healthy debt management. Stay the course — your debt structure is sustainable and you're well-positioned to accelerate payoff with even modest extra payments.` }),
+  },
+  {
+    // Impact is a year of interest on the debt above 3x annual income
+    id: "high-debt-to-income", severity: "warn", priority: 45,
+    when: (f) => f.factors.debtToAnnualIncome > 3,
+    build: ({ factors, income }) => ({ icon: "📊", title: "High Debt-to-Income Ratio", impact: (factors.totalBalance - income * 36) * factors.weightedRate / 100, body: `Your total debt is ${factors.debtToAnnualIncome.toFixed(1)}x your annual income. Lenders typically flag ratios above 3x. This may affect your ability to get new credit at favorable rates. Focus on reducing the principal aggressively.` }),
+  },
+].forEach(registerInsightRule);
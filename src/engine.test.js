@@ -0,0 +1,658 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  calcStressScore, simulatePayoff, compareStrategies, pickBestStrategy, priorityOrder, generateAIInsights,
+  annuityEMI, remainingTerm, findNonAmortizing, monthsUntil, startMonth, buildExtraSchedule, sanitizePrepayments,
+  rateSchedule, applyRateScenario, isAmortizing, cardMonthlyRate, cardStatement, cardMinimumPayoff, sanitizeCard,
+  CARD_DEFAULTS, compareConsolidation, consolidationLoan, prepayRate, unlockMonth, optimiseStrategy,
+  postTaxRate, sanitizeTax, netInterest, comparePrepayVsInvest, simulateIncomeShock,
+  householdStress, memberDebts, ownerShares, sanitizeMembers, sanitizeBudget, budgetTotals, disposableIncome, safeExtra,
+  startTracking, trackProgress, replayPayments, sanitizePayments, solveRate, solveLoan, applySolve, checkLoanTerms,
+  DEFAULT_SCORING, sanitizeScoring, sanitizeScoringProfiles, activeScoring,
+  evaluateInsights, registerInsightRule, insightRules, sanitizeHiddenInsights, STRATEGIES, goalSeek, goalFeasibility,
+} from "./engine.js";
+
+const SAMPLE = [
+  { id: 1, name: "Home Loan", balance: 3200000, rate: 8.5, emi: 32000, type: "secured" },
+  { id: 2, name: "Car Loan", balance: 520000, rate: 9.25, emi: 14500, type: "secured" },
+  { id: 3, name: "Personal Loan", balance: 300000, rate: 13.5, emi: 10500, type: "unsecured" },
+  { id: 4, name: "Credit Card", balance: 145000, rate: 42, emi: 12000, type: "revolving" },
+];
+
+// Small deterministic PRNG (mulberry32) so property failures are reproducible.
+const rng = (seed) => () => {
+  seed |= 0; seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Random portfolio whose EMIs always exceed the first month's interest.
+const randomPortfolio = (rand) => Array.from({ length: 1 + Math.floor(rand() * 6) }, (_, i) => {
+  const balance = Math.round(10000 + rand() * 2000000);
+  const rate = Math.round(rand() * 4000) / 100;
+  const emi = Math.round(balance * rate / 1200 + balance * (0.01 + rand() * 0.05));
+  return { id: i + 1, name: `Loan ${i + 1}`, balance, rate, emi, type: "unsecured" };
+});
+
+const forEachPortfolio = (n, fn) => {
+  const rand = rng(42);
+  for (let i = 0; i < n; i++) fn(randomPortfolio(rand), Math.round(rand() * 30000));
+};
+
+test("empty portfolio simulates to nothing", () => {
+  const r = simulatePayoff([], "avalanche", 5000);
+  assert.equal(r.months, 0);
+  assert.equal(r.totalInterest, 0);
+  assert.deepEqual(r.schedule, []);
+});
+
+test("single zero-rate loan pays off in balance / emi months", () => {
+  const r = simulatePayoff([{ id: 1, name: "A", balance: 12000, rate: 0, emi: 1000 }], "baseline");
+  assert.equal(r.months, 12);
+  assert.equal(r.totalInterest, 0);
+  assert.equal(r.milestones.at(-1).pct, 100);
+});
+
+test("stress score of the sample portfolio", () => {
+  const s = calcStressScore(SAMPLE, 125000);
+  assert.equal(s.score, 36);
+  assert.equal(s.grade, "Critical");
+  assert.equal(s.factors.totalEMI, 69000);
+  assert.equal(s.factors.totalBalance, 4165000);
+});
+
+test("stress score breakdown explains each factor and what would recover it", () => {
+  const s = calcStressScore(SAMPLE, 125000);
+  assert.equal(100 - s.breakdown.reduce((sum, b) => sum + b.points, 0), s.score);
+  const by = Object.fromEntries(s.breakdown.map(b => [b.key, b]));
+  assert.deepEqual([by.emi.points, by.leverage.points, by.rate.points, by.toxic.points, by.complexity.points], [40, 12, 7, 0, 5]);
+  assert.equal(by.disposable, undefined, "only scored when expenses are known");
+  assert.equal(by.emi.recover.amount, 250);
+  assert.equal(by.emi.recover.points, 10);
+  assert.equal(by.rate.recover.points, 7);
+  assert.match(by.rate.recover.text, /costliest debt/);
+  // Clearing what's suggested actually moves the factor down a band
+  const card = SAMPLE[3];
+  const cleared = SAMPLE.map(d => d === card ? { ...d, balance: d.balance - by.rate.recover.amount } : d);
+  assert.equal(calcStressScore(cleared, 125000).score, s.score + 7);
+  assert.equal(by.toxic.recover, null);
+});
+
+test("custom scoring profiles reweight factors and move the high-rate cutoff", () => {
+  const custom = sanitizeScoring({ ...DEFAULT_SCORING, id: "adv", name: "Advisor", highRate: 9, factors: { ...DEFAULT_SCORING.factors, emi: { weight: 0, bands: [[15, 3]] } } });
+  assert.equal(custom.factors.leverage.weight, 1);
+  const s = calcStressScore(SAMPLE, 125000, { scoring: custom });
+  const toxic = s.breakdown.find(b => b.key === "toxic");
+  assert.equal(toxic.points, 5);
+  assert.equal(s.score, 100 - 0 - 12 - 7 - 5 - 5);
+
+  const saved = sanitizeScoringProfiles({ activeId: "adv", profiles: [custom, { id: "default", name: "Shadow" }] });
+  assert.equal(saved.profiles.length, 1, "the default profile is built in, not stored");
+  assert.equal(activeScoring(saved).name, "Advisor");
+  assert.equal(activeScoring(sanitizeScoringProfiles(null)), DEFAULT_SCORING);
+
+  // Whatever the settings panel accepts survives a save and reload
+  assert.equal(sanitizeScoring(JSON.parse(JSON.stringify({ ...custom, highRate: 0 }))).highRate, 0);
+  assert.equal(sanitizeScoring({ ...custom, highRate: -1 }).highRate, DEFAULT_SCORING.highRate);
+  assert.equal(sanitizeScoring({ id: "x" }).highRate, DEFAULT_SCORING.highRate);
+
+  // The toxic-debt insight flags the same debts the profile's toxic factor counts
+  const toxicInsight = (scoring) => evaluateInsights(SAMPLE, 125000, calcStressScore(SAMPLE, 125000, { scoring }), compareStrategies(SAMPLE, 5000), 5000, { scoring })
+    .find(i => i.id === "toxic-debt");
+  assert.match(toxicInsight().body, /^Credit Card carries interest above 15%/);
+  assert.match(toxicInsight(custom).body, /^Car Loan, Personal Loan, Credit Card carry interest above 9%/);
+  assert.equal(toxicInsight({ ...custom, highRate: 50 }), undefined);
+});
+
+test("stress score is N/A without income or debts", () => {
+  assert.equal(calcStressScore([], 100000).grade, "N/A");
+  assert.equal(calcStressScore(SAMPLE, 0).grade, "N/A");
+});
+
+test("priorityOrder ranks by strategy", () => {
+  assert.deepEqual(priorityOrder(SAMPLE, "avalanche").map(d => d.id), [4, 3, 2, 1]);
+  assert.deepEqual(priorityOrder(SAMPLE, "snowball").map(d => d.id), [4, 3, 2, 1]);
+  assert.deepEqual(priorityOrder(SAMPLE, "hybrid").map(d => d.id), [1, 4, 2, 3]);
+});
+
+test("pickBestStrategy returns the lowest-interest strategy", () => {
+  const strategies = compareStrategies(SAMPLE, 5000);
+  const best = pickBestStrategy(strategies);
+  STRATEGIES.forEach(k => assert.ok(strategies[best].totalInterest <= strategies[k].totalInterest));
+});
+
+test("insights are capped at five and start with a prompt when empty", () => {
+  const strategies = compareStrategies(SAMPLE, 5000);
+  const insights = generateAIInsights(SAMPLE, 125000, calcStressScore(SAMPLE, 125000), strategies, 5000);
+  assert.ok(insights.length > 0 && insights.length <= 5);
+  const empty = generateAIInsights([], 0, calcStressScore([], 0), compareStrategies([], 0), 0);
+  assert.equal(empty[0].title, "Add your debts to get started");
+});
+
+test("insight rules rank by rupee impact and can be added, dismissed and snoozed", () => {
+  const args = [SAMPLE, 125000, calcStressScore(SAMPLE, 125000), compareStrategies(SAMPLE, 5000), 5000];
+  const all = evaluateInsights(...args);
+  assert.equal(all[0].id, "emi-overload", "critical insights come first");
+  const rest = all.filter(i => i.type !== "critical");
+  rest.slice(1).forEach((ins, k) => assert.ok(rest[k].impact >= ins.impact));
+
+  const rule = { id: "custom-big", severity: "opportunity", when: (f) => f.income > 100000, build: () => ({ icon: "⭐", title: "Custom", body: "From a custom rule.", impact: 1e9 }) };
+  const unregister = registerInsightRule(rule);
+  try {
+    assert.equal(generateAIInsights(...args)[1].id, "custom-big");
+    assert.equal(generateAIInsights(...args, { limit: Infinity }).length, all.length + 1);
+    const hidden = (until) => generateAIInsights(...args, { hidden: sanitizeHiddenInsights({ "custom-big": until }) }).some(i => i.id === "custom-big");
+    assert.equal(hidden(""), false, "dismissed");
+    assert.equal(hidden("2999-01-01"), false, "snoozed");
+    assert.equal(hidden("2000-01-01"), true, "the snooze has run out");
+  } finally {
+    unregister();
+  }
+  assert.ok(!insightRules().some(r => r.id === "custom-big"));
+  assert.throws(() => registerInsightRule({ ...rule, severity: "urgent" }), /severity/);
+});
+
+test("an insight rule that throws is skipped, reported, and the rest still rank", () => {
+  const args = [SAMPLE, 125000, calcStressScore(SAMPLE, 125000), compareStrategies(SAMPLE, 5000), 5000];
+  const before = evaluateInsights(...args).map(i => i.id);
+  const offs = [
+    registerInsightRule({ id: "broken-when", severity: "warn", when: () => { throw new Error("bad trigger"); }, build: () => ({ title: "x" }) }),
+    registerInsightRule({ id: "broken-build", severity: "info", build: (f) => ({ title: f.missing.field }) }),
+  ];
+  try {
+    const failed = [];
+    assert.deepEqual(evaluateInsights(...args, { onError: (id, e) => failed.push([id, e.message]) }).map(i => i.id), before);
+    assert.deepEqual(failed.map(([id]) => id), ["broken-when", "broken-build"]);
+    assert.equal(failed[0][1], "bad trigger");
+    assert.ok(generateAIInsights(...args).length > 0, "without a handler the failures pass silently");
+  } finally {
+    offs.forEach(off => off());
+  }
+});
+
+test("property: principal paid equals starting balance", () => {
+  forEachPortfolio(60, (debts, extra) => {
+    STRATEGIES.forEach(k => {
+      const { schedule } = simulatePayoff(debts, k, extra);
+      debts.forEach(d => {
+        const paid = schedule.filter(r => r.id === d.id).reduce((s, r) => s + r.principal + r.extra, 0);
+        assert.ok(Math.abs(paid - d.balance) < 1, `${k}: ${d.name} paid ${paid} of ${d.balance}`);
+      });
+    });
+  });
+});
+
+test("property: interest and balances are never negative", () => {
+  forEachPortfolio(60, (debts, extra) => {
+    const { schedule } = simulatePayoff(debts, "hybrid", extra, true);
+    schedule.forEach(r => {
+      assert.ok(r.interest >= 0);
+      assert.ok(r.closing >= 0);
+      assert.ok(r.closing <= r.opening + 1e-9);
+    });
+  });
+});
+
+test("property: no strategy pays more interest or takes longer than baseline", () => {
+  forEachPortfolio(60, (debts, extra) => {
+    const s = compareStrategies(debts, extra);
+    STRATEGIES.forEach(k => {
+      assert.ok(s[k].totalInterest <= s.baseline.totalInterest, `${k} interest`);
+      assert.ok(s[k].months <= s.baseline.months, `${k} months`);
+    });
+  });
+});
+
+test("property: rollover is never slower or costlier than fixed outflow", () => {
+  forEachPortfolio(60, (debts, extra) => {
+    STRATEGIES.forEach(k => {
+      const fixed = simulatePayoff(debts, k, extra), rolled = simulatePayoff(debts, k, extra, true);
+      assert.ok(rolled.totalInterest <= fixed.totalInterest + 1);
+      assert.ok(rolled.months <= fixed.months);
+    });
+  });
+});
+
+test("annuityEMI matches the standard formula", () => {
+  assert.equal(Math.round(annuityEMI(100000, 12, 12)), 8885);
+  assert.equal(annuityEMI(12000, 0, 12), 1000);
+  assert.equal(annuityEMI(0, 12, 12), 0);
+});
+
+test("loan terms solve for the EMI, tenure or rate from the others", () => {
+  assert.ok(Math.abs(solveRate(100000, annuityEMI(100000, 12, 12), 12) - 12) < 1e-6);
+  assert.equal(solveRate(100000, 8000, 12), null, "EMI can't repay the balance even at 0%");
+  const loan = { id: 1, balance: 100000, rate: 12, emi: 0, tenure: 12, type: "unsecured" };
+  assert.equal(solveLoan(loan, "emi"), 8885);
+  assert.equal(solveLoan({ ...loan, emi: 8885 }, "tenure"), 12);
+  assert.ok(Math.abs(solveLoan({ ...loan, rate: 0, emi: 8885 }, "rate") - 12) <= 0.01);
+  assert.equal(solveLoan({ ...loan, tenure: 0 }, "emi"), null);
+
+  const solved = applySolve({ ...loan, solveFor: "emi", emi: 1 });
+  assert.equal(solved.emi, 8885);
+  assert.equal(applySolve({ ...loan, tenure: 0, emi: 1, solveFor: "emi" }).emi, 1, "left alone when it can't be solved");
+
+  assert.equal(checkLoanTerms({ ...loan, emi: 8900 }), null, "within the rounding tolerance");
+  const terms = checkLoanTerms({ ...loan, emi: 9500 });
+  assert.equal(terms.emi, 8885);
+  assert.ok(terms.rate > 12);
+  assert.equal(checkLoanTerms({ ...loan, emi: 9500, solveFor: "rate" }), null);
+});
+
+test("loans whose EMI doesn't cover interest are flagged with a clearing EMI", () => {
+  const card = { id: 9, name: "Card", balance: 100000, rate: 36, emi: 2000, type: "revolving" };
+  const [stuck] = findNonAmortizing([...SAMPLE, card]);
+  assert.equal(stuck.debt, card);
+  assert.equal(stuck.monthlyInterest, 3000);
+  assert.equal(stuck.shortfall, 1000);
+  assert.equal(stuck.tenure, 36);
+  assert.ok(simulatePayoff([{ ...card, emi: stuck.minEMI }], "baseline").months <= 36);
+});
+
+test("non-amortizing loans never pay off and are excluded from comparisons", () => {
+  const card = { id: 9, name: "Card", balance: 100000, rate: 36, emi: 3000, type: "revolving" };
+  const alone = simulatePayoff([card], "baseline");
+  assert.equal(alone.paidOff, false);
+  assert.ok(!alone.milestones.some(m => m.pct === 100));
+  const s = compareStrategies([...SAMPLE, card], 5000);
+  assert.deepEqual(s.excluded, [card]);
+  assert.deepEqual(s.avalanche, compareStrategies(SAMPLE, 5000).avalanche);
+  assert.equal(s.avalanche.paidOff, true);
+});
+
+test("monthsUntil counts calendar months from today", () => {
+  const today = new Date(2026, 9, 19); // Oct 2026
+  assert.equal(monthsUntil("2026-11", today), 1);
+  assert.equal(monthsUntil("2026-10", today), 0);
+  assert.equal(monthsUntil("2027-10", today), 12);
+  assert.equal(monthsUntil("2025-10", today), -12);
+  assert.equal(startMonth({ startDate: "2024-01" }, today), 1);
+  assert.equal(startMonth({ startDate: "2027-03" }, today), 5);
+  assert.equal(startMonth({}, today), 1);
+});
+
+test("future loans take no payments and accrue no interest before they start", () => {
+  const today = new Date(2026, 9, 19);
+  const loan = { id: 1, name: "Car", balance: 12000, rate: 0, emi: 1000, startDate: "2027-03" };
+  const r = simulatePayoff([loan], "avalanche", 500, false, { today });
+  assert.equal(r.schedule[0].month, 5);
+  assert.equal(r.months, 4 + 8);
+  const interestBearing = simulatePayoff([{ ...loan, rate: 12 }], "baseline", 0, false, { today });
+  const runningNow = simulatePayoff([{ ...loan, rate: 12, startDate: "" }], "baseline", 0, false, { today });
+  assert.equal(interestBearing.totalInterest, runningNow.totalInterest);
+  assert.equal(interestBearing.months, runningNow.months + 4);
+});
+
+test("buildExtraSchedule layers lump sums, annual amounts and step-ups on the base extra", () => {
+  const today = new Date(2026, 9, 19); // Oct 2026: month 1 = Nov 2026
+  const extraFor = buildExtraSchedule(5000, [
+    { kind: "lump", amount: 100000, date: "2027-01" },
+    { kind: "lump", amount: 99999, date: "2025-01" },
+    { kind: "annual", amount: 50000, month: 3 },
+    { kind: "stepup", percent: 10, month: 4 },
+  ], today);
+  assert.equal(extraFor(1), 5000);
+  assert.equal(extraFor(3), 105000);           // Jan 2027 lump sum
+  assert.equal(extraFor(5), 55000);            // Mar 2027 bonus
+  assert.ok(Math.abs(extraFor(6) - 5500) < 1e-9);   // Apr 2027 step-up
+  assert.ok(Math.abs(extraFor(17) - 55500) < 1e-9); // Mar 2028 bonus on stepped-up base
+  assert.ok(Math.abs(extraFor(18) - 6050) < 1e-9);  // Apr 2028 second step-up
+});
+
+test("a prepayment plan never slows payoff versus the constant extra", () => {
+  const plan = buildExtraSchedule(5000, [{ kind: "annual", amount: 100000, month: 3 }]);
+  const constant = compareStrategies(SAMPLE, 5000), planned = compareStrategies(SAMPLE, plan);
+  STRATEGIES.forEach(k => {
+    assert.ok(planned[k].months <= constant[k].months);
+    assert.ok(planned[k].totalInterest < constant[k].totalInterest);
+  });
+});
+
+test("sanitizePrepayments drops unknown kinds and coerces fields", () => {
+  assert.deepEqual(sanitizePrepayments([
+    { kind: "lump", amount: "2000", date: "bad" }, { kind: "nope" }, { kind: "stepup", percent: -5, month: 15 },
+  ]), [
+    { id: 1, kind: "lump", amount: 2000, date: "" },
+    { id: 2, kind: "stepup", percent: 0, month: 12 },
+  ]);
+  assert.deepEqual(sanitizePrepayments(null), []);
+});
+
+test("remainingTerm inverts annuityEMI", () => {
+  assert.equal(remainingTerm(100000, 12, annuityEMI(100000, 12, 24)), 24);
+  assert.equal(remainingTerm(12000, 0, 1000), 12);
+  assert.equal(remainingTerm(100000, 12, 1000), Infinity);
+});
+
+test("rate changes and shocks only move floating loans", () => {
+  const today = new Date(2026, 9, 19);
+  const rates = { shockBps: 100, shockDate: "2027-01", reset: "tenure" };
+  const floating = { rate: 8.5, floating: true, rateChanges: [{ date: "2027-06", rate: 9 }] };
+  const rateOf = rateSchedule(floating, rates, today);
+  assert.deepEqual([1, 3, 8].map(rateOf), [8.5, 9.5, 10]);
+  assert.equal(rateSchedule({ ...floating, floating: false }, rates, today)(12), 8.5);
+});
+
+test("banks either stretch the tenure or re-price the EMI on a rate rise", () => {
+  const home = { id: 1, name: "Home", balance: 3000000, rate: 8.5, emi: annuityEMI(3000000, 8.5, 180), type: "secured", floating: true };
+  const base = simulatePayoff([home], "baseline");
+  const stretched = simulatePayoff([home], "baseline", 0, false, { rates: { shockBps: 150, shockDate: "", reset: "tenure" } });
+  const repriced = simulatePayoff([home], "baseline", 0, false, { rates: { shockBps: 150, shockDate: "", reset: "emi" } });
+  assert.equal(base.months, 180);
+  assert.ok(stretched.months > 180);
+  assert.equal(repriced.months, 180);
+  assert.ok(repriced.schedule[0].emi > home.emi);
+  assert.ok(stretched.totalInterest > repriced.totalInterest);
+  const [projected] = applyRateScenario([home], { shockBps: 150, shockDate: "", reset: "emi" });
+  assert.equal(projected.rate, 10);
+  assert.equal(projected.emi, Math.round(repriced.schedule[0].emi));
+});
+
+test("card statements compound daily, add GST, and charge a late fee below the minimum due", () => {
+  assert.ok(cardMonthlyRate(42) > 42 / 1200);
+  const card = { ...CARD_DEFAULTS, spend: 10000 };
+  const st = cardStatement(card, 100000, 42);
+  assert.equal(st.opening, 110000);
+  assert.ok(Math.abs(st.interest - 110000 * cardMonthlyRate(42) * 1.18) < 1e-6);
+  assert.ok(Math.abs(st.minDue - (110000 + st.interest) * 0.05) < 1e-6);
+  assert.equal(st.payment, st.minDue);
+  const late = cardStatement(card, 100000, 42, 1000);
+  assert.ok(Math.abs(late.interest - st.interest - 500 * 1.18) < 1e-6);
+  const small = cardStatement(CARD_DEFAULTS, 150, 42);
+  assert.equal(small.minDue, small.opening + small.interest);
+});
+
+test("a card costs more than the same balance as a plain loan", () => {
+  const plain = { id: 1, name: "Card", balance: 145000, rate: 42, emi: 12000, type: "revolving" };
+  const card = { ...plain, card: { ...CARD_DEFAULTS } };
+  const a = simulatePayoff([plain], "baseline"), b = simulatePayoff([card], "baseline");
+  assert.ok(b.totalInterest > a.totalInterest);
+  assert.ok(b.months >= a.months);
+  const withSpends = simulatePayoff([{ ...card, card: { ...CARD_DEFAULTS, spend: 3000 } }], "baseline");
+  assert.ok(withSpends.months > b.months);
+});
+
+test("paying only the minimum due takes far longer, and spends above the payment never clear", () => {
+  const card = { id: 1, name: "Card", balance: 145000, rate: 42, emi: 12000, type: "revolving", card: { ...CARD_DEFAULTS } };
+  const min = cardMinimumPayoff(card);
+  assert.ok(min.paidOff);
+  assert.ok(min.months > 5 * simulatePayoff([card], "baseline").months);
+  assert.ok(min.totalInterest > simulatePayoff([card], "baseline").totalInterest);
+  const spender = { ...card, emi: 5000, card: { ...CARD_DEFAULTS, spend: 6000 } };
+  assert.equal(isAmortizing(spender), false);
+  assert.equal(cardMinimumPayoff(spender).paidOff, false);
+});
+
+test("sanitizeCard fills defaults and rejects non-objects", () => {
+  assert.equal(sanitizeCard(null), null);
+  assert.deepEqual(sanitizeCard({ minDuePct: "3", spend: -5 }), { ...CARD_DEFAULTS, minDuePct: 3 });
+});
+
+test("consolidating costly debts at a lower rate saves interest and breaks even", () => {
+  const offer = { ids: [3, 4], rate: 12, tenure: 36, feePct: 0, foreclosure: {}, keepOutflow: false };
+  const loan = consolidationLoan(SAMPLE, offer);
+  assert.equal(loan.balance, 445000);
+  assert.ok(Math.abs(loan.emi - annuityEMI(445000, 12, 36)) < 1e-9);
+  const free = compareConsolidation(SAMPLE, offer, "avalanche", 5000);
+  assert.equal(free.current.totalInterest, simulatePayoff(SAMPLE, "avalanche", 5000).totalInterest);
+  assert.ok(free.interestSaved > 0);
+  assert.equal(free.breakEvenMonth, 1);
+  const charged = compareConsolidation(SAMPLE, { ...offer, feePct: 2, foreclosure: { 3: 4 } }, "avalanche", 5000);
+  assert.equal(charged.upfront, 445000 * 0.02 + 300000 * 0.04);
+  assert.equal(charged.interestSaved, free.interestSaved - charged.upfront);
+  assert.ok(charged.breakEvenMonth > free.breakEvenMonth);
+});
+
+test("consolidation breaks even never when it costs more, and keepOutflow never slows payoff", () => {
+  const worse = compareConsolidation(SAMPLE, { ids: [1], rate: 11, tenure: 240, feePct: 1, foreclosure: {} }, "avalanche", 0);
+  assert.ok(worse.interestSaved < 0);
+  assert.equal(worse.breakEvenMonth, null);
+  const offer = { ids: [2, 3, 4], rate: 11, tenure: 84, feePct: 1, foreclosure: {} };
+  const plain = compareConsolidation(SAMPLE, offer, "avalanche", 2000);
+  const kept = compareConsolidation(SAMPLE, { ...offer, keepOutflow: true }, "avalanche", 2000);
+  assert.ok(plain.outflow.consolidated < plain.outflow.current);
+  assert.ok(kept.consolidated.months <= plain.consolidated.months);
+  assert.ok(kept.consolidated.totalInterest <= plain.consolidated.totalInterest);
+});
+
+test("locked-in loans take no extra until the lock-in ends", () => {
+  const today = new Date(2026, 9, 19);
+  const locked = { ...SAMPLE[3], lockInUntil: "2027-04" };
+  assert.equal(unlockMonth(locked, today), 6);
+  const r = simulatePayoff([SAMPLE[2], locked], "avalanche", 20000, false, { today });
+  const extraTo = (id, month) => r.schedule.find(row => row.id === id && row.month === month).extra;
+  assert.equal(extraTo(4, 5), 0);
+  assert.ok(extraTo(3, 5) > 0);
+  assert.ok(extraTo(4, 6) > 0);
+  assert.deepEqual(priorityOrder([SAMPLE[2], locked], "avalanche", today).map(d => d.id), [3, 4]);
+});
+
+test("prepayment charges are paid out of the extra and steer avalanche away when not worth it", () => {
+  const loan = { id: 1, name: "Car", balance: 500000, rate: 9, emi: annuityEMI(500000, 9, 60), type: "secured", prepayPenalty: 4 };
+  assert.ok(prepayRate(loan) < 9 && prepayRate(loan) > 0);
+  const free = simulatePayoff([{ ...loan, prepayPenalty: 0 }], "avalanche", 10000);
+  const charged = simulatePayoff([loan], "avalanche", 10000);
+  const row = charged.schedule[0];
+  assert.ok(Math.abs(row.extra * 1.04 - 10000) < 1e-6);
+  assert.ok(charged.totalInterest > free.totalInterest);
+  assert.ok(charged.months >= free.months);
+  // Two months left: a 4% charge costs more than the interest it would save
+  const nearlyDone = { ...loan, balance: 20000, emi: 10100 };
+  assert.ok(prepayRate(nearlyDone) <= 0);
+  assert.equal(simulatePayoff([nearlyDone], "avalanche", 5000).schedule[0].extra, 0);
+  assert.ok(simulatePayoff([nearlyDone], "snowball", 5000).schedule[0].extra > 0);
+});
+
+test("custom follows the debts' own order and split shares the extra", () => {
+  const [home, car] = SAMPLE;
+  const first = (sim) => sim.schedule.filter(r => r.month === 1).map(r => [r.id, Math.round(r.extra)]);
+  assert.deepEqual(first(simulatePayoff([home, car], "custom", 10000)), [[1, 10000], [2, 0]]);
+  assert.deepEqual(first(simulatePayoff([car, home], "custom", 10000)), [[2, 10000], [1, 0]]);
+  assert.deepEqual(first(simulatePayoff([home, car], "custom", 10000, false, { split: [0.75, 0.25] })), [[1, 7500], [2, 2500]]);
+});
+
+test("property: the optimal plan is never beaten by a strategy rule on its objective", () => {
+  const rand = rng(7);
+  for (let n = 0; n < 12; n++) {
+    const debts = randomPortfolio(rand), extra = Math.round(rand() * 30000), rollover = rand() < 0.5;
+    const interest = optimiseStrategy(debts, extra, rollover, { objective: "interest" });
+    const months = optimiseStrategy(debts, extra, rollover, { objective: "months" });
+    assert.ok(interest.plan.order.length === debts.length);
+    STRATEGIES.forEach(k => {
+      const sim = simulatePayoff(debts, k, extra, rollover);
+      assert.ok(interest.totalInterest <= sim.totalInterest, `interest vs ${k}`);
+      assert.ok(months.months <= sim.months, `months vs ${k}`);
+    });
+  }
+});
+
+test("compareStrategies adds the optimal plan only when asked", () => {
+  assert.equal(compareStrategies(SAMPLE, 5000).optimal, undefined);
+  const withOptimal = compareStrategies(SAMPLE, 5000, false, { objective: "interest" });
+  assert.ok(withOptimal.optimal.totalInterest <= withOptimal[pickBestStrategy(withOptimal)].totalInterest);
+});
+
+test("post-tax rates apply 24(b) up to its limit and 80E in full, under the old regime only", () => {
+  const tax = { enabled: true, regime: "old", slab: 30, used80C: 0 };
+  const m = 0.3 * 1.04;
+  const small = { rate: 8.5, balance: 1500000, taxSection: "24b" };
+  const big = { ...small, balance: 3200000 };
+  const edu = { rate: 10, balance: 800000, taxSection: "80e" };
+  assert.ok(Math.abs(postTaxRate(small, tax) - 8.5 * (1 - m)) < 1e-9);
+  assert.equal(postTaxRate(big, tax, big.balance, true), 8.5);
+  assert.ok(Math.abs(postTaxRate(big, tax) - 8.5 * (1 - m * 200000 / 272000)) < 1e-9);
+  assert.ok(Math.abs(postTaxRate(edu, tax, edu.balance, true) - 10 * (1 - m)) < 1e-9);
+  assert.equal(postTaxRate(edu, { ...tax, regime: "new" }), 10);
+  assert.equal(postTaxRate(edu, { ...tax, enabled: false }), 10);
+  assert.deepEqual(sanitizeTax({ regime: "x", slab: "20", used80C: -1 }), { enabled: false, regime: "old", slab: 20, used80C: 0 });
+});
+
+test("with tax on, avalanche prepays the loan that costs more after tax and counts the tax saved", () => {
+  const tax = { enabled: true, regime: "old", slab: 30, used80C: 0 };
+  const edu = { id: 1, name: "Education", balance: 600000, rate: 10, emi: 12000, type: "unsecured", taxSection: "80e" };
+  const car = { id: 2, name: "Car", balance: 500000, rate: 9, emi: 11000, type: "secured" };
+  const nominal = simulatePayoff([edu, car], "avalanche", 10000);
+  const postTax = simulatePayoff([edu, car], "avalanche", 10000, false, { tax });
+  assert.equal(nominal.taxSaved, 0);
+  assert.equal(nominal.schedule.find(r => r.month === 1 && r.extra > 0).id, 1);
+  assert.equal(postTax.schedule.find(r => r.month === 1 && r.extra > 0).id, 2);
+  assert.ok(postTax.taxSaved > 0);
+  assert.equal(netInterest(postTax), postTax.totalInterest - postTax.taxSaved);
+  const ins = generateAIInsights([edu, car], 150000, calcStressScore([edu, car], 150000), compareStrategies([edu, car], 10000), 10000, { tax: { ...tax, enabled: false } });
+  assert.ok(ins.some(i => i.title === "Prepay Car Before Education"));
+});
+
+test("prepaying a loan matches investing at the loan's own effective rate", () => {
+  const loan = [{ id: 1, name: "Loan", balance: 500000, rate: 12, emi: 11122, type: "unsecured" }];
+  const low = comparePrepayVsInvest(loan, "avalanche", 5000, false, { returnPct: 10 });
+  const high = comparePrepayVsInvest(loan, "avalanche", 5000, false, { returnPct: 15 });
+  assert.equal(low.winner, "prepay");
+  assert.equal(high.winner, "invest");
+  assert.equal(low.months, low.invest.months);
+  assert.ok(low.prepay.months < low.invest.months);
+  assert.ok(Math.abs(low.breakEvenReturn - (Math.pow(1.01, 12) - 1) * 100) < 0.05);
+  assert.equal(high.series.at(-1).invest, high.invest.netWorth);
+  // Tax on gains makes investing need a higher pre-tax return to break even
+  assert.ok(comparePrepayVsInvest(loan, "avalanche", 5000, false, { gainsTaxPct: 20 }).breakEvenReturn > low.breakEvenReturn);
+});
+
+test("a job loss drains the emergency fund, then misses unsecured EMIs before secured ones", () => {
+  const debts = SAMPLE.slice(0, 3);
+  const calm = simulateIncomeShock(debts, 125000, { kind: "medical", amount: 100000 }, "avalanche", 5000, false, { fund: 200000 });
+  assert.equal(calm.runsOut, null);
+  assert.equal(calm.missed.length, 0);
+  assert.equal(calm.fundLeft, 200000 - 100000 + 5000);
+
+  // 57,000 of EMIs + 20,000 expenses a month: the fund covers 2 months and part of a third
+  const r = simulateIncomeShock(debts, 125000, { kind: "jobloss", months: 3 }, "avalanche", 5000, false, { fund: 230000, expenses: 20000 });
+  assert.equal(r.runsOut, 3);
+  assert.deepEqual(r.missed.map(m => m.name), ["Personal Loan"]);
+  assert.equal(r.fundLeft, 230000 - 2 * 77000 - (77000 - 10500));
+  assert.ok(r.delay > 0);
+  assert.ok(r.extraInterest > 0);
+  const row = r.shocked.schedule.find(x => x.month === 3 && x.id === 3);
+  assert.equal(row.emi, 0);
+  assert.ok(row.closing > row.opening);
+  assert.equal(r.stress.during.grade, "N/A");
+});
+
+test("household stress splits joint loans by ownership share and cards to their holder", () => {
+  const members = [{ id: 1, name: "Asha", income: 90000 }, { id: 2, name: "Ravi", income: 60000 }];
+  const home = { ...SAMPLE[0], owners: { 1: 60, 2: 40 } };
+  const card = { ...SAMPLE[3], owners: { 2: 100 } };
+  const car = { ...SAMPLE[1], owners: { 3: 100 } }; // unknown member: shared equally
+  const debts = [home, card, car];
+  assert.deepEqual(ownerShares(home, members), { 1: 0.6, 2: 0.4 });
+  assert.deepEqual(ownerShares(car, members), { 1: 0.5, 2: 0.5 });
+  const ravi = memberDebts(debts, members, 2);
+  assert.equal(ravi.length, 3);
+  assert.equal(ravi[0].emi, 32000 * 0.4);
+  assert.equal(ravi[1].balance, 145000);
+  const r = householdStress(debts, members);
+  const total = (k) => r.members.reduce((s, m) => s + m.stress.factors[k], 0);
+  assert.ok(Math.abs(total("totalEMI") - r.household.factors.totalEMI) < 1e-6);
+  assert.ok(Math.abs(total("totalBalance") - r.household.factors.totalBalance) < 1e-6);
+  assert.equal(r.household.factors.emiToIncome, (32000 + 12000 + 14500) / 150000 * 100);
+  assert.ok(r.members[1].stress.factors.emiToIncome > r.members[0].stress.factors.emiToIncome);
+  assert.deepEqual(sanitizeMembers([{ id: 1, name: "A", income: "5" }, { id: 1 }, { id: 0 }, null]), [{ id: 1, name: "A", income: 5 }]);
+});
+
+test("the budget sets disposable income, the safe extra and the insights", () => {
+  const debts = SAMPLE.slice(0, 3);
+  const budget = sanitizeBudget([
+    { name: "Rent", amount: 20000, kind: "fixed" },
+    { name: "Groceries", amount: 15000, kind: "variable" },
+    { name: "School fees", amount: "5000" },
+  ]);
+  assert.deepEqual(budget[2], { id: 3, name: "School fees", amount: 5000, kind: "fixed" });
+  assert.deepEqual(budgetTotals(budget), { fixed: 25000, variable: 15000, total: 40000 });
+  assert.equal(disposableIncome(125000, debts, budget), 125000 - 40000 - 57000);
+  // 28,000 disposable − 12,500 margin − 2,250 headroom = 13,250 → 13,000
+  assert.equal(safeExtra(125000, debts, budget), 13000);
+
+  const without = calcStressScore(debts, 125000);
+  const withBudget = calcStressScore(debts, 125000, { expenses: 40000 });
+  assert.equal(without.factors.disposable, null);
+  assert.equal(withBudget.factors.disposable, 28000);
+  assert.equal(withBudget.score, without.score);
+  assert.ok(calcStressScore(debts, 125000, { expenses: 60000 }).score < without.score);
+
+  const titles = (extra) => generateAIInsights(debts, 125000, withBudget, compareStrategies(debts, extra), extra, { budget }).map(i => i.title);
+  assert.ok(titles(5000).includes("Untapped Payoff Potential"));
+  assert.ok(titles(20000).includes("Extra Payment Above Safe Level"));
+});
+
+test("logged payments replay into balances and track against the plan snapshot", () => {
+  const start = new Date(2026, 0, 15);
+  const car = { id: 2, name: "Car Loan", balance: 120000, rate: 12, emi: 10000, type: "secured" };
+  const pl = { id: 3, name: "Personal Loan", balance: 30000, rate: 12, emi: 6000, type: "unsecured" };
+  const sim = simulatePayoff([car, pl], "avalanche", 0, false, { today: start });
+  const tracking = startTracking([car, pl], sim, "avalanche", start);
+  assert.equal(tracking.start, "2026-01");
+
+  const emi = (date, amount) => ({ date, amount, kind: "emi" });
+  const logged = [
+    { ...car, payments: sanitizePayments([emi("2025-12-05", 10000), emi("2026-02-05", 10000), emi("2026-03-05", 10000), { date: "2026-03-20", amount: 20000, kind: "prepay" }]) },
+    { ...pl, payments: sanitizePayments([emi("2026-02-05", 6000), emi("2026-03-05", 6000), { date: "bad", amount: 1 }]) },
+  ];
+  assert.equal(logged[1].payments.length, 2);
+  const r = replayPayments(logged[0], 120000, tracking.start);
+  assert.ok(Math.abs(r.balance - ((120000 * 1.01 - 10000) * 1.01 - 10000 - 20000)) < 1e-6);
+  assert.equal(replayPayments(logged[0], 120000, tracking.start, 1).balance, 120000 * 1.01 - 10000);
+
+  const p = trackProgress(logged, tracking, new Date(2026, 2, 28));
+  assert.equal(p.elapsed, 2);
+  assert.equal(p.actual, Math.round(r.balance + p.balances[3]));
+  assert.ok(p.ahead > 15000, "the prepayment puts the plan ahead");
+  assert.equal(p.series.find(s => s.month === 2).actual, p.actual);
+  assert.equal(p.series.find(s => s.month === 0).planned, 150000);
+  const cleared = p.milestones.find(m => m.id === 3);
+  assert.equal(cleared.achieved, false);
+  assert.equal(cleared.due, false);
+
+  // Behind plan when the EMIs aren't logged
+  assert.ok(trackProgress([car, pl], tracking, new Date(2026, 2, 28)).ahead < 0);
+});
+
+test("goal seek finds the least extra or lump sum on top of the current plan that meets a goal", () => {
+  const today = new Date(2026, 0, 15);
+  const debts = SAMPLE.slice(1);
+  const run = (strategy, extra) => simulatePayoff(debts, strategy, extra, false, { today });
+  const base = run("avalanche", 0);
+
+  const byDate = goalSeek(debts, { kind: "date", date: "2028-12" }, 5000, false, { today });
+  assert.equal(byDate.target, 35);
+  assert.ok(byDate.strategies.avalanche.added > 0, "avalanche needs more than the current ₹5,000");
+  STRATEGIES.forEach(k => {
+    const { added, addedSim, lump, lumpSim } = byDate.strategies[k];
+    assert.ok(added % 100 === 0 && addedSim.months <= 35, k);
+    if (added) assert.ok(run(k, 5000 + added - 100).months > 35, `${k}: ₹100 less misses the date`);
+    // The lump sum goes on top of the current extra, so it's only needed when that falls short
+    assert.ok(lumpSim.months <= 35);
+    assert.equal(lump > 0, added > 0, k);
+  });
+
+  // A prepayment plan counts towards the goal, so less has to be added each month. The amount is
+  // added to the base extra, so raising the extra by it reproduces the plan, step-ups included
+  const prepayments = sanitizePrepayments([{ kind: "lump", amount: 100000, date: "2026-06" }, { kind: "stepup", percent: 10, month: 4 }]);
+  const withPlan = goalSeek(debts, { kind: "date", date: "2028-12" }, 5000, false, { today, prepayments }).strategies.avalanche;
+  assert.ok(withPlan.added < byDate.strategies.avalanche.added);
+  const adopted = (x) => simulatePayoff(debts, "avalanche", buildExtraSchedule(5000 + x, prepayments, today), false, { today });
+  assert.deepEqual(adopted(withPlan.added), withPlan.addedSim);
+  assert.ok(adopted(withPlan.added - 100).months > 35);
+  assert.equal(withPlan.peak, (5000 + withPlan.added) * 1.1 ** 3, "three step-ups land before month 35");
+  assert.equal(byDate.strategies.avalanche.peak, 5000 + byDate.strategies.avalanche.added);
+
+  // An interest ceiling the plan already meets needs nothing; one below any plan can't be met
+  const loose = goalSeek(debts, { kind: "interest", amount: base.totalInterest }, 0, false, { today });
+  assert.equal(loose.strategies.avalanche.added, 0);
+  const ceiling = Math.round(base.totalInterest / 2);
+  const half = goalSeek(debts, { kind: "interest", amount: ceiling }, 0, false, { today }).strategies.avalanche;
+  assert.ok(half.addedSim.totalInterest <= ceiling && run("avalanche", half.added - 100).totalInterest > ceiling);
+  assert.equal(goalSeek(debts, { kind: "date", date: "2025-06" }, 0, false, { today }).strategies.snowball.added, null);
+
+  assert.equal(goalFeasibility(10000, 125000, debts, []).level, "comfortable");
+  assert.equal(goalFeasibility(80000, 125000, debts, []).level, "tight");
+  assert.equal(goalFeasibility(100000, 125000, debts, []).level, "unaffordable");
+});
@@ -0,0 +1,21 @@
+/* ─────────────────────── FORMATTING ─────────────────────── */
+export const fmt = (n) => {
+  if (n >= 1e7) return `₹${(n/1e7).toFixed(2)} Cr`;
+  if (n >= 1e5) return `₹${(n/1e5).toFixed(2)} L`;
+  if (n >= 1e3) return `₹${(n/1e3).toFixed(1)}K`;
+  return `₹${Math.round(n)}`;
+};
+export const fmtFull = (n) => "₹" + Math.round(n).toLocaleString("en-IN");
+export const pct = (n) => `${n.toFixed(1)}%`;
+export const months2str = (m) => {
+  const y = Math.floor(m / 12);
+  const mo = m % 12;
+  return y > 0 ? `${y}y ${mo}m` : `${mo}m`;
+};
+// Calendar month of simulation month m (month 1 = next month's payment), counted from `from`
+export const monthDate = (m, from = new Date()) =>
+  new Date(from.getFullYear(), from.getMonth() + m, 1).toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+// Calendar month a simulation result clears all debt
+export const debtFreeDate = (sim) => sim.paidOff === false ? `after ${monthDate(sim.months)}` : monthDate(sim.months);
+// Payoff duration of a simulation result; "+" marks a run cut off before the debt was cleared
+export const payoffStr = (sim) => sim.paidOff === false ? `${months2str(sim.months)}+` : months2str(sim.months);
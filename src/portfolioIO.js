@@ -0,0 +1,171 @@
+/* ─────────────────────── IMPORT / EXPORT ─────────────────────── */
+// JSON exports wrap the whole portfolio in a versioned envelope; CSV exports
+// carry one debt per row, with its nested fields (card terms, rate changes,
+// ownership shares, payments) as JSON cells. Both formats are accepted back by
+// parseImport, which validates each row and reports errors instead of throwing.
+
+import {
+  sanitizePrepayments, sanitizeRateScenario, sanitizeCard, sanitizeTax, sanitizeMembers, sanitizeOwners, sanitizeBudget,
+  sanitizePayments, sanitizeTracking, TAX_SECTIONS, SOLVE_FIELDS
+} from "./engine.js";
+
+export const EXPORT_FORMAT = "debtfree-portfolio";
+export const EXPORT_VERSION = 1;
+export const DEBT_TYPES = ["secured", "unsecured", "revolving"];
+const CSV_JSON_COLUMNS = ["rateChanges", "card", "owners", "payments"];
+const CSV_COLUMNS = ["name", "balance", "rate", "emi", "type", "startDate", "tenure", "floating", "prepayPenalty", "lockInUntil", "taxSection", "solveFor", ...CSV_JSON_COLUMNS];
+const REQUIRED_COLUMNS = ["balance", "rate", "emi"];
+
+export function portfolioToJSON({ debts, income, extra, emergencyFund, members = [], budget = [], prepayments = [], rateScenario, tax, tracking = null, strategy, rollover }) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(),
+    portfolio: {
+      income, extra, emergencyFund, members, budget, prepayments, rateScenario, tax, tracking, strategy, rollover,
+      debts: debts.map(({ name, balance, rate, emi, type, startDate, tenure, floating, rateChanges, card, prepayPenalty, lockInUntil, taxSection, owners, payments, solveFor }) =>
+        ({ name, balance, rate, emi, type, startDate, tenure, floating, rateChanges, card, prepayPenalty, lockInUntil, taxSection, owners, payments, solveFor })),
+    },
+  }, null, 2);
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCSV(header, rows) {
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n");
+}
+
+// Empty nested fields are left blank rather than written as [] or {}
+const jsonCell = (v) => v && (Array.isArray(v) ? v.length : Object.keys(v).length) ? JSON.stringify(v) : "";
+
+export function debtsToCSV(debts) {
+  return toCSV(CSV_COLUMNS, debts.map(d => CSV_COLUMNS.map(c => CSV_JSON_COLUMNS.includes(c) ? jsonCell(d[c]) : d[c])));
+}
+
+// A CSV record with its JSON cells parsed; cells that don't parse are reported as row errors
+function csvRecord(cols, cells, row) {
+  const raw = Object.fromEntries(cols.map((c, j) => [c, cells[j]]));
+  const bad = [];
+  CSV_JSON_COLUMNS.forEach(c => {
+    const cell = String(raw[c] ?? "").trim();
+    if (!cell) { delete raw[c]; return; }
+    try { raw[c] = JSON.parse(cell); } catch (e) { delete raw[c]; bad.push(`${c} is not valid JSON`); }
+  });
+  const out = validateDebtRow(raw, row);
+  return bad.length ? { ...out, errors: [...out.errors, ...bad] } : out;
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF line endings.
+function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+const toNum = (v) => {
+  if (v === undefined || v === null || String(v).trim() === "") return null;
+  const n = typeof v === "number" ? v : parseFloat(String(v).replace(/[₹,\s%]/g, ""));
+  return Number.isFinite(n) ? n : NaN;
+};
+
+// Validates one raw record. Returns { row, debt, errors } where `debt` is only usable when errors is empty.
+export function validateDebtRow(raw, row) {
+  const errors = [];
+  const balance = toNum(raw.balance), rate = toNum(raw.rate), emi = toNum(raw.emi), tenure = toNum(raw.tenure);
+  const prepayPenalty = toNum(raw.prepayPenalty);
+  const type = String(raw.type ?? "").trim().toLowerCase() || "unsecured";
+  const startDate = String(raw.startDate ?? "").trim();
+  const lockInUntil = String(raw.lockInUntil ?? "").trim();
+  const taxSection = String(raw.taxSection ?? "").trim().toLowerCase();
+  const floating = raw.floating === true || /^(true|yes|1)$/i.test(String(raw.floating ?? "").trim());
+  const rateChanges = Array.isArray(raw.rateChanges) ? raw.rateChanges : [];
+  if (balance === null) errors.push("missing balance");
+  else if (Number.isNaN(balance)) errors.push("balance is not a number");
+  else if (balance < 0) errors.push("negative balance");
+  if (rate === null) errors.push("missing rate");
+  else if (Number.isNaN(rate)) errors.push("rate is not a number");
+  else if (rate < 0 || rate > 100) errors.push("rate must be between 0 and 100");
+  if (emi === null) errors.push("missing EMI");
+  else if (Number.isNaN(emi)) errors.push("EMI is not a number");
+  else if (emi < 0) errors.push("negative EMI");
+  if (!DEBT_TYPES.includes(type)) errors.push(`unknown type "${raw.type}"`);
+  if (startDate && !/^\d{4}-(0[1-9]|1[0-2])$/.test(startDate)) errors.push("start date must be YYYY-MM");
+  if (Number.isNaN(tenure) || tenure < 0) errors.push("invalid tenure");
+  if (Number.isNaN(prepayPenalty) || prepayPenalty < 0 || prepayPenalty > 100) errors.push("prepayment charge must be between 0 and 100");
+  if (lockInUntil && !/^\d{4}-(0[1-9]|1[0-2])$/.test(lockInUntil)) errors.push("lock-in date must be YYYY-MM");
+  if (!TAX_SECTIONS.includes(taxSection)) errors.push(`unknown tax section "${raw.taxSection}"`);
+  if (rateChanges.some(c => !c || !/^\d{4}-(0[1-9]|1[0-2])$/.test(c.date) || !(Number(c.rate) >= 0))) errors.push("invalid rate change");
+  const name = String(raw.name ?? "").trim() || `Imported debt ${row}`;
+  return {
+    row, errors,
+    debt: {
+      name, balance, rate, emi, type, startDate, tenure: tenure > 0 ? Math.round(tenure) : 0,
+      floating, rateChanges: rateChanges.map(c => ({ date: c?.date, rate: Number(c?.rate) })),
+      card: type === "revolving" ? sanitizeCard(raw.card) : null,
+      prepayPenalty: prepayPenalty > 0 ? prepayPenalty : 0, lockInUntil, taxSection, owners: sanitizeOwners(raw.owners),
+      payments: sanitizePayments(raw.payments), solveFor: SOLVE_FIELDS.includes(raw.solveFor) ? raw.solveFor : "",
+    },
+  };
+}
+
+// Parses an exported JSON or CSV file. Returns { kind, rows, income?, extra?, emergencyFund?, members?, budget?, prepayments?, rateScenario?, tax?, tracking?, rollover?, error? }.
+export function parseImport(text, filename = "") {
+  const trimmed = text.trim();
+  const isJSON = /\.json$/i.test(filename) || trimmed.startsWith("{") || trimmed.startsWith("[");
+  if (isJSON) {
+    let doc;
+    try { doc = JSON.parse(trimmed); } catch (e) { return { kind: "json", rows: [], error: "File is not valid JSON." }; }
+    const portfolio = Array.isArray(doc) ? { debts: doc } : doc.portfolio || doc;
+    if (!Array.isArray(portfolio.debts)) return { kind: "json", rows: [], error: "No debts array found in file." };
+    if (doc.format === EXPORT_FORMAT && doc.version > EXPORT_VERSION) {
+      return { kind: "json", rows: [], error: `File was exported by a newer version (v${doc.version}) of DebtFree.` };
+    }
+    const income = toNum(portfolio.income), extra = toNum(portfolio.extra), emergencyFund = toNum(portfolio.emergencyFund);
+    return {
+      kind: "json",
+      rows: portfolio.debts.map((d, i) => validateDebtRow(d || {}, i + 1)),
+      income: income > 0 ? income : undefined,
+      extra: extra !== null && extra >= 0 ? extra : undefined,
+      emergencyFund: emergencyFund !== null && emergencyFund >= 0 ? emergencyFund : undefined,
+      members: Array.isArray(portfolio.members) ? sanitizeMembers(portfolio.members) : undefined,
+      budget: Array.isArray(portfolio.budget) ? sanitizeBudget(portfolio.budget) : undefined,
+      prepayments: Array.isArray(portfolio.prepayments) ? sanitizePrepayments(portfolio.prepayments) : undefined,
+      rateScenario: portfolio.rateScenario ? sanitizeRateScenario(portfolio.rateScenario) : undefined,
+      tax: portfolio.tax ? sanitizeTax(portfolio.tax) : undefined,
+      tracking: portfolio.tracking !== undefined ? sanitizeTracking(portfolio.tracking) : undefined,
+      rollover: typeof portfolio.rollover === "boolean" ? portfolio.rollover : undefined,
+    };
+  }
+  const [header, ...body] = parseCSV(trimmed);
+  if (!header) return { kind: "csv", rows: [], error: "File is empty." };
+  const cols = header.map(h => CSV_COLUMNS.find(c => c.toLowerCase() === h.trim().toLowerCase()) || h.trim());
+  const missing = REQUIRED_COLUMNS.filter(c => !cols.includes(c));
+  if (missing.length) return { kind: "csv", rows: [], error: `Missing column(s): ${missing.join(", ")}.` };
+  return {
+    kind: "csv",
+    rows: body.map((cells, i) => csvRecord(cols, cells, i + 1)),
+  };
+}
+
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
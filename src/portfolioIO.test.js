@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateDebtRow, parseImport, portfolioToJSON, debtsToCSV, EXPORT_FORMAT, EXPORT_VERSION } from "./portfolioIO.js";
+
+const DEBTS = [
+  { id: 1, name: "Home Loan, SBI", balance: 3200000, rate: 8.5, emi: 32000, type: "secured", startDate: "2026-02", tenure: 180, floating: true, taxSection: "24b" },
+  { id: 2, name: 'Card "Axis"', balance: 145000, rate: 42, emi: 12000, type: "revolving" },
+];
+
+test("a debt row is validated field by field", () => {
+  const ok = validateDebtRow({ name: " Car Loan ", balance: "₹5,20,000", rate: "9.25%", emi: 14500, type: "Secured", tenure: "47.6", floating: "yes" }, 1);
+  assert.deepEqual(ok.errors, []);
+  assert.equal(ok.debt.name, "Car Loan");
+  assert.equal(ok.debt.balance, 520000);
+  assert.equal(ok.debt.rate, 9.25);
+  assert.equal(ok.debt.type, "secured");
+  assert.equal(ok.debt.tenure, 48);
+  assert.equal(ok.debt.floating, true);
+
+  assert.equal(validateDebtRow({ balance: 1000, rate: 10, emi: 100 }, 7).debt.name, "Imported debt 7", "a missing name gets a placeholder");
+  const errors = (raw) => validateDebtRow({ balance: 1000, rate: 10, emi: 100, ...raw }, 1).errors;
+  assert.deepEqual(errors({ balance: undefined, rate: "", emi: null }), ["missing balance", "missing rate", "missing EMI"]);
+  assert.deepEqual(errors({ rate: "ten" }), ["rate is not a number"]);
+  assert.deepEqual(errors({ rate: 120 }), ["rate must be between 0 and 100"]);
+  assert.deepEqual(errors({ emi: -5, balance: -1 }), ["negative balance", "negative EMI"]);
+  assert.deepEqual(errors({ type: "mortgage" }), ['unknown type "mortgage"']);
+  assert.deepEqual(errors({ startDate: "2026-13" }), ["start date must be YYYY-MM"]);
+  assert.deepEqual(errors({ taxSection: "80d" }), ['unknown tax section "80d"']);
+  assert.deepEqual(errors({ prepayPenalty: 150 }), ["prepayment charge must be between 0 and 100"]);
+  assert.deepEqual(errors({ rateChanges: [{ date: "2027-01", rate: -1 }] }), ["invalid rate change"]);
+});
+
+test("CSV imports handle quoting and report bad rows and missing columns", () => {
+  const csv = debtsToCSV(DEBTS);
+  assert.match(csv, /"Home Loan, SBI"/);
+  assert.match(csv, /"Card ""Axis"""/);
+  const back = parseImport(csv.replace(/\n/g, "\r\n"), "debts.csv");
+  assert.equal(back.kind, "csv");
+  assert.deepEqual(back.rows.map(r => r.debt.name), ["Home Loan, SBI", 'Card "Axis"']);
+  assert.ok(back.rows.every(r => r.errors.length === 0));
+  assert.equal(back.rows[0].debt.floating, true);
+
+  // Nested fields travel as JSON cells, so a CSV round trip keeps them
+  const nested = [
+    { ...DEBTS[0], rateChanges: [{ date: "2027-04", rate: 8.25 }], owners: { 1: 60, 2: 40 }, solveFor: "emi",
+      payments: [{ id: 1, date: "2026-03-05", amount: 32000, kind: "emi" }] },
+    { ...DEBTS[1], card: { minDuePct: 5, minDueFloor: 200, gstPct: 18, spend: 8000, lateFee: 1300 } },
+  ];
+  const [home, card] = parseImport(debtsToCSV(nested), "debts.csv").rows.map(r => r.debt);
+  assert.deepEqual(home.rateChanges, nested[0].rateChanges);
+  assert.deepEqual(home.owners, { 1: 60, 2: 40 });
+  assert.deepEqual(home.payments, nested[0].payments);
+  assert.equal(home.solveFor, "emi");
+  assert.deepEqual(card.card, nested[1].card);
+  assert.doesNotMatch(debtsToCSV(DEBTS).split("\n")[2], /\[\]|\{\}/, "empty nested fields stay blank");
+  assert.deepEqual(parseImport("name,balance,rate,emi,owners\nA,1,2,3,{oops", "x.csv").rows[0].errors, ["owners is not valid JSON"]);
+
+  const mixed = parseImport("Name,Balance,Rate,EMI\nGood,1000,10,100\nBad,abc,10,100\n\n", "x.csv");
+  assert.deepEqual(mixed.rows.map(r => [r.row, r.errors]), [[1, []], [2, ["balance is not a number"]]]);
+  assert.equal(parseImport("name,balance,rate\nA,1,2", "x.csv").error, "Missing column(s): emi.");
+  assert.equal(parseImport("   ", "x.csv").error, "File is empty.");
+});
+
+test("JSON imports round-trip an export and reject newer versions and bad files", () => {
+  const json = portfolioToJSON({ debts: DEBTS, income: 185000, extra: 10000, emergencyFund: 50000, strategy: "avalanche", rollover: true });
+  const doc = JSON.parse(json);
+  assert.equal(doc.format, EXPORT_FORMAT);
+  assert.equal(doc.portfolio.debts[0].id, undefined, "ids are reassigned on import");
+
+  const back = parseImport(json, "plan.json");
+  assert.equal(back.kind, "json");
+  assert.deepEqual(back.rows.map(r => r.debt.name), DEBTS.map(d => d.name));
+  assert.equal(back.rows[0].debt.taxSection, "24b");
+  assert.equal(back.income, 185000);
+  assert.equal(back.extra, 10000);
+  assert.equal(back.emergencyFund, 50000);
+  assert.equal(back.rollover, true);
+
+  const newer = JSON.stringify({ ...doc, version: EXPORT_VERSION + 1 });
+  assert.match(parseImport(newer, "plan.json").error, new RegExp(`newer version \\(v${EXPORT_VERSION + 1}\\)`));
+  assert.equal(parseImport("{ not json", "plan.json").error, "File is not valid JSON.");
+  assert.equal(parseImport('{"portfolio":{}}').error, "No debts array found in file.");
+  // A bare array of debts is accepted too
+  assert.equal(parseImport(JSON.stringify([{ balance: 1, rate: 1, emi: 1 }])).rows.length, 1);
+});
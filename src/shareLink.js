@@ -0,0 +1,101 @@
+/* ─────────────────────── SHARE LINKS ─────────────────────── */
+// A plan is packed into the URL hash as `#plan=<mode><base64url>`:
+//   mode "z" — deflate-raw compressed JSON (CompressionStream), mode "j" — plain JSON
+// The JSON is { v, c, t, i, x, f, m, b, p, r, g, d: [debt, ...] } with each debt packed as
+//   [name, balance, rate, emi, typeIndex, startDate, tenure, floating, rateChanges, card, prepayPenalty, lockInUntil, taxSection, owners, solveFor]
+// where `solveFor` is the index of the computed term plus one (0 for none), `f` the emergency fund,
+// `m` the household members as [id, name, income], `b` the budget as [name, amount, kindIndex],
+// `p` the prepayment plan, `r` the rate scenario, `g` the tax settings and
+// `c` a checksum over the rest of the document, so edited or truncated links are rejected.
+// Payment logs and progress tracking stay on the device and are never put in a link.
+
+import { DEBT_TYPES, validateDebtRow } from "./portfolioIO.js";
+import { sanitizePrepayments, sanitizeRateScenario, sanitizeTax, sanitizeMembers, sanitizeBudget, EXPENSE_KINDS, SOLVE_FIELDS } from "./engine.js";
+
+export const SHARE_PREFIX = "#plan=";
+const SHARE_VERSION = 1;
+
+// FNV-1a, 32-bit — enough to catch accidental or hand-edited corruption, not a signature.
+const checksum = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h >>> 0).toString(36);
+};
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (str) => {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canCompress = () => typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+export async function encodePlan({ debts, income, extra, emergencyFund = 0, members = [], budget = [], prepayments = [], rateScenario, tax, tab }, { anonymise = false } = {}) {
+  const body = {
+    v: SHARE_VERSION, t: tab, i: income, x: extra, f: emergencyFund, p: prepayments.map(({ id, ...p }) => p), r: rateScenario, g: tax,
+    m: members.map((m, n) => [m.id, anonymise ? `Earner ${n + 1}` : m.name, m.income]),
+    b: budget.map(e => [e.name, e.amount, EXPENSE_KINDS.indexOf(e.kind)]),
+    d: debts.map((d, n) => [
+      anonymise ? `Loan ${n + 1}` : d.name, d.balance, d.rate, d.emi, Math.max(0, DEBT_TYPES.indexOf(d.type)),
+      d.startDate || "", d.tenure || 0, d.floating ? 1 : 0, (d.rateChanges || []).map(c => [c.date, c.rate]),
+      d.card ? [d.card.minDuePct, d.card.minDueFloor, d.card.gstPct, d.card.spend, d.card.lateFee] : 0,
+      d.prepayPenalty || 0, d.lockInUntil || "", d.taxSection || "",
+      d.owners && Object.keys(d.owners).length ? Object.entries(d.owners).map(([id, pct]) => [Number(id), pct]) : 0,
+      SOLVE_FIELDS.indexOf(d.solveFor) + 1,
+    ]),
+  };
+  const json = JSON.stringify({ ...body, c: checksum(JSON.stringify(body)) });
+  const bytes = new TextEncoder().encode(json);
+  if (canCompress()) return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))}`;
+  return `j${toBase64Url(bytes)}`;
+}
+
+// Decodes a hash payload (without the prefix). Throws an Error with a user-facing message on any problem.
+export async function decodePlan(payload) {
+  const mode = payload.charAt(0);
+  let json;
+  try {
+    const bytes = fromBase64Url(payload.slice(1));
+    if (mode === "z") {
+      if (!canCompress()) throw new Error("unsupported");
+      json = new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream("deflate-raw")));
+    } else if (mode === "j") json = new TextDecoder().decode(bytes);
+    else throw new Error("unknown mode");
+  } catch (e) {
+    throw new Error("This share link is malformed or was cut off.");
+  }
+  let doc;
+  try { doc = JSON.parse(json); } catch (e) { throw new Error("This share link is malformed or was cut off."); }
+  if (!doc || typeof doc !== "object") throw new Error("This share link is malformed.");
+  if (doc.v > SHARE_VERSION) throw new Error("This share link was created by a newer version of DebtFree.");
+  const { c, ...body } = doc;
+  if (c !== checksum(JSON.stringify(body))) throw new Error("This share link has been modified and can't be trusted.");
+  if (!Array.isArray(body.d)) throw new Error("This share link contains no debts.");
+  const rows = body.d.map((r, n) => validateDebtRow(Array.isArray(r)
+    ? {
+      name: r[0], balance: r[1], rate: r[2], emi: r[3], type: DEBT_TYPES[r[4]] ?? r[4], startDate: r[5], tenure: r[6],
+      floating: r[7] === 1, rateChanges: Array.isArray(r[8]) ? r[8].map(c => ({ date: c?.[0], rate: c?.[1] })) : [],
+      card: Array.isArray(r[9]) ? { minDuePct: r[9][0], minDueFloor: r[9][1], gstPct: r[9][2], spend: r[9][3], lateFee: r[9][4] } : null,
+      prepayPenalty: r[10], lockInUntil: r[11], taxSection: r[12],
+      owners: Array.isArray(r[13]) ? Object.fromEntries(r[13].filter(Array.isArray)) : {}, solveFor: SOLVE_FIELDS[r[14] - 1],
+    }
+    : {}, n + 1));
+  const bad = rows.find(r => r.errors.length);
+  if (bad) throw new Error(`This share link contains invalid data (debt ${bad.row}: ${bad.errors.join(", ")}).`);
+  const num = (v) => (Number.isFinite(v) && v >= 0 ? v : 0);
+  return {
+    debts: rows.map(r => r.debt), income: num(body.i), extra: num(body.x), emergencyFund: num(body.f),
+    budget: sanitizeBudget(Array.isArray(body.b) ? body.b.map(e => Array.isArray(e) ? { name: e[0], amount: e[1], kind: EXPENSE_KINDS[e[2]] } : null) : []),
+    members: sanitizeMembers(Array.isArray(body.m) ? body.m.map(m => Array.isArray(m) ? { id: m[0], name: m[1], income: m[2] } : null) : []),
+    prepayments: sanitizePrepayments(body.p), rateScenario: sanitizeRateScenario(body.r), tax: sanitizeTax(body.g),
+    tab: typeof body.t === "string" ? body.t : null,
+  };
+}
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodePlan, decodePlan } from "./shareLink.js";
+import { CARD_DEFAULTS } from "./engine.js";
+
+const PLAN = {
+  debts: [
+    { id: 1, name: "Home Loan (SBI)", balance: 3200000, rate: 8.5, emi: 32000, type: "secured", startDate: "2026-02", tenure: 180,
+      floating: true, rateChanges: [{ date: "2027-04", rate: 8.25 }], taxSection: "24b", owners: { 1: 60, 2: 40 }, solveFor: "emi" },
+    { id: 2, name: "Credit Card (Axis)", balance: 145000, rate: 42, emi: 12000, type: "revolving", card: { ...CARD_DEFAULTS }, prepayPenalty: 2, lockInUntil: "2026-06" },
+  ],
+  income: 185000, extra: 10000, emergencyFund: 50000,
+  members: [{ id: 1, name: "Asha", income: 110000 }, { id: 2, name: "Ravi", income: 75000 }],
+  budget: [{ id: 1, name: "Rent", amount: 25000, kind: "fixed" }],
+  prepayments: [{ id: 1, kind: "lump", amount: 100000, date: "2026-09" }],
+  rateScenario: { enabled: true, shockBps: 50, shockDate: "", reset: "emi" },
+  tab: "strategies",
+};
+
+// Plain-JSON links ("j" mode) can be opened up and edited like a hand-tampered link
+const unpack = (payload) => JSON.parse(Buffer.from(payload.slice(1), "base64url").toString());
+const pack = (doc) => `j${Buffer.from(JSON.stringify(doc)).toString("base64url")}`;
+const withoutCompression = async (fn) => {
+  const saved = globalThis.CompressionStream;
+  globalThis.CompressionStream = undefined;
+  try { return await fn(); } finally { globalThis.CompressionStream = saved; }
+};
+
+test("a plan survives the share link round trip, compressed or not", async () => {
+  const z = await encodePlan(PLAN);
+  assert.equal(z.charAt(0), "z");
+  const j = await withoutCompression(() => encodePlan(PLAN));
+  assert.equal(j.charAt(0), "j");
+  assert.ok(z.length < j.length);
+
+  for (const payload of [z, j]) {
+    const plan = await decodePlan(payload);
+    assert.deepEqual(plan.debts.map(d => [d.name, d.balance, d.rate, d.emi, d.type]), PLAN.debts.map(d => [d.name, d.balance, d.rate, d.emi, d.type]));
+    const [home, card] = plan.debts;
+    assert.deepEqual(home.rateChanges, [{ date: "2027-04", rate: 8.25 }]);
+    assert.deepEqual(home.owners, { 1: 60, 2: 40 });
+    assert.equal(home.solveFor, "emi");
+    assert.equal(home.floating, true);
+    assert.deepEqual(card.card, CARD_DEFAULTS);
+    assert.equal(card.lockInUntil, "2026-06");
+    assert.equal(plan.income, 185000);
+    assert.equal(plan.emergencyFund, 50000);
+    assert.deepEqual(plan.members.map(m => m.name), ["Asha", "Ravi"]);
+    assert.equal(plan.budget[0].amount, 25000);
+    assert.equal(plan.prepayments[0].amount, 100000);
+    assert.equal(plan.rateScenario.shockBps, 50);
+    assert.equal(plan.tab, "strategies");
+  }
+});
+
+test("anonymised links replace loan and earner names but keep the numbers", async () => {
+  const plan = await decodePlan(await encodePlan(PLAN, { anonymise: true }));
+  assert.deepEqual(plan.debts.map(d => d.name), ["Loan 1", "Loan 2"]);
+  assert.deepEqual(plan.members.map(m => m.name), ["Earner 1", "Earner 2"]);
+  assert.equal(plan.debts[0].balance, 3200000);
+  const raw = JSON.stringify(unpack(await withoutCompression(() => encodePlan(PLAN, { anonymise: true }))));
+  assert.ok(!/SBI|Axis|Asha|Ravi/.test(raw));
+});
+
+test("tampered, truncated and newer-version links are rejected", async () => {
+  const payload = await withoutCompression(() => encodePlan(PLAN));
+  const doc = unpack(payload);
+
+  await assert.rejects(decodePlan(pack({ ...doc, i: 999999 })), /has been modified/);
+  await assert.rejects(decodePlan(pack({ ...doc, d: [["Loan", 1, 2, 3, 0], ...doc.d.slice(1)] })), /has been modified/);
+  await assert.rejects(decodePlan(payload.slice(0, payload.length - 20)), /malformed or was cut off/);
+  await assert.rejects(decodePlan((await encodePlan(PLAN)).slice(0, 40)), /malformed or was cut off/);
+  await assert.rejects(decodePlan(`x${payload.slice(1)}`), /malformed or was cut off/);
+  await assert.rejects(decodePlan(pack({ ...doc, v: doc.v + 1 })), /newer version of DebtFree/);
+});
@@ -0,0 +1,88 @@
+/* ─────────────────────── LOCAL PERSISTENCE ─────────────────────── */
+// Portfolios are saved to localStorage as a single versioned document:
+//   { version, activeId, profiles: { [id]: { id, name, debts, income, extra, emergencyFund, members, budget, prepayments, rateScenario, tax, tracking, hiddenInsights, nextId, updatedAt } }, scoring }
+// where `scoring` holds the stress-score profiles `{ activeId, profiles }`, shared by every portfolio.
+// New optional debt fields only need an entry in DEBT_DEFAULTS. When a field is renamed
+// or reshaped, bump STORAGE_VERSION and add a step to MIGRATIONS that upgrades a
+// document from the previous version.
+
+import {
+  sanitizePrepayments, sanitizeRateScenario, sanitizeCard, sanitizeTax, sanitizeMembers, sanitizeOwners, sanitizeBudget,
+  sanitizePayments, sanitizeTracking, sanitizeScoringProfiles, sanitizeHiddenInsights
+} from "./engine.js";
+
+const STORAGE_KEY = "debtfree:profiles";
+export const STORAGE_VERSION = 1;
+
+// Defaults for every debt field; older saves missing a field pick these up on load.
+const DEBT_DEFAULTS = {
+  name: "", balance: 0, rate: 0, emi: 0, type: "unsecured", startDate: "", tenure: 0,
+  floating: false, rateChanges: [], card: null, prepayPenalty: 0, lockInUntil: "", taxSection: "", owners: {}, payments: [], solveFor: "",
+};
+
+// MIGRATIONS[n] upgrades a version-n document to version n + 1.
+const MIGRATIONS = {};
+
+const normalizeDebt = (d, i) => ({ ...DEBT_DEFAULTS, ...d, id: d.id ?? i + 1, card: sanitizeCard(d.card), owners: sanitizeOwners(d.owners), payments: sanitizePayments(d.payments) });
+
+const normalizeProfile = (p) => {
+  const debts = Array.isArray(p.debts) ? p.debts.map(normalizeDebt) : [];
+  const maxId = debts.reduce((m, d) => Math.max(m, d.id), 0);
+  return {
+    id: p.id, name: p.name || "Untitled",
+    debts, income: Number(p.income) || 0, extra: Number(p.extra) || 0, emergencyFund: Math.max(0, Number(p.emergencyFund) || 0),
+    members: sanitizeMembers(p.members),
+    budget: sanitizeBudget(p.budget),
+    prepayments: sanitizePrepayments(p.prepayments),
+    rateScenario: sanitizeRateScenario(p.rateScenario),
+    tax: sanitizeTax(p.tax),
+    tracking: sanitizeTracking(p.tracking),
+    hiddenInsights: sanitizeHiddenInsights(p.hiddenInsights),
+    nextId: Math.max(Number(p.nextId) || 0, maxId + 1),
+    updatedAt: p.updatedAt || Date.now(),
+  };
+};
+
+export function migrate(doc) {
+  if (!doc || typeof doc !== "object" || !doc.profiles) return null;
+  let out = { ...doc, version: doc.version || 1 };
+  if (out.version > STORAGE_VERSION) return null;
+  while (out.version < STORAGE_VERSION) {
+    const step = MIGRATIONS[out.version];
+    if (!step) return null;
+    out = { ...step(out), version: out.version + 1 };
+  }
+  const profiles = {};
+  Object.values(out.profiles).forEach(p => { if (p && p.id) profiles[p.id] = normalizeProfile(p); });
+  if (!Object.keys(profiles).length) return null;
+  const activeId = profiles[out.activeId] ? out.activeId : Object.keys(profiles)[0];
+  return { version: STORAGE_VERSION, activeId, profiles, scoring: sanitizeScoringProfiles(out.scoring) };
+}
+
+export const newProfileId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export function createProfile(name, data) {
+  return normalizeProfile({ ...data, id: newProfileId(), name });
+}
+
+// Returns the saved document, or a fresh one holding a single profile built from `seed`.
+export function loadStore(seed) {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const doc = raw ? migrate(JSON.parse(raw)) : null;
+    if (doc) return doc;
+  } catch (e) {
+    // Corrupt or inaccessible storage — start fresh below.
+  }
+  const p = createProfile(seed.name, seed);
+  return { version: STORAGE_VERSION, activeId: p.id, profiles: { [p.id]: p }, scoring: sanitizeScoringProfiles(null) };
+}
+
+export function saveStore(doc) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(doc));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}